@@ -5,11 +5,23 @@
 
 import { assetManager } from './js/assets/AssetManager.js';
 import { audioManager } from './js/audio/AudioManager.js';
+import { hapticsManager } from './js/haptics/HapticsManager.js';
+import { solverService } from './js/core/SolverService.js';
+import { storageManager } from './js/storage/StorageManager.js';
+import { settings } from './js/storage/Settings.js';
+import { themeManager } from './js/theme/ThemeManager.js';
+import { i18n, t } from './js/i18n/I18n.js';
 import { globalEvent } from './js/utils/EventEmitter.js';
+import { decode, toGameOptions } from './js/core/PuzzleCode.js';
 import { StartScene } from './js/scenes/StartScene.js';
 import { ModeScene } from './js/scenes/ModeScene.js';
 import { GameScene } from './js/scenes/GameScene.js';
 import { VictoryScene } from './js/scenes/VictoryScene.js';
+import { DailyScene } from './js/scenes/DailyScene.js';
+import { StatsScene } from './js/scenes/StatsScene.js';
+import { ReplayScene } from './js/scenes/ReplayScene.js';
+import { ThemeScene } from './js/scenes/ThemeScene.js';
+import { SettingsScene } from './js/scenes/SettingsScene.js';
 
 // 游戏主类
 class Game {
@@ -36,6 +48,9 @@ class Game {
     this.touchStartX = 0;
     this.touchStartY = 0;
     
+    // 最近一次处理过的分享题目码（避免回到前台时重复开局）
+    this.lastLaunchCode = '';
+    
     this.init();
   }
 
@@ -51,11 +66,27 @@ class Game {
     // 初始化 Canvas
     this._initCanvas();
     
+    // 初始化本地存储（执行结构迁移）
+    storageManager.init();
+    
+    // 载入保存的主题与语言
+    themeManager.init();
+    i18n.setLanguage(settings.get('language'));
+    
     // 初始化资源管理器
     await assetManager.init();
     
-    // 初始化音效管理器
+    // 初始化音效管理器并应用音效设置
     audioManager.init();
+    this._applyAudioSettings();
+    
+    // 初始化触感反馈并应用振动设置
+    hapticsManager.init();
+    hapticsManager.setEnabled(settings.get('vibration'));
+    hapticsManager.setIntensity(settings.get('vibrationIntensity'));
+    
+    // 初始化求解服务（Worker）
+    solverService.init();
     
     // 初始化场景
     this._initScenes();
@@ -74,6 +105,9 @@ class Game {
     // 进入开始场景
     this.switchScene('start');
     
+    // 通过分享链接进入时直接开始对应题目
+    this._handleLaunchQuery(wx.getLaunchOptionsSync?.().query);
+    
     console.log('[Game] 游戏初始化完成');
   }
 
@@ -120,6 +154,19 @@ class Game {
     });
   }
 
+  /**
+   * 应用保存的音效设置（开关、总音量与各音效音量）
+   */
+  _applyAudioSettings() {
+    audioManager.setEnabled(settings.get('soundEnabled'));
+    audioManager.setMasterVolume(settings.get('masterVolume'));
+    
+    const volumes = settings.get('soundVolumes');
+    for (let soundType in volumes) {
+      audioManager.setSoundVolume(soundType, volumes[soundType]);
+    }
+  }
+
   /**
    * 初始化场景
    */
@@ -127,8 +174,13 @@ class Game {
     this.scenes = {
       start: new StartScene(this.canvas, this.ctx),
       mode: new ModeScene(this.canvas, this.ctx),
+      daily: new DailyScene(this.canvas, this.ctx),
       game: new GameScene(this.canvas, this.ctx),
-      victory: new VictoryScene(this.canvas, this.ctx)
+      victory: new VictoryScene(this.canvas, this.ctx),
+      stats: new StatsScene(this.canvas, this.ctx),
+      replay: new ReplayScene(this.canvas, this.ctx),
+      theme: new ThemeScene(this.canvas, this.ctx),
+      settings: new SettingsScene(this.canvas, this.ctx)
     };
     
     // 初始化所有场景
@@ -143,14 +195,14 @@ class Game {
    * 注册全局事件
    */
   _registerEvents() {
-    // 场景切换事件
-    globalEvent.on('scene:change', (sceneName) => {
-      this.switchScene(sceneName);
+    // 场景切换事件（可附带进入参数）
+    globalEvent.on('scene:change', (sceneName, ...args) => {
+      this.switchScene(sceneName, ...args);
     });
     
     // 游戏开始事件
-    globalEvent.on('game:start', (boardSize) => {
-      this.switchScene('game', boardSize);
+    globalEvent.on('game:start', (boardSize, options) => {
+      this.switchScene('game', boardSize, options);
     });
     
     // 游戏胜利事件
@@ -162,6 +214,51 @@ class Game {
     wx.onWindowResize?.((res) => {
       this._onResize(res);
     });
+    
+    // 分享：游戏中/胜利后分享时附带题目码
+    wx.showShareMenu?.({ menus: ['shareAppMessage'] });
+    wx.onShareAppMessage?.(() => this._getShareInfo());
+    
+    // 从分享链接回到前台
+    wx.onShow?.((res) => {
+      this._handleLaunchQuery(res && res.query);
+    });
+  }
+
+  /**
+   * 处理启动参数中的题目码（code=xxx）
+   */
+  _handleLaunchQuery(query) {
+    const code = query && query.code;
+    if (!code || code === this.lastLaunchCode) return;
+    
+    this.lastLaunchCode = code;
+    const puzzle = decode(code);
+    if (!puzzle) {
+      console.warn('[Game] 分享的题目码无效:', code);
+      return;
+    }
+    
+    console.log('[Game] 通过题目码开局:', code);
+    this.switchScene('game', puzzle.size, toGameOptions(puzzle));
+  }
+
+  /**
+   * 获取分享内容
+   */
+  _getShareInfo() {
+    const code = this.currentScene && this.currentScene.getShareCode
+      ? this.currentScene.getShareCode()
+      : '';
+    
+    if (!code) {
+      return { title: t('share.title') };
+    }
+    
+    return {
+      title: t('share.code', { code }),
+      query: `code=${code}`
+    };
   }
 
   /**
@@ -226,9 +323,10 @@ class Game {
     this.currentSceneName = sceneName;
     this.currentScene = this.scenes[sceneName];
     
-    // 如果是游戏场景，设置待处理的棋盘大小
+    // 如果是游戏场景，设置待处理的棋盘大小和游戏选项
     if (sceneName === 'game' && args[0]) {
       this.currentScene.pendingBoardSize = args[0];
+      this.currentScene.pendingGameOptions = args[1] || {};
       this.currentScene.isLoading = true;
     }
     
@@ -305,7 +403,7 @@ class Game {
       this.ctx.fillStyle = '#333';
       this.ctx.font = '24px Arial';
       this.ctx.textAlign = 'center';
-      this.ctx.fillText('加载中...', this.width / 2, this.height / 2);
+      this.ctx.fillText(t('common.loading'), this.width / 2, this.height / 2);
     }
   }
 
@@ -323,6 +421,9 @@ class Game {
     // 销毁音效管理器
     audioManager.destroy();
     
+    // 销毁求解服务
+    solverService.destroy();
+    
     console.log('[Game] 游戏已销毁');
   }
 }
@@ -333,6 +434,7 @@ const game = new Game();
 // 监听游戏隐藏/显示
 wx.onHide(() => {
   console.log('[Game] 游戏进入后台');
+  globalEvent.emit('app:hide');
 });
 
 wx.onShow(() => {
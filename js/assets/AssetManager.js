@@ -144,6 +144,47 @@ export class AssetManager {
     return this.images.get(key) || null;
   }
 
+  /**
+   * 注册图片资源（运行时生成或裁剪后的图片）
+   * @param {string} key - 资源标识
+   * @param {Image|Canvas} image - 图片或离屏 canvas
+   */
+  setImage(key, image) {
+    this.images.set(key, image);
+  }
+
+  /**
+   * 释放图片资源（不再使用的运行时图片）
+   * @param {string} key - 资源标识
+   */
+  removeImage(key) {
+    this.images.delete(key);
+  }
+
+  /**
+   * 居中裁剪为正方形并缩放到指定边长
+   * @param {Image|Canvas} image - 源图片
+   * @param {number} size - 输出边长
+   * @returns {Canvas} 离屏 canvas
+   */
+  cropSquare(image, size) {
+    const side = Math.min(image.width, image.height);
+    const offscreen = wx.createOffscreenCanvas({
+      type: '2d',
+      width: size,
+      height: size
+    });
+    const ctx = offscreen.getContext('2d');
+    
+    ctx.drawImage(
+      image,
+      (image.width - side) / 2, (image.height - side) / 2, side, side,
+      0, 0, size, size
+    );
+    
+    return offscreen;
+  }
+
   /**
    * 检查图片是否存在
    * @param {string} key - 资源标识
@@ -0,0 +1,303 @@
+/**
+ * 拼图图片
+ * 图片模式的图片来源：内置图片（离屏 canvas 绘制）或从相册 / 相机选择的照片，
+ * 统一居中裁成正方形后注册到 AssetManager，方块按目标位置截取其中一块绘制
+ * 相册照片另存为本地文件（临时文件可能被系统清理），供存档恢复时重新加载
+ */
+
+import { assetManager } from './AssetManager.js';
+import { savedGame } from '../storage/SavedGame.js';
+import { t } from '../i18n/I18n.js';
+
+// 裁剪后的图片边长
+const PICTURE_SIZE = 600;
+
+// 当前缓存的相册图片 key（同一时间只保留一张）
+let albumKey = null;
+
+// 图片来源
+export const PictureSource = {
+  BUILTIN: 'builtin',
+  ALBUM: 'album'
+};
+
+// 内置图片（label 为文本 key）
+export const BUILTIN_PICTURES = [
+  { id: 'sunset', label: 'picture.sunset', draw: drawSunset },
+  { id: 'ocean', label: 'picture.ocean', draw: drawOcean },
+  { id: 'mosaic', label: 'picture.mosaic', draw: drawMosaic }
+];
+
+/**
+ * 图片显示名称
+ * @param {Object} picture - { source, id } 或 { source, path }
+ */
+export function getPictureLabel(picture) {
+  if (picture.source === PictureSource.ALBUM) return t('picture.album');
+  const builtin = BUILTIN_PICTURES.find(item => item.id === picture.id);
+  return t(builtin ? builtin.label : 'picture.picture');
+}
+
+/**
+ * 加载图片并注册到 AssetManager（已加载的直接复用）
+ * @param {Object} picture - { source, id } 或 { source, path }
+ * @returns {Promise<string>} 图片资源 key
+ */
+export async function loadPicture(picture) {
+  if (picture.source === PictureSource.ALBUM) {
+    const key = `picture_album_${picture.path}`;
+    if (!assetManager.hasImage(key)) {
+      // 原图只用于裁剪，裁剪后立即释放
+      const rawKey = `${key}_raw`;
+      try {
+        const image = await assetManager.loadImage(rawKey, picture.path);
+        assetManager.setImage(key, assetManager.cropSquare(image, PICTURE_SIZE));
+      } finally {
+        assetManager.removeImage(rawKey);
+      }
+
+      if (albumKey && albumKey !== key) {
+        assetManager.removeImage(albumKey);
+      }
+      albumKey = key;
+    }
+    return key;
+  }
+
+  const builtin = BUILTIN_PICTURES.find(item => item.id === picture.id);
+  if (!builtin) {
+    throw new Error(`未知的内置图片: ${picture.id}`);
+  }
+
+  const key = `picture_builtin_${builtin.id}`;
+  if (!assetManager.hasImage(key)) {
+    const offscreen = wx.createOffscreenCanvas({
+      type: '2d',
+      width: PICTURE_SIZE,
+      height: PICTURE_SIZE
+    });
+    builtin.draw(offscreen.getContext('2d'), PICTURE_SIZE);
+    assetManager.setImage(key, offscreen);
+  }
+  return key;
+}
+
+/**
+ * 从相册或相机选择一张图片
+ * @returns {Promise<Object|null>} { source, path }，取消时为 null
+ */
+export async function choosePicture() {
+  const tempPath = await new Promise((resolve) => {
+    wx.chooseMedia({
+      count: 1,
+      mediaType: ['image'],
+      sourceType: ['album', 'camera'],
+      sizeType: ['compressed'],
+      success: (res) => {
+        resolve(res.tempFiles[0].tempFilePath);
+      },
+      fail: () => {
+        resolve(null);
+      }
+    });
+  });
+  if (!tempPath) return null;
+
+  return { source: PictureSource.ALBUM, path: await savePicture(tempPath) };
+}
+
+/**
+ * 把相册图片另存为本地文件，并删除不再使用的旧图片（保留存档对局使用的图片）
+ * 保存失败时退回临时文件路径
+ * @returns {Promise<string>} 图片路径
+ */
+function savePicture(tempPath) {
+  const fs = wx.getFileSystemManager();
+
+  return new Promise((resolve) => {
+    fs.saveFile({
+      tempFilePath: tempPath,
+      success: (res) => {
+        removeUnusedPictures(fs, res.savedFilePath);
+        resolve(res.savedFilePath);
+      },
+      fail: (err) => {
+        console.error('[Pictures] 保存相册图片失败:', err);
+        resolve(tempPath);
+      }
+    });
+  });
+}
+
+/**
+ * 删除已保存的旧相册图片
+ * @param {string} keepPath - 刚保存的图片路径
+ */
+function removeUnusedPictures(fs, keepPath) {
+  const saved = savedGame.load();
+  const savedPicture = saved && saved.options && saved.options.picture;
+  const keep = [keepPath, savedPicture && savedPicture.path];
+
+  fs.getSavedFileList({
+    success: (res) => {
+      for (let file of res.fileList) {
+        if (keep.includes(file.filePath)) continue;
+        fs.removeSavedFile({ filePath: file.filePath, fail: () => {} });
+      }
+    }
+  });
+}
+
+/**
+ * 日落：渐变天空、太阳、远山与水面倒影
+ */
+function drawSunset(ctx, size) {
+  const sky = ctx.createLinearGradient(0, 0, 0, size * 0.6);
+  sky.addColorStop(0, '#2E3A87');
+  sky.addColorStop(0.5, '#C86B98');
+  sky.addColorStop(1, '#FFB36B');
+  ctx.fillStyle = sky;
+  ctx.fillRect(0, 0, size, size * 0.6);
+
+  // 太阳
+  ctx.fillStyle = '#FFE08A';
+  ctx.beginPath();
+  ctx.arc(size * 0.62, size * 0.5, size * 0.14, 0, Math.PI * 2);
+  ctx.fill();
+
+  // 远山（前后两层）
+  const mountains = [
+    { color: '#5B3F7A', peaks: [[0, 0.48], [0.22, 0.32], [0.4, 0.45], [0.58, 0.3], [0.8, 0.46], [1, 0.36]] },
+    { color: '#3B2A5C', peaks: [[0, 0.55], [0.15, 0.42], [0.35, 0.56], [0.7, 0.4], [0.9, 0.52], [1, 0.47]] }
+  ];
+  for (let mountain of mountains) {
+    ctx.fillStyle = mountain.color;
+    ctx.beginPath();
+    ctx.moveTo(0, size * 0.6);
+    for (let [x, y] of mountain.peaks) {
+      ctx.lineTo(x * size, y * size);
+    }
+    ctx.lineTo(size, size * 0.6);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  // 水面与倒影
+  const water = ctx.createLinearGradient(0, size * 0.6, 0, size);
+  water.addColorStop(0, '#E58F7A');
+  water.addColorStop(1, '#2B2F6B');
+  ctx.fillStyle = water;
+  ctx.fillRect(0, size * 0.6, size, size * 0.4);
+
+  ctx.fillStyle = 'rgba(255, 224, 138, 0.6)';
+  for (let i = 0; i < 8; i++) {
+    const width = size * (0.24 - i * 0.025);
+    ctx.fillRect(size * 0.62 - width / 2, size * (0.63 + i * 0.045), width, size * 0.012);
+  }
+}
+
+/**
+ * 帆船：海天、云、波浪与帆船
+ */
+function drawOcean(ctx, size) {
+  const sky = ctx.createLinearGradient(0, 0, 0, size * 0.55);
+  sky.addColorStop(0, '#6EC6FF');
+  sky.addColorStop(1, '#D6F0FF');
+  ctx.fillStyle = sky;
+  ctx.fillRect(0, 0, size, size * 0.55);
+
+  // 云
+  ctx.fillStyle = '#FFFFFF';
+  for (let [x, y, r] of [[0.2, 0.15, 0.06], [0.27, 0.13, 0.08], [0.34, 0.16, 0.05], [0.72, 0.25, 0.05], [0.78, 0.23, 0.07]]) {
+    ctx.beginPath();
+    ctx.arc(x * size, y * size, r * size, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  // 海面
+  const sea = ctx.createLinearGradient(0, size * 0.55, 0, size);
+  sea.addColorStop(0, '#1E88E5');
+  sea.addColorStop(1, '#0D3C78');
+  ctx.fillStyle = sea;
+  ctx.fillRect(0, size * 0.55, size, size * 0.45);
+
+  // 波浪
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+  ctx.lineWidth = size * 0.008;
+  for (let row = 0; row < 6; row++) {
+    const y = size * (0.62 + row * 0.065);
+    ctx.beginPath();
+    for (let x = 0; x <= size; x += size / 40) {
+      const waveY = y + Math.sin(x / size * Math.PI * 8 + row) * size * 0.01;
+      if (x === 0) {
+        ctx.moveTo(x, waveY);
+      } else {
+        ctx.lineTo(x, waveY);
+      }
+    }
+    ctx.stroke();
+  }
+
+  // 船身
+  ctx.fillStyle = '#8D4E2A';
+  ctx.beginPath();
+  ctx.moveTo(size * 0.3, size * 0.6);
+  ctx.lineTo(size * 0.7, size * 0.6);
+  ctx.lineTo(size * 0.62, size * 0.68);
+  ctx.lineTo(size * 0.38, size * 0.68);
+  ctx.closePath();
+  ctx.fill();
+
+  // 桅杆与帆
+  ctx.fillStyle = '#5D3A1A';
+  ctx.fillRect(size * 0.495, size * 0.22, size * 0.01, size * 0.38);
+  ctx.fillStyle = '#FFFFFF';
+  ctx.beginPath();
+  ctx.moveTo(size * 0.51, size * 0.24);
+  ctx.lineTo(size * 0.66, size * 0.56);
+  ctx.lineTo(size * 0.51, size * 0.56);
+  ctx.closePath();
+  ctx.fill();
+  ctx.fillStyle = '#E53935';
+  ctx.beginPath();
+  ctx.moveTo(size * 0.49, size * 0.3);
+  ctx.lineTo(size * 0.36, size * 0.56);
+  ctx.lineTo(size * 0.49, size * 0.56);
+  ctx.closePath();
+  ctx.fill();
+}
+
+/**
+ * 彩窗：同心彩环叠加放射色块
+ */
+function drawMosaic(ctx, size) {
+  const colors = ['#E53935', '#FB8C00', '#FDD835', '#43A047', '#1E88E5', '#5E35B1', '#D81B60', '#00ACC1'];
+  const center = size / 2;
+  const radius = size * 0.75;
+
+  // 放射色块
+  for (let i = 0; i < 16; i++) {
+    const start = (i / 16) * Math.PI * 2;
+    const end = ((i + 1) / 16) * Math.PI * 2;
+    ctx.fillStyle = colors[i % colors.length];
+    ctx.beginPath();
+    ctx.moveTo(center, center);
+    ctx.arc(center, center, radius, start, end);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  // 同心彩环
+  for (let ring = 5; ring >= 1; ring--) {
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.55)';
+    ctx.lineWidth = size * 0.012;
+    ctx.beginPath();
+    ctx.arc(center, center, size * ring * 0.09, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  ctx.fillStyle = '#FFFFFF';
+  ctx.beginPath();
+  ctx.arc(center, center, size * 0.05, 0, Math.PI * 2);
+  ctx.fill();
+}
@@ -1,7 +1,7 @@
 /**
  * 音效管理器
  * 统一管理游戏音效的播放
- * 使用 wx.createInnerAudioContext() 避免重复创建实例
+ * 音效按类型维护一个小型声部池，重叠播放时互不打断
  * 支持无资源时的安全降级
  */
 
@@ -16,18 +16,18 @@ export const SoundType = {
 
 export class AudioManager {
   constructor() {
-    // 音频实例缓存
-    this.audioInstances = new Map();
+    // 音效声部池 { soundType: { voices: [InnerAudioContext], next } }
+    this.voicePools = new Map();
     
     // 全局设置
     this.enabled = true;
     this.masterVolume = 1.0;
     
-    // 音效配置
+    // 音效配置（voices 为可同时播放的声部数）
     this.soundConfig = {
-      [SoundType.BUTTON_CLICK]: { volume: 1.0, loop: false },
-      [SoundType.BLOCK_MOVE]: { volume: 0.8, loop: false },
-      [SoundType.WIN]: { volume: 1.0, loop: false }
+      [SoundType.BUTTON_CLICK]: { volume: 1.0, loop: false, voices: 2 },
+      [SoundType.BLOCK_MOVE]: { volume: 0.8, loop: false, voices: 4 },
+      [SoundType.WIN]: { volume: 1.0, loop: false, voices: 1 }
     };
 
     // 标记是否有真实音频资源
@@ -61,20 +61,41 @@ export class AudioManager {
     if (!this.hasRealAudio) return;
 
     for (let soundType of Object.values(SoundType)) {
-      this.getOrCreateAudio(soundType);
+      const pool = this._getVoicePool(soundType);
+      if (!pool) continue;
+
+      const config = this.soundConfig[soundType] || {};
+      while (pool.voices.length < (config.voices || 1)) {
+        const voice = this._createVoice(soundType);
+        if (!voice) break;
+        pool.voices.push(voice);
+      }
     }
   }
 
   /**
-   * 获取或创建音频实例
+   * 获取音效的声部池（无资源时返回 null）
    * @param {string} soundType - 音效类型
-   * @returns {InnerAudioContext|null}
    */
-  getOrCreateAudio(soundType) {
-    if (this.audioInstances.has(soundType)) {
-      return this.audioInstances.get(soundType);
+  _getVoicePool(soundType) {
+    if (this.voicePools.has(soundType)) {
+      return this.voicePools.get(soundType);
+    }
+    if (!assetManager.hasAudio(soundType)) {
+      return null;
     }
 
+    const pool = { voices: [], next: 0 };
+    this.voicePools.set(soundType, pool);
+    return pool;
+  }
+
+  /**
+   * 创建音效声部
+   * @param {string} soundType - 音效类型
+   * @returns {InnerAudioContext|null}
+   */
+  _createVoice(soundType) {
     const audioPath = assetManager.getAudioPath(soundType);
     if (!audioPath) {
       return null;
@@ -85,7 +106,7 @@ export class AudioManager {
       audio.src = audioPath;
       
       const config = this.soundConfig[soundType] || {};
-      audio.volume = (config.volume || 1.0) * this.masterVolume;
+      audio.volume = this._getSoundVolume(soundType);
       audio.loop = config.loop || false;
 
       // 错误处理
@@ -93,7 +114,6 @@ export class AudioManager {
         console.error(`[AudioManager] 音频播放错误 [${soundType}]:`, err);
       });
 
-      this.audioInstances.set(soundType, audio);
       return audio;
     } catch (e) {
       console.error(`[AudioManager] 创建音频实例失败 [${soundType}]:`, e);
@@ -101,6 +121,44 @@ export class AudioManager {
     }
   }
 
+  /**
+   * 获取或创建音频实例
+   * 声部未满时新建声部，否则轮流复用（复用最早播放的声部）
+   * @param {string} soundType - 音效类型
+   * @returns {InnerAudioContext|null}
+   */
+  getOrCreateAudio(soundType) {
+    const pool = this._getVoicePool(soundType);
+    if (!pool) {
+      return null;
+    }
+
+    const config = this.soundConfig[soundType] || {};
+    if (pool.voices.length < (config.voices || 1)) {
+      const voice = this._createVoice(soundType);
+      if (voice) {
+        pool.voices.push(voice);
+        return voice;
+      }
+      if (pool.voices.length === 0) return null;
+    }
+
+    const voice = pool.voices[pool.next % pool.voices.length];
+    pool.next = (pool.next + 1) % pool.voices.length;
+    return voice;
+  }
+
+  /**
+   * 计算音效的实际音量
+   * @param {string} soundType - 音效类型
+   * @param {number} volume - 指定音量，缺省时使用音效配置
+   */
+  _getSoundVolume(soundType, volume) {
+    const config = this.soundConfig[soundType] || {};
+    const base = volume !== undefined ? volume : (config.volume ?? 1.0);
+    return base * this.masterVolume;
+  }
+
   /**
    * 播放音效
    * @param {string} soundType - 音效类型
@@ -126,13 +184,10 @@ export class AudioManager {
     }
 
     try {
-      // 应用选项
-      if (options.volume !== undefined) {
-        audio.volume = options.volume * this.masterVolume;
-      }
-      if (options.loop !== undefined) {
-        audio.loop = options.loop;
-      }
+      // 应用选项（每次播放重新计算，复用的声部不会沿用上次的音量）
+      const config = this.soundConfig[soundType] || {};
+      audio.volume = this._getSoundVolume(soundType, options.volume);
+      audio.loop = options.loop !== undefined ? options.loop : (config.loop || false);
 
       // 重置播放位置并播放
       audio.seek(0);
@@ -145,45 +200,45 @@ export class AudioManager {
   }
 
   /**
-   * 停止音效
+   * 对音效的所有声部执行操作
    * @param {string} soundType - 音效类型
+   * @param {string} action - 'stop' / 'pause'
    */
-  stop(soundType) {
-    const audio = this.audioInstances.get(soundType);
-    if (audio) {
+  _eachVoice(soundType, action) {
+    const pool = this.voicePools.get(soundType);
+    if (!pool) return;
+
+    for (let voice of pool.voices) {
       try {
-        audio.stop();
+        voice[action]();
       } catch (e) {
-        console.error(`[AudioManager] 停止失败 [${soundType}]:`, e);
+        console.error(`[AudioManager] ${action === 'stop' ? '停止' : '暂停'}失败 [${soundType}]:`, e);
       }
     }
   }
 
+  /**
+   * 停止音效
+   * @param {string} soundType - 音效类型
+   */
+  stop(soundType) {
+    this._eachVoice(soundType, 'stop');
+  }
+
   /**
    * 暂停音效
    * @param {string} soundType - 音效类型
    */
   pause(soundType) {
-    const audio = this.audioInstances.get(soundType);
-    if (audio) {
-      try {
-        audio.pause();
-      } catch (e) {
-        console.error(`[AudioManager] 暂停失败 [${soundType}]:`, e);
-      }
-    }
+    this._eachVoice(soundType, 'pause');
   }
 
   /**
    * 停止所有音效
    */
   stopAll() {
-    for (let [soundType, audio] of this.audioInstances) {
-      try {
-        audio.stop();
-      } catch (e) {
-        console.error(`[AudioManager] 停止失败 [${soundType}]:`, e);
-      }
+    for (let soundType of this.voicePools.keys()) {
+      this.stop(soundType);
     }
   }
 
@@ -191,12 +246,8 @@ export class AudioManager {
    * 暂停所有音效
    */
   pauseAll() {
-    for (let audio of this.audioInstances.values()) {
-      try {
-        audio.pause();
-      } catch (e) {
-        console.error('[AudioManager] 暂停失败:', e);
-      }
+    for (let soundType of this.voicePools.keys()) {
+      this.pause(soundType);
     }
   }
 
@@ -230,6 +281,18 @@ export class AudioManager {
     return this.enabled;
   }
 
+  /**
+   * 更新所有音效声部的音量
+   */
+  _applySoundVolumes() {
+    for (let [soundType, pool] of this.voicePools) {
+      const volume = this._getSoundVolume(soundType);
+      for (let voice of pool.voices) {
+        voice.volume = volume;
+      }
+    }
+  }
+
   /**
    * 设置主音量
    * @param {number} volume - 0.0 ~ 1.0
@@ -238,10 +301,7 @@ export class AudioManager {
     this.masterVolume = Math.max(0, Math.min(1, volume));
     
     // 更新所有实例的音量
-    for (let [soundType, audio] of this.audioInstances) {
-      const config = this.soundConfig[soundType] || {};
-      audio.volume = (config.volume || 1.0) * this.masterVolume;
-    }
+    this._applySoundVolumes();
   }
 
   /**
@@ -255,9 +315,12 @@ export class AudioManager {
     }
     this.soundConfig[soundType].volume = Math.max(0, Math.min(1, volume));
     
-    const audio = this.audioInstances.get(soundType);
-    if (audio) {
-      audio.volume = this.soundConfig[soundType].volume * this.masterVolume;
+    const pool = this.voicePools.get(soundType);
+    if (pool) {
+      const audioVolume = this._getSoundVolume(soundType);
+      for (let voice of pool.voices) {
+        voice.volume = audioVolume;
+      }
     }
   }
 
@@ -266,15 +329,17 @@ export class AudioManager {
    * 游戏退出时调用
    */
   destroy() {
-    for (let [soundType, audio] of this.audioInstances) {
-      try {
-        audio.stop();
-        audio.destroy();
-      } catch (e) {
-        console.error(`[AudioManager] 销毁失败 [${soundType}]:`, e);
+    for (let [soundType, pool] of this.voicePools) {
+      for (let voice of pool.voices) {
+        try {
+          voice.stop();
+          voice.destroy();
+        } catch (e) {
+          console.error(`[AudioManager] 销毁失败 [${soundType}]:`, e);
+        }
       }
     }
-    this.audioInstances.clear();
+    this.voicePools.clear();
     console.log('[AudioManager] 音频管理器已销毁');
   }
 }
@@ -0,0 +1,27 @@
+/**
+ * 盲拧模式
+ * 开局先展示棋盘供记忆，随后遮挡方块数字（方块统一为同一颜色），玩家凭记忆还原；
+ * 可随时偷看片刻，每次偷看计入罚时
+ */
+
+import { normalizeSize } from './BoardSize.js';
+
+// 记忆时间：基础时间加每个方块的时间，并设上限（毫秒）
+const PREVIEW_BASE = 3000;
+const PREVIEW_PER_TILE = 250;
+const PREVIEW_MAX = 20000;
+
+// 每次偷看显示的时长（毫秒）
+export const PEEK_DURATION = 1500;
+
+// 每次偷看的罚时（毫秒）
+export const PEEK_PENALTY = 5000;
+
+/**
+ * 开局记忆时间
+ * @returns {number} 毫秒
+ */
+export function getPreviewTime(size) {
+  const { rows, cols } = normalizeSize(size);
+  return Math.min(PREVIEW_MAX, PREVIEW_BASE + (rows * cols - 1) * PREVIEW_PER_TILE);
+}
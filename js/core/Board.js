@@ -5,16 +5,51 @@
 
 import { Block } from '../ui/Block.js';
 import { audioManager, SoundType } from '../audio/AudioManager.js';
+import { assetManager } from '../assets/AssetManager.js';
+import { themeManager } from '../theme/ThemeManager.js';
+import { createRandom } from '../utils/Random.js';
+import { normalizeSize, getDefaultShuffleMoves } from './BoardSize.js';
+import { isSolvable } from '../../workers/solver/Solver.js';
+import { solverService } from './SolverService.js';
+import { Easing } from '../utils/Easing.js';
+
+// 移动动画时长（毫秒）：点击移动 / 拖动松手后的弹簧吸附
+const MOVE_DURATION = 180;
+const SNAP_DURATION = 260;
+
+// 打乱策略
+export const ShuffleStrategy = {
+  // 从完成状态随机走若干步：偏向接近完成，适合休闲
+  RANDOM_WALK: 'walk',
+  // 在所有可解局面中均匀随机：难度稳定，适合竞技
+  UNIFORM: 'uniform',
+  // 由求解器生成最优步数落在指定区间内的局面：用于难度档位
+  TARGETED: 'targeted'
+};
+
+// 步数计法
+export const MoveMetric = {
+  // 每个方块移动一格计 1 步
+  TILE: 'tile',
+  // 一次滑动整行（列）无论几块都计 1 步（速拧计法）
+  LINE: 'line'
+};
 
 export class Board {
+  /**
+   * @param {number|Object} size - 正方形边长，或 { rows, cols }（3~10）
+   * @param {Object} options - 绘制与行为配置
+   */
   constructor(size, options = {}) {
-    this.size = size;  // 4 或 5
+    const { rows, cols } = normalizeSize(size);
+    this.rows = rows;
+    this.cols = cols;
     this.grid = [];    // 二维数组存储数字
     this.blocks = [];  // Block 对象数组
     
     // 空格位置
-    this.emptyRow = size - 1;
-    this.emptyCol = size - 1;
+    this.emptyRow = rows - 1;
+    this.emptyCol = cols - 1;
     
     // 棋盘绘制参数
     this.x = options.x || 0;
@@ -25,11 +60,30 @@ export class Board {
     // 颜色配置
     this.blockColors = options.blockColors || null;
     
-    // 移动历史（用于撤销，可选）
+    // 是否遮挡方块数字（盲拧模式），重建方块时保持
+    this.concealed = options.concealed || false;
+    
+    // 图片模式：图片资源 key 与是否叠加数字
+    this.imageKey = options.imageKey || null;
+    this.showNumbers = options.showNumbers !== false;
+    
+    // 移动历史（用于撤销）与重做栈
     this.moveHistory = [];
+    this.redoStack = [];
+    
+    // 移动动画时长倍率（设置中的动画速度）
+    this.animationScale = options.animationScale || 1;
+    
+    // 撤销是否计入步数（否则撤销时步数回退）
+    this.undoCountsAsMove = options.undoCountsAsMove || false;
     
-    // 步数
-    this.moveCount = 0;
+    // 两种计法的步数，moveMetric 为默认显示的计法
+    this.moveCounts = null;
+    this.moveMetric = options.moveMetric || MoveMetric.TILE;
+    this._resetMoveCounts();
+    
+    // 移动完成回调 (type, entry)，type 为 'move' | 'undo' | 'redo'
+    this.onMove = options.onMove || null;
     
     // 动画锁
     this.isAnimating = false;
@@ -38,6 +92,9 @@ export class Board {
     this.moveQueue = [];
     this.isProcessingQueue = false;
     
+    // 进行中的拖动 { row, col, dRow, dCol, blocks, offset }
+    this.drag = null;
+    
     // 初始化
     this._initGrid();
   }
@@ -49,14 +106,15 @@ export class Board {
     this.grid = [];
     this.blocks = [];
     this.moveHistory = [];
-    this.moveCount = 0;
+    this.redoStack = [];
+    this._resetMoveCounts();
     
-    for (let row = 0; row < this.size; row++) {
+    for (let row = 0; row < this.rows; row++) {
       this.grid[row] = [];
-      for (let col = 0; col < this.size; col++) {
-        // 计算数值：1 到 size*size-1，最后一个为空格(0)
-        const value = row * this.size + col + 1;
-        if (value < this.size * this.size) {
+      for (let col = 0; col < this.cols; col++) {
+        // 计算数值：1 到 rows*cols-1，最后一个为空格(0)
+        const value = row * this.cols + col + 1;
+        if (value < this.rows * this.cols) {
           this.grid[row][col] = value;
         } else {
           this.grid[row][col] = 0;  // 空格
@@ -75,8 +133,8 @@ export class Board {
   _createBlocks() {
     this.blocks = [];
     
-    for (let row = 0; row < this.size; row++) {
-      for (let col = 0; col < this.size; col++) {
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
         const value = this.grid[row][col];
         const pos = this._getBlockPosition(row, col);
         
@@ -89,7 +147,11 @@ export class Board {
           width: this.blockSize,
           height: this.blockSize,
           borderRadius: this.blockSize * 0.15,
-          bgColor: this._getBlockColor(value)
+          bgColor: this._getBlockColor(value),
+          concealed: this.concealed,
+          imageKey: value > 0 ? this.imageKey : null,
+          imageRect: value > 0 && this.imageKey ? this._getImageRect(value) : null,
+          showNumber: this.showNumbers
         });
         
         this.blocks.push(block);
@@ -97,6 +159,34 @@ export class Board {
     }
   }
 
+  /**
+   * 图片模式下按长宽比居中截取的整图区域（方块拼成的完整画面）
+   * @returns {Object|null} { sx, sy, sw, sh }，图片未加载时为 null
+   */
+  _getPictureCrop() {
+    const image = this.imageKey ? assetManager.getImage(this.imageKey) : null;
+    if (!image) return null;
+    
+    const scale = Math.min(image.width / this.cols, image.height / this.rows);
+    const sw = this.cols * scale;
+    const sh = this.rows * scale;
+    return { sx: (image.width - sw) / 2, sy: (image.height - sh) / 2, sw, sh };
+  }
+
+  /**
+   * 方块在图片中对应的区域（按其目标位置截取）
+   */
+  _getImageRect(value) {
+    const crop = this._getPictureCrop();
+    if (!crop) return null;
+    
+    const goalRow = Math.floor((value - 1) / this.cols);
+    const goalCol = (value - 1) % this.cols;
+    const sw = crop.sw / this.cols;
+    const sh = crop.sh / this.rows;
+    return { sx: crop.sx + goalCol * sw, sy: crop.sy + goalRow * sh, sw, sh };
+  }
+
   /**
    * 获取方块颜色
    */
@@ -107,15 +197,12 @@ export class Board {
       return this.blockColors[value];
     }
     
-    // 默认颜色方案（使用十六进制，颜色加深）
-    const colors = [
-      '#2E5A8C', '#3A6FA3', '#4684BA', '#245078', '#1A4060',
-      '#3A7D70', '#469286', '#52A79C', '#2E6D62', '#245A50',
-      '#4B3F8C', '#5D4FA3', '#6F5FBA', '#3D2F78', '#2F2060',
-      '#C74A4A', '#D95C5C', '#EB6E6E', '#B53A3A', '#A32828',
-      '#D97A52', '#E98E66', '#F9A27A', '#C96A42', '#B95832'
-    ];
-    return colors[(value - 1) % colors.length];
+    // 主题配色：同一目标行的方块同色系，便于分辨已还原的行
+    const palette = themeManager.current.block.palette;
+    const goalRow = Math.floor((value - 1) / this.cols);
+    const goalCol = (value - 1) % this.cols;
+    const family = palette[goalRow % palette.length];
+    return family[goalCol % family.length];
   }
 
   /**
@@ -129,10 +216,10 @@ export class Board {
   }
 
   /**
-   * 获取方块
+   * 获取方块（空格方块的行列不随移动更新，不参与查找）
    */
   getBlock(row, col) {
-    return this.blocks.find(b => b.row === row && b.col === col);
+    return this.blocks.find(b => b.value !== 0 && b.row === row && b.col === col);
   }
 
   /**
@@ -154,6 +241,14 @@ export class Board {
     return (rowDiff === 1 && colDiff === 0) || (rowDiff === 0 && colDiff === 1);
   }
 
+  /**
+   * 检查是否可以整行（列）滑动：与空格同行或同列即可
+   */
+  canMoveLine(row, col) {
+    if (row === this.emptyRow && col === this.emptyCol) return false;
+    return row === this.emptyRow || col === this.emptyCol;
+  }
+
   /**
    * 移动方块
    * @param {Block} block - 要移动的方块
@@ -166,54 +261,292 @@ export class Board {
     
     // 如果正在动画，将操作加入队列
     if (this.isAnimating) {
-      this.moveQueue.push({ block, animate });
+      this.moveQueue.push({ type: 'move', block, animate });
       return false;
     }
     
-    this.isAnimating = true;
+    return this._commitMove(block.row, block.col, animate);
+  }
+
+  /**
+   * 整行（列）滑动：把指定格子与空格之间的方块一起推向空格
+   * 记为一条历史记录，同时按单块与整行两种计法计步
+   * @param {number} row - 起点行（与空格同行或同列）
+   * @param {number} col - 起点列
+   * @param {boolean} animate - 是否播放动画
+   * @returns {Promise<boolean>} 是否成功移动
+   */
+  async moveLine(row, col, animate = true) {
+    if (!this.canMoveLine(row, col)) return false;
+    
+    // 如果正在动画，将操作加入队列
+    if (this.isAnimating) {
+      this.moveQueue.push({ type: 'line', row, col, animate });
+      return false;
+    }
     
-    // 记录移动历史
-    this.moveHistory.push({
-      value: block.value,
-      from: { row: block.row, col: block.col },
+    return this._commitMove(row, col, animate);
+  }
+
+  /**
+   * 执行一次新的移动并记录历史
+   * @param {boolean} snap - 是否为拖动松手后的弹簧吸附
+   */
+  async _commitMove(row, col, animate, snap = false) {
+    // 新的移动使重做记录失效
+    this.redoStack = [];
+    
+    // 记录移动历史：from 为起点格子，to 为原空格
+    const entry = {
+      value: this.grid[row][col],
+      from: { row, col },
       to: { row: this.emptyRow, col: this.emptyCol }
-    });
+    };
+    this.moveHistory.push(entry);
+    
+    await this._slideLine(row, col, animate, snap);
+    
+    this._addMoveCount(entry, 1);
+    this._finishMove('move', entry);
+    
+    return true;
+  }
+
+  /**
+   * 开始拖动：指定格子到空格之间的方块将跟随手指
+   * @returns {boolean} 是否可以拖动（动画中或不与空格同行列时不可拖动）
+   */
+  beginDrag(row, col) {
+    if (this.isAnimating || !this.canMoveLine(row, col)) return false;
+    
+    this.cancelDrag();
     
-    // 交换网格数据
-    this.grid[this.emptyRow][this.emptyCol] = block.value;
-    this.grid[block.row][block.col] = 0;
+    const dRow = Math.sign(this.emptyRow - row);
+    const dCol = Math.sign(this.emptyCol - col);
+    const count = Math.abs(this.emptyRow - row) + Math.abs(this.emptyCol - col);
+    const blocks = [];
+    for (let i = 0; i < count; i++) {
+      blocks.push(this.getBlock(row + dRow * i, col + dCol * i));
+    }
+    
+    this.drag = { row, col, dRow, dCol, blocks, offset: 0 };
+    return true;
+  }
+
+  /**
+   * 更新拖动：手指位移投影到唯一合法方向，限制在原格子与空格之间
+   * @param {number} dx - 手指相对起点的横向位移
+   * @param {number} dy - 手指相对起点的纵向位移
+   */
+  updateDrag(dx, dy) {
+    const drag = this.drag;
+    if (!drag) return;
     
-    // 更新空格位置
-    const oldEmptyRow = this.emptyRow;
-    const oldEmptyCol = this.emptyCol;
-    this.emptyRow = block.row;
-    this.emptyCol = block.col;
+    const cellSize = this.blockSize + this.blockGap;
+    drag.offset = Math.max(0, Math.min(cellSize, dx * drag.dCol + dy * drag.dRow));
+    
+    for (let block of drag.blocks) {
+      block.setOffset(drag.offset * drag.dCol, drag.offset * drag.dRow);
+    }
+  }
+
+  /**
+   * 结束拖动：越过半格（或朝空格快速轻扫）则提交移动并弹簧吸附到空格，否则弹回原位
+   * @param {number[]} flick - 松手时识别出的滑动方向 [dRow, dCol]，朝向空格时未过半格也提交
+   * @returns {boolean} 是否提交了移动
+   */
+  endDrag(flick = null) {
+    const drag = this.drag;
+    if (!drag) return false;
+    this.drag = null;
+    
+    const isFlick = !!flick && flick[0] === drag.dRow && flick[1] === drag.dCol;
+    if (isFlick || drag.offset >= (this.blockSize + this.blockGap) / 2) {
+      this._commitMove(drag.row, drag.col, true, true);
+      return true;
+    }
     
-    // 更新方块位置
-    block.targetRow = oldEmptyRow;
-    block.targetCol = oldEmptyCol;
+    for (let block of drag.blocks) {
+      block.resetOffset(true, SNAP_DURATION * this.animationScale);
+    }
+    return false;
+  }
+
+  /**
+   * 取消拖动（方块立即回到原位）
+   */
+  cancelDrag() {
+    const drag = this.drag;
+    if (!drag) return;
+    this.drag = null;
+    
+    for (let block of drag.blocks) {
+      block.setOffset(0, 0);
+    }
+  }
+
+  /**
+   * 按两种计法累加一条历史记录的步数
+   * @param {Object} entry - 历史记录
+   * @param {number} sign - 1 为增加，-1 为回退
+   */
+  _addMoveCount(entry, sign) {
+    const tiles = Math.abs(entry.from.row - entry.to.row) + Math.abs(entry.from.col - entry.to.col);
+    this.moveCounts[MoveMetric.TILE] += sign * tiles;
+    this.moveCounts[MoveMetric.LINE] += sign;
+  }
+
+  /**
+   * 步数清零
+   */
+  _resetMoveCounts() {
+    this.moveCounts = {
+      [MoveMetric.TILE]: 0,
+      [MoveMetric.LINE]: 0
+    };
+  }
+
+  /**
+   * 撤销上一步
+   * 方块沿原路径动画退回，步数按 undoCountsAsMove 配置处理
+   * @param {boolean} animate - 是否播放动画
+   * @returns {Promise<boolean>} 是否成功撤销
+   */
+  async undo(animate = true) {
+    // 如果正在动画，将操作加入队列
+    if (this.isAnimating) {
+      this.moveQueue.push({ type: 'undo', animate });
+      return false;
+    }
+    
+    const entry = this.moveHistory.pop();
+    if (!entry) return false;
+    
+    this.redoStack.push(entry);
+    
+    // 空格此时在 from，从原空格位置推回即可还原
+    await this._slideLine(entry.to.row, entry.to.col, animate);
+    
+    this._addMoveCount(entry, this.undoCountsAsMove ? 1 : -1);
+    this._finishMove('undo', entry);
+    
+    return true;
+  }
+
+  /**
+   * 重做上一次撤销的移动
+   * @param {boolean} animate - 是否播放动画
+   * @returns {Promise<boolean>} 是否成功重做
+   */
+  async redo(animate = true) {
+    // 如果正在动画，将操作加入队列
+    if (this.isAnimating) {
+      this.moveQueue.push({ type: 'redo', animate });
+      return false;
+    }
+    
+    const entry = this.redoStack.pop();
+    if (!entry) return false;
+    
+    this.moveHistory.push(entry);
+    
+    await this._slideLine(entry.from.row, entry.from.col, animate);
+    
+    this._addMoveCount(entry, 1);
+    this._finishMove('redo', entry);
+    
+    return true;
+  }
+
+  /**
+   * 是否可以撤销
+   */
+  canUndo() {
+    return this.moveHistory.length > 0;
+  }
+
+  /**
+   * 是否可以重做
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * 将指定格子到空格之间的方块依次推向空格（更新网格并播放位移动画）
+   * 相邻时即单块移动；调用方负责历史记录、步数与 _finishMove
+   * @param {boolean} snap - 从拖动偏移处以弹簧缓动吸附到位
+   */
+  async _slideLine(row, col, animate, snap = false) {
+    this.isAnimating = true;
+    
+    // 其他操作打断拖动时先让方块回到原位
+    this.cancelDrag();
+    
+    // 局面变化后原提示失效
+    this.clearHint();
+    
+    // 推动方向（指向空格）与方块数
+    const dRow = Math.sign(this.emptyRow - row);
+    const dCol = Math.sign(this.emptyCol - col);
+    const count = Math.abs(this.emptyRow - row) + Math.abs(this.emptyCol - col);
+    
+    // 从起点到空格前一格的方块
+    const blocks = [];
+    for (let i = 0; i < count; i++) {
+      blocks.push(this.getBlock(row + dRow * i, col + dCol * i));
+    }
+    
+    // 更新网格：从靠近空格的一端开始依次前移
+    for (let i = count - 1; i >= 0; i--) {
+      const fromRow = row + dRow * i;
+      const fromCol = col + dCol * i;
+      this.grid[fromRow + dRow][fromCol + dCol] = this.grid[fromRow][fromCol];
+    }
+    this.grid[row][col] = 0;
+    this.emptyRow = row;
+    this.emptyCol = col;
     
     // 播放音效
     audioManager.play(SoundType.BLOCK_MOVE);
     
-    // 播放点击动画
-    block.playClickAnimation();
+    // 播放点击动画（拖动时手指已在方块上，不再缩放）
+    if (!snap) {
+      blocks[0].playClickAnimation();
+    }
     
-    // 位移动画
-    const newPos = this._getBlockPosition(oldEmptyRow, oldEmptyCol);
-    await block.setPixelPosition(newPos.x, newPos.y, animate, 180);
+    // 位移动画（同时进行，拖动时从当前偏移处继续）
+    const duration = (snap ? SNAP_DURATION : MOVE_DURATION) * this.animationScale;
+    const easing = snap ? Easing.easeOutSpring : Easing.easeInOutQuad;
+    await Promise.all(blocks.map(block => {
+      block.applyOffset();
+      block.targetRow = block.row + dRow;
+      block.targetCol = block.col + dCol;
+      const newPos = this._getBlockPosition(block.targetRow, block.targetCol);
+      return block.setPixelPosition(newPos.x, newPos.y, animate, duration, easing);
+    }));
     
     // 更新方块行列属性
-    block.row = oldEmptyRow;
-    block.col = oldEmptyCol;
-    
-    this.moveCount++;
+    for (let block of blocks) {
+      block.row = block.targetRow;
+      block.col = block.targetCol;
+    }
+  }
+
+  /**
+   * 完成一次移动：释放动画锁、通知外部并处理队列
+   * @param {string} type - 'move' | 'undo' | 'redo'
+   * @param {Object} entry - 对应的历史记录
+   */
+  _finishMove(type, entry) {
     this.isAnimating = false;
     
+    if (this.onMove) {
+      this.onMove(type, entry);
+    }
+    
     // 处理队列中的下一个操作
     this._processQueue();
-    
-    return true;
   }
   
   /**
@@ -225,16 +558,33 @@ export class Board {
     this.isProcessingQueue = true;
     
     // 取出队列中的第一个操作
-    const { block, animate } = this.moveQueue.shift();
+    const action = this.moveQueue.shift();
+    
+    let promise;
+    if (action.type === 'undo') {
+      promise = this.undo(action.animate);
+    } else if (action.type === 'redo') {
+      promise = this.redo(action.animate);
+    } else if (action.type === 'line') {
+      promise = this.moveLine(action.row, action.col, action.animate);
+    } else {
+      promise = this.moveBlock(action.block, action.animate);
+    }
     
-    // 执行移动
-    this.moveBlock(block, animate).then(() => {
+    promise.then(() => {
       this.isProcessingQueue = false;
       // 继续处理队列中的下一个
       this._processQueue();
     });
   }
 
+  /**
+   * 清空操作队列
+   */
+  clearQueue() {
+    this.moveQueue = [];
+  }
+
   /**
    * 根据行列移动（如果可移动）
    */
@@ -243,14 +593,28 @@ export class Board {
     return this.moveBlock(block, animate);
   }
 
+  /**
+   * 获取坐标所在的格子
+   * @returns {Object|null} { row, col }，不在棋盘格子内时为 null
+   */
+  getCellAt(x, y) {
+    const cellSize = this.blockSize + this.blockGap;
+    const col = Math.floor((x - this.x) / cellSize);
+    const row = Math.floor((y - this.y) / cellSize);
+    
+    if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) return null;
+    return { row, col };
+  }
+
   /**
    * 根据点击位置移动
+   * 点击与空格同行（列）但不相邻的方块时整行滑动
    */
   async moveAtPosition(x, y, animate = true) {
     // 找到点击的方块
     for (let block of this.blocks) {
       if (block.contains(x, y) && block.value !== 0) {
-        return this.moveBlock(block, animate);
+        return this.moveLine(block.row, block.col, animate);
       }
     }
     return false;
@@ -258,13 +622,37 @@ export class Board {
 
   /**
    * 打乱棋盘（保证可解）
-   * 从完成状态出发，随机执行N次合法移动
+   * @param {number} moveCount - 随机游走步数（默认按尺寸，仅 RANDOM_WALK 使用）
+   * @param {Object} options - { seed, strategy, band }
+   *   seed 指定种子时从完成状态开始，结果可复现
+   *   strategy 为 ShuffleStrategy，默认 RANDOM_WALK
+   *   band 为 TARGETED 使用的最优步数区间 { min, max }（不使用种子）
+   * @returns {Promise<Object|undefined>} TARGETED 时返回生成结果 { lower, upper, optimal, verified }
    */
-  async shuffle(moveCount) {
+  async shuffle(moveCount, options = {}) {
+    if (options.strategy === ShuffleStrategy.TARGETED) {
+      const result = await solverService.generate(this.rows, this.cols, options.band);
+      this._setGrid(result.grid);
+      return result;
+    }
+    
+    const hasSeed = options.seed !== undefined && options.seed !== null;
+    const random = hasSeed ? createRandom(options.seed) : Math.random;
+    
+    if (options.strategy === ShuffleStrategy.UNIFORM) {
+      this._shuffleUniform(random);
+      return;
+    }
+    
+    // 种子打乱必须从完成状态开始，保证同一种子得到同一棋盘
+    if (hasSeed) {
+      this._initGrid();
+    }
+    
     this.isAnimating = true;
     
-    // 默认移动次数
-    const moves = moveCount || (this.size === 4 ? 80 : 150);
+    // 默认移动次数（按格子数推导）
+    const moves = moveCount || getDefaultShuffleMoves(this);
     
     // 记录上一次移动的方向，避免立即回退
     let lastDirection = null;
@@ -286,7 +674,7 @@ export class Board {
         });
       }
       // 下
-      if (this.emptyRow < this.size - 1 && lastDirection !== 'up') {
+      if (this.emptyRow < this.rows - 1 && lastDirection !== 'up') {
         possibleMoves.push({
           row: this.emptyRow + 1,
           col: this.emptyCol,
@@ -302,7 +690,7 @@ export class Board {
         });
       }
       // 右
-      if (this.emptyCol < this.size - 1 && lastDirection !== 'left') {
+      if (this.emptyCol < this.cols - 1 && lastDirection !== 'left') {
         possibleMoves.push({
           row: this.emptyRow,
           col: this.emptyCol + 1,
@@ -311,7 +699,7 @@ export class Board {
       }
       
       // 随机选择一个方向
-      const move = possibleMoves[Math.floor(Math.random() * possibleMoves.length)];
+      const move = possibleMoves[Math.floor(random() * possibleMoves.length)];
       
       if (move) {
         // 移动（无动画）
@@ -344,23 +732,182 @@ export class Board {
     }
     
     // 重置步数（打乱不算步数）
-    this.moveCount = 0;
+    this._resetMoveCounts();
     this.moveHistory = [];
+    this.redoStack = [];
     this.isAnimating = false;
   }
 
+  /**
+   * 均匀随机打乱
+   * 先对全部数值（含空格）做 Fisher-Yates 洗牌，空格因此落在任意位置；
+   * 若逆序数与空格行的奇偶性不可解，交换两个非空方块修正。
+   * 可解与不可解局面经此交换一一对应，结果在所有可解局面中均匀分布
+   * @param {Function} random - 随机数生成器
+   */
+  _shuffleUniform(random) {
+    const cellCount = this.rows * this.cols;
+    let values;
+    let grid;
+    
+    do {
+      values = [];
+      for (let i = 0; i < cellCount; i++) {
+        values.push(i);
+      }
+      for (let i = cellCount - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [values[i], values[j]] = [values[j], values[i]];
+      }
+      
+      grid = this._toGrid(values);
+      if (!isSolvable(grid)) {
+        // 交换前两个非空方块，翻转排列奇偶性而不移动空格
+        const first = values[0] === 0 ? 1 : 0;
+        const second = values[first + 1] === 0 ? first + 2 : first + 1;
+        [values[first], values[second]] = [values[second], values[first]];
+        grid = this._toGrid(values);
+      }
+      // 排除恰好已完成的局面
+    } while (values.every((value, i) => value === (i + 1) % cellCount));
+    
+    this._setGrid(grid);
+  }
+
+  /**
+   * 行优先数组转二维网格
+   */
+  _toGrid(values) {
+    const grid = [];
+    for (let row = 0; row < this.rows; row++) {
+      grid.push(values.slice(row * this.cols, (row + 1) * this.cols));
+    }
+    return grid;
+  }
+
+  /**
+   * 直接载入指定局面（用于题目码、存档恢复）
+   * @param {number[][]} grid - 棋盘网格（0 为空格），须为可解的合法排列
+   * @returns {boolean} 是否载入成功
+   */
+  loadGrid(grid) {
+    if (!Board.isValidGrid(grid, this.rows, this.cols)) {
+      console.error('[Board] 无效的棋盘网格:', grid);
+      return false;
+    }
+    
+    this._setGrid(grid);
+    return true;
+  }
+
+  /**
+   * 替换网格并重建方块（清空历史与步数）
+   */
+  _setGrid(grid) {
+    this.grid = grid.map(row => row.slice());
+    this.moveHistory = [];
+    this.redoStack = [];
+    this._resetMoveCounts();
+    this.moveQueue = [];
+    
+    // 旧方块的动画随方块销毁而中止，同时释放动画锁、队列与拖动
+    this.isAnimating = false;
+    this.isProcessingQueue = false;
+    this.drag = null;
+    
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        if (this.grid[row][col] === 0) {
+          this.emptyRow = row;
+          this.emptyCol = col;
+        }
+      }
+    }
+    
+    for (let block of this.blocks) {
+      block.destroy();
+    }
+    this._createBlocks();
+  }
+
+  /**
+   * 导出局面快照（网格、步数与撤销 / 重做记录），可直接存入本地存储
+   */
+  getSnapshot() {
+    return {
+      grid: this.getGrid(),
+      moveCounts: { ...this.moveCounts },
+      moveHistory: this.moveHistory.map(entry => ({ ...entry })),
+      redoStack: this.redoStack.map(entry => ({ ...entry }))
+    };
+  }
+
+  /**
+   * 恢复局面快照
+   * @returns {boolean} 快照无效时返回 false，棋盘保持不变
+   */
+  restoreSnapshot(snapshot) {
+    if (!snapshot || !this.loadGrid(snapshot.grid)) return false;
+    
+    this.moveCounts = { ...this.moveCounts, ...snapshot.moveCounts };
+    this.moveHistory = (snapshot.moveHistory || []).map(entry => ({ ...entry }));
+    this.redoStack = (snapshot.redoStack || []).map(entry => ({ ...entry }));
+    return true;
+  }
+
+  /**
+   * 检查网格是否为指定尺寸下可解的合法排列
+   * @param {number[][]} grid - 棋盘网格
+   * @param {number} rows - 行数
+   * @param {number} cols - 列数（省略时为正方形）
+   */
+  static isValidGrid(grid, rows, cols = rows) {
+    if (!Array.isArray(grid) || grid.length !== rows) return false;
+    
+    const seen = new Set();
+    for (let row of grid) {
+      if (!Array.isArray(row) || row.length !== cols) return false;
+      for (let value of row) {
+        if (!Number.isInteger(value) || value < 0 || value >= rows * cols || seen.has(value)) {
+          return false;
+        }
+        seen.add(value);
+      }
+    }
+    
+    return isSolvable(grid);
+  }
+
+  /**
+   * 复制当前网格
+   */
+  getGrid() {
+    return this.grid.map(row => row.slice());
+  }
+
   /**
    * 检查是否胜利
    * 数字回到目标顺序且空格在最后
    */
   checkWin() {
-    for (let row = 0; row < this.size; row++) {
-      for (let col = 0; col < this.size; col++) {
-        const expectedValue = row * this.size + col + 1;
-        const actualValue = this.grid[row][col];
+    return Board.isSolvedGrid(this.grid);
+  }
+
+  /**
+   * 检查网格是否为完成状态（可用于不创建棋盘的校验，如导入的回放）
+   * @param {number[][]} grid - 棋盘网格
+   */
+  static isSolvedGrid(grid) {
+    const rows = grid.length;
+    const cols = grid[0].length;
+    
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const expectedValue = row * cols + col + 1;
+        const actualValue = grid[row][col];
         
         // 最后一个应该是空格(0)
-        if (row === this.size - 1 && col === this.size - 1) {
+        if (row === rows - 1 && col === cols - 1) {
           if (actualValue !== 0) return false;
         } else {
           if (actualValue !== expectedValue) return false;
@@ -370,12 +917,56 @@ export class Board {
     return true;
   }
 
+  /**
+   * 高亮提示方块
+   * @param {number} value - 方块数值
+   * @returns {boolean} 是否找到该方块
+   */
+  showHint(value) {
+    this.clearHint();
+    
+    const block = this.getBlockByValue(value);
+    if (!block || block.value === 0) return false;
+    
+    block.showHint();
+    return true;
+  }
+
+  /**
+   * 清除提示高亮
+   */
+  clearHint() {
+    for (let block of this.blocks) {
+      block.hideHint();
+    }
+  }
+
+  /**
+   * 遮挡 / 显示所有方块的数字
+   */
+  setConcealed(concealed) {
+    this.concealed = concealed;
+    for (let block of this.blocks) {
+      block.setConcealed(concealed);
+    }
+  }
+
+  /**
+   * 图片模式下是否在方块上叠加数字
+   */
+  setShowNumbers(show) {
+    this.showNumbers = show;
+    for (let block of this.blocks) {
+      block.showNumber = show;
+    }
+  }
+
   /**
    * 检查点是否在棋盘区域内
    */
   contains(x, y) {
-    const boardWidth = this.size * this.blockSize + (this.size - 1) * this.blockGap;
-    const boardHeight = boardWidth;
+    const boardWidth = this.cols * this.blockSize + (this.cols - 1) * this.blockGap;
+    const boardHeight = this.rows * this.blockSize + (this.rows - 1) * this.blockGap;
     
     return x >= this.x && 
            x <= this.x + boardWidth && 
@@ -385,9 +976,10 @@ export class Board {
 
   /**
    * 获取步数
+   * @param {string} metric - MoveMetric，省略时为 moveMetric
    */
-  getMoveCount() {
-    return this.moveCount;
+  getMoveCount(metric = this.moveMetric) {
+    return this.moveCounts[metric];
   }
 
   /**
@@ -424,6 +1016,28 @@ export class Board {
     }
   }
 
+  /**
+   * 绘制原图（图片模式下预览完成后的画面）
+   */
+  drawPicture(ctx) {
+    const crop = this._getPictureCrop();
+    if (!crop) return;
+    
+    const boardWidth = this.cols * this.blockSize + (this.cols - 1) * this.blockGap;
+    const boardHeight = this.rows * this.blockSize + (this.rows - 1) * this.blockGap;
+    
+    ctx.save();
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.2)';
+    ctx.shadowBlur = 10;
+    ctx.shadowOffsetY = 4;
+    ctx.drawImage(
+      assetManager.getImage(this.imageKey),
+      crop.sx, crop.sy, crop.sw, crop.sh,
+      this.x, this.y, boardWidth, boardHeight
+    );
+    ctx.restore();
+  }
+
   /**
    * 入场动画
    */
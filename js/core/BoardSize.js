@@ -0,0 +1,110 @@
+/**
+ * 棋盘尺寸
+ * 统一处理正方形（如 4）与长方形（如 { rows: 3, cols: 5 }）两种尺寸写法，
+ * 并按格子数推导默认打乱步数与皇冠评分时间
+ */
+
+// 支持的行列范围
+export const MIN_SIZE = 3;
+export const MAX_SIZE = 10;
+
+/**
+ * 统一为 { rows, cols }
+ * @param {number|string|Object} size - 4、'3x5' 或 { rows, cols }
+ * @returns {Object|null} 无法识别时返回 null
+ */
+export function normalizeSize(size) {
+  if (typeof size === 'number') {
+    return { rows: size, cols: size };
+  }
+  if (typeof size === 'string') {
+    const match = /^(\d+)x(\d+)$/.exec(size);
+    return match ? { rows: Number(match[1]), cols: Number(match[2]) } : null;
+  }
+  if (size && size.rows && size.cols) {
+    return { rows: size.rows, cols: size.cols };
+  }
+  return null;
+}
+
+/**
+ * 检查尺寸是否在支持范围内
+ */
+export function isValidSize(size) {
+  const normalized = normalizeSize(size);
+  if (!normalized) return false;
+
+  const { rows, cols } = normalized;
+  return Number.isInteger(rows) && Number.isInteger(cols) &&
+         rows >= MIN_SIZE && rows <= MAX_SIZE &&
+         cols >= MIN_SIZE && cols <= MAX_SIZE;
+}
+
+/**
+ * 尺寸标识（用于存储，如 '4x4'、'3x5'）
+ */
+export function getSizeKey(size) {
+  const { rows, cols } = normalizeSize(size);
+  return `${rows}x${cols}`;
+}
+
+/**
+ * 尺寸显示文字（如 '4×4'）
+ */
+export function formatSize(size) {
+  const { rows, cols } = normalizeSize(size);
+  return `${rows}×${cols}`;
+}
+
+/**
+ * 是否相同尺寸
+ */
+export function isSameSize(a, b) {
+  return getSizeKey(a) === getSizeKey(b);
+}
+
+/**
+ * 默认打乱步数
+ * 按格子数 n 取 (n² + 29n) / 9：4×4 为 80 步，5×5 为 150 步
+ */
+export function getDefaultShuffleMoves(size) {
+  const { rows, cols } = normalizeSize(size);
+  const cells = rows * cols;
+  return Math.round((cells * cells + 29 * cells) / 9);
+}
+
+// 原有尺寸的皇冠评分时间（秒），保持不变以免改变已有成绩的评分
+const BASE_STAR_TIME_LIMITS = {
+  '4x4': [
+    { stars: 3, maxTime: 60 },
+    { stars: 2, maxTime: 180 },
+    { stars: 1, maxTime: 300 }
+  ],
+  '5x5': [
+    { stars: 3, maxTime: 150 },
+    { stars: 2, maxTime: 360 },
+    { stars: 1, maxTime: 720 }
+  ]
+};
+
+/**
+ * 皇冠评分时间（秒）
+ * 4×4 与 5×5 沿用原有时间，其余尺寸按格子数的平方缩放并取整到 10 秒
+ * @returns {Object[]} [{ stars, maxTime }]，按星级从高到低
+ */
+export function getStarTimeLimits(size) {
+  const base = BASE_STAR_TIME_LIMITS[getSizeKey(size)];
+  if (base) {
+    return base.map(limit => ({ ...limit }));
+  }
+
+  const { rows, cols } = normalizeSize(size);
+  const area = (rows * cols) * (rows * cols);
+  const roundTo10 = (value) => Math.max(10, Math.round(value / 10) * 10);
+
+  return [
+    { stars: 3, maxTime: roundTo10(area * 0.24) },
+    { stars: 2, maxTime: roundTo10(area * 0.6) },
+    { stars: 1, maxTime: roundTo10(area * 1.16) }
+  ];
+}
@@ -0,0 +1,82 @@
+/**
+ * 挑战规则
+ * 在"最终还原即可"之外的附加规则：
+ *   限时：计时达到时限即失败，时限取该尺寸的二星用时线
+ *   限步：步数（单块计）用完仍未还原即失败，上限按初始局面最优步数的倍数给出
+ *   马拉松：连续还原多盘，累计用时与步数
+ */
+
+import { Timer } from './Timer.js';
+import { getStarTimeLimits } from './BoardSize.js';
+import { Difficulty } from './Difficulty.js';
+import { t } from '../i18n/I18n.js';
+
+// 挑战类型
+export const ChallengeMode = {
+  TIME_ATTACK: 'time_attack',
+  MOVE_LIMIT: 'move_limit',
+  MARATHON: 'marathon'
+};
+
+// 显示名称（文本 key）
+export const CHALLENGE_LABELS = {
+  [ChallengeMode.TIME_ATTACK]: 'challenge.time_attack',
+  [ChallengeMode.MOVE_LIMIT]: 'challenge.move_limit',
+  [ChallengeMode.MARATHON]: 'challenge.marathon'
+};
+
+// 限步挑战需要已知最优步数，未选难度时按该难度出题
+export const MOVE_LIMIT_DIFFICULTY = Difficulty.NORMAL;
+
+// 马拉松的盘数
+export const MARATHON_LENGTH = 5;
+
+// 限步上限为最优步数的倍数（普通玩家的步数约为最优的 2~3 倍）
+const MOVE_BUDGET_FACTOR = 2.5;
+
+// 只知道启发值（最优步数的下界）时，按其倍数估计最优步数
+const ESTIMATE_OPTIMAL_FACTOR = 1.4;
+
+// 限时对应的星级用时线
+const TIME_ATTACK_STARS = 2;
+
+/**
+ * 限时挑战的时限
+ * @returns {number} 毫秒
+ */
+export function getTimeLimit(size) {
+  const limit = getStarTimeLimits(size).find(item => item.stars === TIME_ATTACK_STARS);
+  return limit.maxTime * 1000;
+}
+
+/**
+ * 限步挑战的步数上限
+ * @param {number} optimal - 初始局面的最优步数（或其上界）
+ */
+export function getMoveBudget(optimal) {
+  return Math.ceil(optimal * MOVE_BUDGET_FACTOR);
+}
+
+/**
+ * 由启发值估计最优步数（求解未完成时用于推出限步上限）
+ * @param {number} estimate - 初始局面的启发值
+ */
+export function estimateOptimal(estimate) {
+  return Math.ceil(estimate * ESTIMATE_OPTIMAL_FACTOR);
+}
+
+/**
+ * 挑战规则说明（模式选择页显示）
+ */
+export function describeChallenge(challenge, size) {
+  switch (challenge) {
+    case ChallengeMode.TIME_ATTACK:
+      return t('challenge.timeAttackRule', { time: Timer.format(getTimeLimit(size)) });
+    case ChallengeMode.MOVE_LIMIT:
+      return t('challenge.moveLimitRule', { factor: MOVE_BUDGET_FACTOR });
+    case ChallengeMode.MARATHON:
+      return t('challenge.marathonRule', { count: MARATHON_LENGTH });
+    default:
+      return '';
+  }
+}
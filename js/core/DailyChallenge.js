@@ -0,0 +1,182 @@
+/**
+ * 每日挑战
+ * 由本地日历日期生成当天题目（同一天所有人棋盘相同），
+ * 每个尺寸每天仅第一次挑战计入成绩，并记录连续挑战天数
+ */
+
+import { hashString } from '../utils/Random.js';
+import { storageManager, StorageSection } from '../storage/StorageManager.js';
+import { getSizeKey } from './BoardSize.js';
+import { ShuffleStrategy } from './Board.js';
+
+// 每日挑战提供的尺寸
+export const DAILY_SIZES = [4, 5];
+
+// 挑战状态
+export const DailyStatus = {
+  NONE: 'none',
+  STARTED: 'started',
+  COMPLETED: 'completed'
+};
+
+/**
+ * 获取本地日期标识
+ * @param {Date} date - 日期（默认今天）
+ * @returns {string} YYYY-MM-DD
+ */
+export function getDateKey(date = new Date()) {
+  const year = date.getFullYear();
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * 获取某天某尺寸的题目种子
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} size - 棋盘尺寸
+ * @returns {number}
+ */
+export function getDailySeed(dateKey, size) {
+  return hashString(`daily:${dateKey}:${getSizeKey(size)}`);
+}
+
+export class DailyChallenge {
+  constructor() {
+    // { [dateKey]: { [sizeKey]: { status, timeMs, time, moves, stars } } }
+    this.records = {};
+    this.loaded = false;
+  }
+
+  /**
+   * 从本地存储读取记录
+   */
+  load() {
+    const data = storageManager.get(StorageSection.DAILY);
+    this.records = (data && data.records) || {};
+    this.loaded = true;
+  }
+
+  /**
+   * 写入本地存储
+   */
+  save() {
+    storageManager.set(StorageSection.DAILY, { records: this.records });
+  }
+
+  /**
+   * 获取某天某尺寸的记录
+   * @returns {Object|null}
+   */
+  getRecord(size, dateKey = getDateKey()) {
+    this._ensureLoaded();
+    const day = this.records[dateKey];
+    return (day && day[getSizeKey(size)]) || null;
+  }
+
+  /**
+   * 获取某天某尺寸的挑战状态
+   */
+  getStatus(size, dateKey = getDateKey()) {
+    const record = this.getRecord(size, dateKey);
+    return record ? record.status : DailyStatus.NONE;
+  }
+
+  /**
+   * 开始今日挑战
+   * 第一次开始即占用当天的计分机会（中途退出也不能重来）
+   * @returns {Object} 游戏选项 { seed, shuffle, mode, dailyDate, ranked }
+   *   每日题目统一使用均匀随机打乱，保证每天难度稳定
+   */
+  startAttempt(size) {
+    const dateKey = getDateKey();
+    const ranked = this.getStatus(size, dateKey) === DailyStatus.NONE;
+
+    if (ranked) {
+      this._setRecord(size, dateKey, { status: DailyStatus.STARTED });
+      this.save();
+    }
+
+    return {
+      seed: getDailySeed(dateKey, size),
+      shuffle: ShuffleStrategy.UNIFORM,
+      mode: 'daily',
+      dailyDate: dateKey,
+      ranked: ranked
+    };
+  }
+
+  /**
+   * 完成挑战（仅计分那一次会被记录）
+   * @param {number} size - 棋盘尺寸
+   * @param {string} dateKey - 开始挑战时的日期
+   * @param {Object} result - { timeMs, time, moves, stars }
+   * @returns {boolean} 是否记录成功
+   */
+  completeAttempt(size, dateKey, result) {
+    if (this.getStatus(size, dateKey) !== DailyStatus.STARTED) return false;
+
+    this._setRecord(size, dateKey, {
+      status: DailyStatus.COMPLETED,
+      timeMs: result.timeMs,
+      time: result.time,
+      moves: result.moves,
+      stars: result.stars
+    });
+    this.save();
+    return true;
+  }
+
+  /**
+   * 某天完成的尺寸数量
+   */
+  getCompletedCount(dateKey) {
+    this._ensureLoaded();
+    const day = this.records[dateKey];
+    if (!day) return 0;
+
+    return Object.values(day).filter(record => record.status === DailyStatus.COMPLETED).length;
+  }
+
+  /**
+   * 连续挑战天数
+   * 从今天往前数（今天尚未完成时从昨天开始），每天至少完成一个尺寸
+   */
+  getStreak() {
+    const date = new Date();
+    if (this.getCompletedCount(getDateKey(date)) === 0) {
+      date.setDate(date.getDate() - 1);
+    }
+
+    let streak = 0;
+    while (this.getCompletedCount(getDateKey(date)) > 0) {
+      streak++;
+      date.setDate(date.getDate() - 1);
+    }
+    return streak;
+  }
+
+  /**
+   * 写入记录
+   */
+  _setRecord(size, dateKey, record) {
+    this._ensureLoaded();
+    if (!this.records[dateKey]) {
+      this.records[dateKey] = {};
+    }
+    this.records[dateKey][getSizeKey(size)] = record;
+  }
+
+  /**
+   * 首次访问时读取存储
+   */
+  _ensureLoaded() {
+    if (!this.loaded) {
+      this.load();
+    }
+  }
+}
+
+// 单例实例
+export const dailyChallenge = new DailyChallenge();
+export default dailyChallenge;
@@ -0,0 +1,71 @@
+/**
+ * 难度档位
+ * 以最优解步数划分难度，区间按尺寸的"典型最优步数"缩放：
+ * 典型最优步数 ≈ 1.4 × 均匀随机局面的期望曼哈顿距离（4×4 约 52，5×5 约 108）
+ *
+ * 4×4：简单 20–30 步、普通 31–44 步、困难 45 步以上
+ */
+
+import { normalizeSize } from './BoardSize.js';
+
+// 难度档位
+export const Difficulty = {
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard'
+};
+
+// 显示名称（文本 key）
+export const DIFFICULTY_LABELS = {
+  [Difficulty.EASY]: 'difficulty.easy',
+  [Difficulty.NORMAL]: 'difficulty.normal',
+  [Difficulty.HARD]: 'difficulty.hard'
+};
+
+// 档位顺序与各档上限占典型最优步数的比例（困难无上限）
+// 简单的下限为 0.38 倍，其余档位的下限紧接上一档的上限
+const EASY_MIN_RATIO = 0.38;
+const BAND_MAX_RATIOS = [
+  [Difficulty.EASY, 0.57],
+  [Difficulty.NORMAL, 0.84],
+  [Difficulty.HARD, null]
+];
+
+/**
+ * 典型最优步数
+ * 单个方块在 n 格的一维上与随机位置的期望距离为 (n² - 1) / 3n
+ */
+export function getTypicalDistance(size) {
+  const { rows, cols } = normalizeSize(size);
+  const tileCount = rows * cols - 1;
+  const expectedManhattan = tileCount * (
+    (rows * rows - 1) / (3 * rows) + (cols * cols - 1) / (3 * cols)
+  );
+  return expectedManhattan * 1.4;
+}
+
+/**
+ * 获取难度对应的最优步数区间
+ * @returns {Object} { min, max }，max 为 null 表示无上限
+ */
+export function getDifficultyBand(size, difficulty) {
+  const distance = getTypicalDistance(size);
+  let min = Math.round(distance * EASY_MIN_RATIO);
+
+  for (let [level, maxRatio] of BAND_MAX_RATIOS) {
+    const max = maxRatio === null ? null : Math.round(distance * maxRatio);
+    if (level === difficulty) {
+      return { min, max };
+    }
+    min = max + 1;
+  }
+
+  return null;
+}
+
+/**
+ * 区间文字（如 '20–30'、'45+'）
+ */
+export function formatBand(band) {
+  return band.max === null ? `${band.min}+` : `${band.min}–${band.max}`;
+}
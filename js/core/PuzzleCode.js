@@ -0,0 +1,172 @@
+/**
+ * 题目码
+ * 把一局棋盘压缩成可输入、可复制、可放进分享链接的短字符串
+ *
+ * 格式：<尺寸><类型><内容>
+ *   尺寸：正方形为 1 位 base-36 边长（如 '4'、'a'），
+ *        长方形为 <行>x<列>（如 '3x5'）
+ *   类型 S：内容为 base-36 种子，按默认步数种子随机游走生成棋盘
+ *   类型 U：内容为 base-36 种子，按种子均匀随机生成可解棋盘
+ *   类型 P：内容为逐格数值（行优先），每格 base-62 编码
+ *          格数不超过 62 时每格 1 位，否则每格 2 位
+ *
+ * 示例：4S1kz9xq（4×4 种子局）、3P123456780（3×3 指定排列）、3x5S2bd1（3×5 种子局）
+ */
+
+import { Board, ShuffleStrategy } from './Board.js';
+import { normalizeSize, isValidSize } from './BoardSize.js';
+import { MAX_SEED } from '../utils/Random.js';
+
+// 题目码类型
+export const PuzzleCodeType = {
+  SEED: 'S',
+  UNIFORM_SEED: 'U',
+  PERMUTATION: 'P'
+};
+
+// base-62 字符表
+const BASE62 = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * 编码种子局
+ * @param {number|Object} size - 棋盘尺寸（边长或 { rows, cols }）
+ * @param {number} seed - 打乱种子
+ * @param {string} strategy - 打乱策略 ShuffleStrategy（默认随机游走）
+ * @returns {string}
+ */
+export function encodeSeed(size, seed, strategy = ShuffleStrategy.RANDOM_WALK) {
+  const type = strategy === ShuffleStrategy.UNIFORM ? PuzzleCodeType.UNIFORM_SEED : PuzzleCodeType.SEED;
+  return `${encodeSize(normalizeSize(size))}${type}${seed.toString(36)}`;
+}
+
+/**
+ * 编码指定排列
+ * @param {number[][]} grid - 棋盘网格（0 为空格）
+ * @returns {string}
+ */
+export function encodeGrid(grid) {
+  const size = { rows: grid.length, cols: grid[0].length };
+  const digits = digitsPerCell(size.rows * size.cols);
+  let payload = '';
+
+  for (let row of grid) {
+    for (let value of row) {
+      payload += toBase62(value, digits);
+    }
+  }
+
+  return `${encodeSize(size)}${PuzzleCodeType.PERMUTATION}${payload}`;
+}
+
+/**
+ * 解码题目码
+ * @param {string} code - 题目码
+ * @returns {Object|null} { size, type, seed } 或 { size, type, grid }，无效返回 null
+ *   size 对正方形为边长，对长方形为 { rows, cols }
+ */
+export function decode(code) {
+  if (typeof code !== 'string') return null;
+
+  const text = code.trim();
+  const match = /^([0-9a-z])(?:x([0-9a-z]))?([A-Z])(.+)$/.exec(text);
+  if (!match) return null;
+
+  const rows = parseInt(match[1], 36);
+  const cols = match[2] ? parseInt(match[2], 36) : rows;
+  if (!isValidSize({ rows, cols })) return null;
+
+  const size = rows === cols ? rows : { rows, cols };
+  const type = match[3];
+  const payload = match[4];
+
+  if (type === PuzzleCodeType.SEED || type === PuzzleCodeType.UNIFORM_SEED) {
+    if (!/^[0-9a-z]+$/.test(payload)) return null;
+    const seed = parseInt(payload, 36);
+    if (!(seed >= 0 && seed <= MAX_SEED)) return null;
+    return { size, type, seed };
+  }
+
+  if (type === PuzzleCodeType.PERMUTATION) {
+    const digits = digitsPerCell(rows * cols);
+    if (payload.length !== rows * cols * digits) return null;
+
+    const grid = [];
+    for (let row = 0; row < rows; row++) {
+      grid[row] = [];
+      for (let col = 0; col < cols; col++) {
+        const offset = (row * cols + col) * digits;
+        const value = fromBase62(payload.slice(offset, offset + digits));
+        if (value < 0) return null;
+        grid[row][col] = value;
+      }
+    }
+
+    if (!Board.isValidGrid(grid, rows, cols)) return null;
+    return { size, type, grid };
+  }
+
+  return null;
+}
+
+/**
+ * 把解码结果转为 game:start 的游戏选项
+ * @param {Object} puzzle - decode() 的返回值
+ * @returns {Object} { seed, shuffle } 或 { grid }
+ */
+export function toGameOptions(puzzle) {
+  if (puzzle.type === PuzzleCodeType.PERMUTATION) {
+    return { grid: puzzle.grid };
+  }
+  return {
+    seed: puzzle.seed,
+    shuffle: puzzle.type === PuzzleCodeType.UNIFORM_SEED ? ShuffleStrategy.UNIFORM : ShuffleStrategy.RANDOM_WALK
+  };
+}
+
+/**
+ * 检查题目码是否有效
+ */
+export function isValid(code) {
+  return decode(code) !== null;
+}
+
+/**
+ * 尺寸部分：正方形 1 位边长，长方形 <行>x<列>
+ */
+function encodeSize({ rows, cols }) {
+  return rows === cols
+    ? rows.toString(36)
+    : `${rows.toString(36)}x${cols.toString(36)}`;
+}
+
+/**
+ * 每格编码位数
+ */
+function digitsPerCell(cellCount) {
+  return cellCount <= BASE62.length ? 1 : 2;
+}
+
+/**
+ * 数值转定长 base-62
+ */
+function toBase62(value, digits) {
+  let text = '';
+  for (let i = 0; i < digits; i++) {
+    text = BASE62[value % 62] + text;
+    value = Math.floor(value / 62);
+  }
+  return text;
+}
+
+/**
+ * base-62 转数值（含非法字符返回 -1）
+ */
+function fromBase62(text) {
+  let value = 0;
+  for (let char of text) {
+    const digit = BASE62.indexOf(char);
+    if (digit < 0) return -1;
+    value = value * 62 + digit;
+  }
+  return value;
+}
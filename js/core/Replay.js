@@ -0,0 +1,106 @@
+/**
+ * 对局回放
+ * 回放由初始局面和按时间排列的操作组成。点击、滑动、拖动、撤销与重做
+ * 统一记为"把某格到空格之间的方块推向空格"，每个操作保存为 [row, col, t]，
+ * t 为操作完成时计时器的毫秒数
+ */
+
+/**
+ * 在网格上执行一次推动（直接修改网格）
+ * @param {number[][]} grid - 棋盘网格
+ * @param {number} row - 起点行（须与空格同行或同列）
+ * @param {number} col - 起点列
+ * @returns {boolean} 起点不合法时返回 false，网格不变
+ */
+export function slideLine(grid, row, col) {
+  const blank = findBlank(grid);
+  if (!blank || (row === blank.row && col === blank.col)) return false;
+  if (row !== blank.row && col !== blank.col) return false;
+
+  const dRow = Math.sign(blank.row - row);
+  const dCol = Math.sign(blank.col - col);
+  let r = blank.row;
+  let c = blank.col;
+  while (r !== row || c !== col) {
+    grid[r][c] = grid[r - dRow][c - dCol];
+    r -= dRow;
+    c -= dCol;
+  }
+  grid[row][col] = 0;
+  return true;
+}
+
+/**
+ * 查找空格位置
+ * @returns {Object|null} { row, col }
+ */
+export function findBlank(grid) {
+  for (let row = 0; row < grid.length; row++) {
+    const col = grid[row].indexOf(0);
+    if (col !== -1) return { row, col };
+  }
+  return null;
+}
+
+/**
+ * 计算执行前 count 个操作后的网格
+ * @param {number[][]} grid - 初始网格
+ * @param {Array} moves - 操作列表 [row, col, t]
+ * @param {number} count - 执行的操作数
+ * @returns {number[][]} 新网格
+ */
+export function getGridAt(grid, moves, count) {
+  const result = grid.map(row => row.slice());
+  for (let i = 0; i < count && i < moves.length; i++) {
+    slideLine(result, moves[i][0], moves[i][1]);
+  }
+  return result;
+}
+
+/**
+ * 回放录制器
+ */
+export class ReplayRecorder {
+  constructor() {
+    this.grid = null;
+    this.moves = [];
+  }
+
+  /**
+   * 从初始局面开始录制
+   */
+  start(grid) {
+    this.grid = grid.map(row => row.slice());
+    this.moves = [];
+  }
+
+  /**
+   * 继续录制（恢复存档时）
+   */
+  restore(grid, moves) {
+    this.grid = grid.map(row => row.slice());
+    this.moves = moves.map(move => move.slice());
+  }
+
+  /**
+   * 记录一次推动
+   * @param {number} time - 计时器毫秒数
+   */
+  record(row, col, time) {
+    this.moves.push([row, col, Math.round(time)]);
+  }
+
+  /**
+   * 生成回放数据
+   * @param {Object} info - 附加信息（尺寸、用时、步数等）
+   */
+  toReplay(info) {
+    return {
+      ...info,
+      grid: this.grid.map(row => row.slice()),
+      moves: this.moves.map(move => move.slice())
+    };
+  }
+}
+
+export default ReplayRecorder;
@@ -0,0 +1,139 @@
+/**
+ * 回放码
+ * 把一局回放压缩成可复制到聊天中的文本，也可从文本还原并校验
+ *
+ * 格式：<题目码>:<操作>[:<间隔>]
+ *   题目码：初始局面的排列题目码（见 PuzzleCode，如 3P123456780）
+ *   操作：每个操作为方块移动方向 U/D/L/R，整行滑动时后跟方块数（如 R2），
+ *        方向指方块移动的方向，空格向相反方向移动
+ *   间隔：可省略，每个操作与上一操作（首个操作与计时开始）之间的毫秒数，
+ *        base-36 编码并以 '.' 分隔，个数与操作数相同
+ *
+ * 示例：3P123456708:L（一步还原）、3P123405786:LU:k.1a（带时间）
+ */
+
+import { Board } from './Board.js';
+import { encodeGrid, decode, PuzzleCodeType } from './PuzzleCode.js';
+import { getSizeKey } from './BoardSize.js';
+import { findBlank, slideLine } from './Replay.js';
+
+// 方向 → 空格的行列偏移（方块向右移动时空格向左移动）
+const BLANK_OFFSETS = {
+  U: { dRow: 1, dCol: 0 },
+  D: { dRow: -1, dCol: 0 },
+  L: { dRow: 0, dCol: 1 },
+  R: { dRow: 0, dCol: -1 }
+};
+
+// 不含时间的回放码按固定间隔播放（毫秒）
+const DEFAULT_MOVE_INTERVAL = 400;
+
+/**
+ * 编码回放
+ * @param {Object} replay - 回放数据 { grid, moves }，moves 为 [row, col, t]
+ * @param {Object} options - { timing }，timing 为 false 时不附带时间
+ * @returns {string}
+ */
+export function encodeReplay(replay, options = {}) {
+  const timing = options.timing !== false;
+  const grid = replay.grid.map(row => row.slice());
+  let moveText = '';
+  const intervals = [];
+  let lastTime = 0;
+
+  for (let move of replay.moves) {
+    const [row, col, time] = move;
+    const blank = findBlank(grid);
+    let direction;
+    if (row === blank.row) {
+      direction = col < blank.col ? 'R' : 'L';
+    } else {
+      direction = row < blank.row ? 'D' : 'U';
+    }
+    const count = Math.abs(row - blank.row) + Math.abs(col - blank.col);
+
+    moveText += count > 1 ? `${direction}${count}` : direction;
+    intervals.push(Math.max(0, time - lastTime).toString(36));
+    lastTime = Math.max(lastTime, time);
+    slideLine(grid, row, col);
+  }
+
+  const code = `${encodeGrid(replay.grid)}:${moveText}`;
+  return timing && intervals.length > 0 ? `${code}:${intervals.join('.')}` : code;
+}
+
+/**
+ * 解码回放码
+ * 操作须逐步合法（不能把空格推出棋盘），但不要求最终还原，是否还原见 solved
+ * @param {string} code - 回放码
+ * @returns {Object|null} { size, grid, moves, timeMs, moveCount, lineMoves, solved }，无效返回 null
+ *   size 为尺寸标识（如 '4x4'），moves 为 [row, col, t]
+ */
+export function decodeReplay(code) {
+  if (typeof code !== 'string') return null;
+
+  const parts = code.trim().split(':');
+  if (parts.length < 2 || parts.length > 3) return null;
+
+  const puzzle = decode(parts[0]);
+  if (!puzzle || puzzle.type !== PuzzleCodeType.PERMUTATION) return null;
+
+  // 操作串须完全由 方向[数量] 组成
+  const moveText = parts[1];
+  if (!/^([UDLR]([1-9][0-9]*)?)*$/.test(moveText)) return null;
+  const steps = [];
+  const pattern = /([UDLR])([0-9]*)/g;
+  let match;
+  while ((match = pattern.exec(moveText)) !== null) {
+    steps.push({ direction: match[1], count: match[2] ? parseInt(match[2], 10) : 1 });
+  }
+
+  let intervals = null;
+  if (parts.length === 3) {
+    intervals = parts[2] === '' ? [] : parts[2].split('.');
+    if (intervals.length !== steps.length) return null;
+    if (!intervals.every(text => /^[0-9a-z]+$/.test(text))) return null;
+    intervals = intervals.map(text => parseInt(text, 36));
+  }
+
+  // 逐步执行，空格移出棋盘即无效
+  const grid = puzzle.grid.map(row => row.slice());
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const moves = [];
+  let time = 0;
+  let moveCount = 0;
+
+  for (let i = 0; i < steps.length; i++) {
+    const { direction, count } = steps[i];
+    const offset = BLANK_OFFSETS[direction];
+    const blank = findBlank(grid);
+    const row = blank.row + offset.dRow * count;
+    const col = blank.col + offset.dCol * count;
+    if (row < 0 || row >= rows || col < 0 || col >= cols) return null;
+
+    slideLine(grid, row, col);
+    time += intervals ? intervals[i] : DEFAULT_MOVE_INTERVAL;
+    moves.push([row, col, time]);
+    moveCount += count;
+  }
+
+  return {
+    size: getSizeKey({ rows, cols }),
+    grid: puzzle.grid,
+    moves: moves,
+    timeMs: time,
+    moveCount: moveCount,
+    lineMoves: moves.length,
+    solved: Board.isSolvedGrid(grid)
+  };
+}
+
+/**
+ * 校验回放：操作合法且最终还原棋盘
+ * @param {string} code - 回放码
+ */
+export function validateReplay(code) {
+  const replay = decodeReplay(code);
+  return replay !== null && replay.solved;
+}
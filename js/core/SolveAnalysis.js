@@ -0,0 +1,110 @@
+/**
+ * 解法分析
+ * 根据回放计算效率（最优步数 / 实际步数）、多走的步数、
+ * 分阶段用时（逐行还原，最后两行一起完成）以及每步后的剩余距离
+ */
+
+import { solverService } from './SolverService.js';
+import { slideLine } from './Replay.js';
+import { t } from '../i18n/I18n.js';
+
+/**
+ * 划分还原阶段：前 rows-2 行各为一个阶段，最后两行为一个阶段
+ * @returns {Object[]} [{ label, rows }]，rows 为该阶段完成时已还原的行数
+ */
+export function getPhases(rows, cols) {
+  const phases = [];
+  for (let row = 1; row <= rows - 2; row++) {
+    phases.push({ label: t('analysis.row', { row }), rows: row });
+  }
+  phases.push({ label: t('analysis.lastRows', { cols }), rows: rows });
+  return phases;
+}
+
+/**
+ * 回放中每个操作后的局面
+ * @returns {number[][][]} 长度为操作数 + 1，第 0 个为初始局面
+ */
+export function getReplayGrids(replay) {
+  const grid = replay.grid.map(row => row.slice());
+  const grids = [grid.map(row => row.slice())];
+  for (let move of replay.moves) {
+    slideLine(grid, move[0], move[1]);
+    grids.push(grid.map(row => row.slice()));
+  }
+  return grids;
+}
+
+/**
+ * 分阶段用时
+ * 阶段的完成点取其后不再被打乱的那一步（先还原又拆开的不算）
+ * @param {Object} replay - { grid, moves, timeMs }
+ * @param {number[][][]} grids - getReplayGrids 的结果（省略时重新计算）
+ * @returns {Object[]} [{ label, timeMs, moves }]，moves 为该阶段的操作数
+ */
+export function getPhaseTimes(replay, grids = getReplayGrids(replay)) {
+  const rows = replay.grid.length;
+  const cols = replay.grid[0].length;
+  const moves = replay.moves;
+  const endTime = moves.length > 0 ? Math.max(replay.timeMs || 0, moves[moves.length - 1][2]) : 0;
+
+  // 每个局面中从第一行起连续还原的行数（最后两行需整体还原）
+  const solvedRows = grids.map(grid => countSolvedRows(grid, rows, cols));
+
+  let lastIndex = 0;
+  let lastTime = 0;
+  return getPhases(rows, cols).map(phase => {
+    let index = grids.length - 1;
+    while (index > 0 && solvedRows[index - 1] >= phase.rows) {
+      index--;
+    }
+    index = Math.max(index, lastIndex);
+
+    const time = index === grids.length - 1 ? endTime : (index > 0 ? moves[index - 1][2] : 0);
+    const result = { label: phase.label, timeMs: Math.max(0, time - lastTime), moves: index - lastIndex };
+    lastIndex = index;
+    lastTime = Math.max(lastTime, time);
+    return result;
+  });
+}
+
+/**
+ * 分析一局
+ * @param {Object} replay - 回放数据 { grid, moves, timeMs, moveCount }
+ * @param {Object} options - { optimal }，已知最优步数（如定难度出题时求出）
+ * @returns {Promise<Object>} { optimal, lower, moveCount, efficiency, wasted, phases, distances }
+ *   optimal 未求出时为 null，此时 efficiency 按下界计算（为上限）、wasted 为 null；
+ *   distances 为初始局面及每个操作后的剩余距离估计
+ */
+export async function analyzeSolve(replay, options = {}) {
+  const grids = getReplayGrids(replay);
+  const result = await solverService.analyze(replay.grid, grids, { optimal: options.optimal || null });
+
+  const moveCount = replay.moveCount || replay.moves.length;
+  const reference = result.optimal !== null ? result.optimal : result.lower;
+
+  return {
+    optimal: result.optimal,
+    lower: result.lower,
+    moveCount: moveCount,
+    efficiency: moveCount > 0 ? Math.min(1, reference / moveCount) : 1,
+    wasted: result.optimal !== null ? Math.max(0, moveCount - result.optimal) : null,
+    phases: getPhaseTimes(replay, grids),
+    distances: result.distances
+  };
+}
+
+/**
+ * 从第一行起连续还原的行数；最后两行只在整盘还原时计入
+ */
+export function countSolvedRows(grid, rows, cols) {
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const expected = (row * cols + col + 1) % (rows * cols);
+      if (grid[row][col] !== expected) {
+        return row >= rows - 2 ? rows - 2 : row;
+      }
+    }
+  }
+  return rows;
+}
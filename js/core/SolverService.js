@@ -0,0 +1,255 @@
+/**
+ * 求解服务
+ * 主线程与求解 Worker 之间的桥梁，所有请求均返回 Promise
+ * Worker 不可用或请求超时时降级为主线程求解（不构建模式数据库，限制搜索节点）；
+ * 定难度出题与解法分析耗时较长，不在主线程运行
+ * Worker 被系统回收（iOS 后台）时拒绝未完成的请求并重新创建
+ */
+
+import { Solver } from '../../workers/solver/Solver.js';
+
+// Worker 脚本路径（需在 game.json 中配置 workers 目录）
+const WORKER_PATH = 'workers/index.js';
+
+// 主线程降级求解的节点上限（避免长时间卡顿）
+const FALLBACK_MAX_NODES = 200000;
+
+// 各类请求等待 Worker 的超时时间（毫秒），超时后改由主线程处理
+// 首次请求需构建模式数据库，留出余量
+const REQUEST_TIMEOUTS = {
+  solve: 15000,
+  estimate: 15000,
+  generate: 20000,
+  analyze: 60000
+};
+
+export class SolverService {
+  constructor() {
+    // Worker 实例
+    this.worker = null;
+
+    // 请求管理
+    this.requestId = 0;
+    this.pending = new Map();
+
+    // 主线程降级求解器缓存
+    this.localSolvers = new Map();
+  }
+
+  /**
+   * 初始化求解服务
+   */
+  init() {
+    console.log('[SolverService] 初始化求解服务');
+
+    if (!wx.createWorker) {
+      console.log('[SolverService] 不支持 Worker，使用主线程降级模式');
+      return;
+    }
+
+    this._createWorker();
+  }
+
+  /**
+   * 创建 Worker（失败时使用主线程降级模式）
+   */
+  _createWorker() {
+    try {
+      this.worker = wx.createWorker(WORKER_PATH);
+      this.worker.onMessage((message) => {
+        this._onMessage(message);
+      });
+      if (this.worker.onProcessKilled) {
+        this.worker.onProcessKilled(() => {
+          this._onProcessKilled();
+        });
+      }
+    } catch (e) {
+      console.error('[SolverService] 创建 Worker 失败，使用主线程降级模式:', e);
+      this.worker = null;
+    }
+  }
+
+  /**
+   * Worker 已被系统回收：拒绝所有未完成的请求并重新创建
+   */
+  _onProcessKilled() {
+    console.log('[SolverService] Worker 已被系统回收，重新创建');
+    this.worker = null;
+    this._rejectPending('求解 Worker 已被系统回收');
+    this._createWorker();
+  }
+
+  /**
+   * 是否有可用的 Worker（无 Worker 时不支持定难度出题与解法分析）
+   */
+  hasWorker() {
+    return this.worker !== null;
+  }
+
+  /**
+   * 求解局面
+   * @param {number[][]} grid - 棋盘网格（0 为空格）
+   * @param {Object} options - { maxNodes, weights }
+   * @returns {Promise<Object>} { status, moves, length, optimal, nodes }
+   */
+  solve(grid, options = {}) {
+    return this._request('solve', grid, options);
+  }
+
+  /**
+   * 估算到完成状态的步数（可采纳下界）
+   * @param {number[][]} grid - 棋盘网格
+   * @returns {Promise<number>}
+   */
+  estimate(grid) {
+    return this._request('estimate', grid, {});
+  }
+
+  /**
+   * 生成最优步数落在指定区间内的局面
+   * @param {number} rows - 行数
+   * @param {number} cols - 列数
+   * @param {Object} band - { min, max }，max 为 null 表示无上限
+   * @returns {Promise<Object>} { grid, lower, upper, optimal, verified }
+   */
+  generate(rows, cols, band) {
+    const goal = [];
+    for (let row = 0; row < rows; row++) {
+      goal[row] = [];
+      for (let col = 0; col < cols; col++) {
+        goal[row][col] = (row * cols + col + 1) % (rows * cols);
+      }
+    }
+    return this._request('generate', goal, { min: band.min, max: band.max });
+  }
+
+  /**
+   * 分析一局：批量估算各局面的剩余距离，可行时求出初始局面的最优步数
+   * @param {number[][]} grid - 初始局面
+   * @param {number[][][]} grids - 需要估算距离的局面列表
+   * @param {Object} options - { optimal }，已知最优步数时跳过求解
+   * @returns {Promise<Object>} { optimal, lower, distances }
+   */
+  analyze(grid, grids, options = {}) {
+    return this._request('analyze', grid, { ...options, grids });
+  }
+
+  /**
+   * 发送请求
+   */
+  _request(type, grid, options) {
+    // 复制网格，避免求解期间棋盘变化影响结果
+    const gridCopy = grid.map(row => row.slice());
+
+    if (!this.worker) {
+      return this._runLocally(type, gridCopy, options);
+    }
+
+    const id = ++this.requestId;
+
+    return new Promise((resolve, reject) => {
+      // 超时未返回时改由主线程处理（Worker 迟到的结果会被忽略）
+      const timer = setTimeout(() => {
+        if (!this.pending.has(id)) return;
+        this.pending.delete(id);
+        console.log(`[SolverService] 请求超时，改用主线程: ${type}`);
+        this._runLocally(type, gridCopy, options).then(resolve, reject);
+      }, REQUEST_TIMEOUTS[type]);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.worker.postMessage({ id, type, grid: gridCopy, options });
+    });
+  }
+
+  /**
+   * 处理 Worker 返回的消息
+   */
+  _onMessage(message) {
+    const request = this.pending.get(message.id);
+    if (!request) return;
+
+    this.pending.delete(message.id);
+    clearTimeout(request.timer);
+
+    if (message.error) {
+      request.reject(new Error(message.error));
+    } else {
+      request.resolve(message.result);
+    }
+  }
+
+  /**
+   * 拒绝所有未完成的请求
+   */
+  _rejectPending(reason) {
+    for (let request of this.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(new Error(reason));
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * 主线程降级求解（延迟到下一帧执行，不构建模式数据库）
+   * 定难度出题与解法分析会长时间阻塞渲染，直接拒绝，由调用方改用普通打乱或跳过分析
+   */
+  _runLocally(type, grid, options) {
+    if (type === 'generate' || type === 'analyze') {
+      return Promise.reject(new Error(`主线程不支持该请求: ${type}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        try {
+          const solver = this._getLocalSolver(grid);
+
+          if (type === 'estimate') {
+            resolve(solver.estimate(grid));
+            return;
+          }
+
+          resolve(solver.solve(grid, {
+            ...options,
+            maxNodes: Math.min(options.maxNodes || FALLBACK_MAX_NODES, FALLBACK_MAX_NODES)
+          }));
+        } catch (e) {
+          console.error('[SolverService] 主线程求解失败:', e);
+          reject(e);
+        }
+      }, 0);
+    });
+  }
+
+  /**
+   * 获取主线程降级求解器
+   */
+  _getLocalSolver(grid) {
+    const key = `${grid.length}x${grid[0].length}`;
+
+    if (!this.localSolvers.has(key)) {
+      this.localSolvers.set(key, new Solver(grid.length, grid[0].length, {
+        usePatternDatabase: false
+      }));
+    }
+    return this.localSolvers.get(key);
+  }
+
+  /**
+   * 销毁求解服务
+   */
+  destroy() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this._rejectPending('求解服务已销毁');
+
+    console.log('[SolverService] 求解服务已销毁');
+  }
+}
+
+// 单例实例
+export const solverService = new SolverService();
+export default solverService;
@@ -55,6 +55,29 @@ export class Timer {
     this.isRunning = true;
   }
 
+  /**
+   * 设置已用时间（用于恢复存档），计时器进入停止状态，之后 start() 从该时间继续
+   * @param {number} time - 已用时间（毫秒）
+   */
+  setTime(time) {
+    this.startTime = 0;
+    this.elapsedTime = time;
+    this.isRunning = false;
+    this.isPaused = false;
+  }
+
+  /**
+   * 追加时间（罚时），运行中也立即生效
+   * @param {number} time - 追加的时间（毫秒）
+   */
+  addTime(time) {
+    if (this.isRunning) {
+      this.startTime -= time;
+    } else {
+      this.elapsedTime += time;
+    }
+  }
+
   /**
    * 重置计时器
    */
@@ -80,7 +103,16 @@ export class Timer {
    * @returns {string} 格式: MM:SS 或 MM:SS.ms
    */
   getFormattedTime(showMilliseconds = false) {
-    const time = this.getTime();
+    return Timer.format(this.getTime(), showMilliseconds);
+  }
+
+  /**
+   * 格式化任意毫秒数
+   * @param {number} time - 毫秒
+   * @param {boolean} showMilliseconds - 是否显示百分秒
+   * @returns {string} 格式: MM:SS 或 MM:SS.ms
+   */
+  static format(time, showMilliseconds = false) {
     const totalSeconds = Math.floor(time / 1000);
     const minutes = Math.floor(totalSeconds / 60);
     const seconds = totalSeconds % 60;
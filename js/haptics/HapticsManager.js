@@ -0,0 +1,138 @@
+/**
+ * 触感反馈管理器
+ * 使用 wx.vibrateShort / wx.vibrateLong 为移动、无效点击、还原一行与胜利提供振动反馈
+ * 支持轻 / 中 / 强三档强度，不支持振动的环境安全降级为无操作
+ */
+
+// 反馈类型枚举
+export const HapticType = {
+  MOVE: 'move',
+  ILLEGAL: 'illegal',
+  ROW_COMPLETE: 'row_complete',
+  WIN: 'win'
+};
+
+// 振动强度（与 wx.vibrateShort 的 type 取值一致）
+export const HapticIntensity = {
+  LIGHT: 'light',
+  MEDIUM: 'medium',
+  HEAVY: 'heavy'
+};
+
+// 强度由弱到强
+const INTENSITY_ORDER = [HapticIntensity.LIGHT, HapticIntensity.MEDIUM, HapticIntensity.HEAVY];
+
+// 连续短振动的间隔（毫秒）
+const PULSE_INTERVAL = 80;
+
+// 各反馈的振动方式：long 为长振动；否则为 pulses 次短振动，强度在设置强度上加 boost 档
+const HAPTIC_PATTERNS = {
+  [HapticType.MOVE]: { long: false, boost: 0, pulses: 1 },
+  [HapticType.ILLEGAL]: { long: false, boost: 0, pulses: 2 },
+  [HapticType.ROW_COMPLETE]: { long: false, boost: 1, pulses: 1 },
+  [HapticType.WIN]: { long: true }
+};
+
+export class HapticsManager {
+  constructor() {
+    // 全局设置
+    this.enabled = true;
+    this.intensity = HapticIntensity.MEDIUM;
+
+    // 当前环境是否支持振动
+    this.supported = false;
+  }
+
+  /**
+   * 初始化：检测振动接口
+   */
+  init() {
+    this.supported = typeof wx !== 'undefined' && typeof wx.vibrateShort === 'function';
+
+    if (!this.supported) {
+      console.log('[HapticsManager] 当前环境不支持振动，使用安全降级模式');
+    }
+  }
+
+  /**
+   * 触发振动反馈
+   * @param {string} type - HapticType
+   */
+  play(type) {
+    if (!this.enabled || !this.supported) return;
+
+    const pattern = HAPTIC_PATTERNS[type];
+    if (!pattern) {
+      console.warn(`[HapticsManager] 未知的反馈类型: ${type}`);
+      return;
+    }
+
+    if (pattern.long) {
+      this._vibrateLong();
+      return;
+    }
+
+    const level = Math.min(INTENSITY_ORDER.length - 1, INTENSITY_ORDER.indexOf(this.intensity) + pattern.boost);
+    for (let i = 0; i < pattern.pulses; i++) {
+      if (i === 0) {
+        this._vibrateShort(INTENSITY_ORDER[level]);
+      } else {
+        setTimeout(() => this._vibrateShort(INTENSITY_ORDER[level]), i * PULSE_INTERVAL);
+      }
+    }
+  }
+
+  /**
+   * 短振动（部分设备不支持 type，失败时忽略）
+   */
+  _vibrateShort(type) {
+    try {
+      wx.vibrateShort({
+        type: type,
+        fail: () => {}
+      });
+    } catch (e) {
+      console.error('[HapticsManager] 短振动失败:', e);
+    }
+  }
+
+  /**
+   * 长振动（约 400ms）
+   */
+  _vibrateLong() {
+    if (typeof wx.vibrateLong !== 'function') {
+      this._vibrateShort(HapticIntensity.HEAVY);
+      return;
+    }
+
+    try {
+      wx.vibrateLong({
+        fail: () => {}
+      });
+    } catch (e) {
+      console.error('[HapticsManager] 长振动失败:', e);
+    }
+  }
+
+  /**
+   * 设置振动开关
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    console.log(`[HapticsManager] 振动开关: ${enabled ? '开启' : '关闭'}`);
+  }
+
+  /**
+   * 设置振动强度
+   * @param {string} intensity - HapticIntensity
+   */
+  setIntensity(intensity) {
+    if (!INTENSITY_ORDER.includes(intensity)) return;
+    this.intensity = intensity;
+  }
+}
+
+// 单例实例
+export const hapticsManager = new HapticsManager();
+export default hapticsManager;
@@ -0,0 +1,442 @@
+/**
+ * 多语言文本
+ * 按 key 查找当前语言的文本，缺失时回退到中文，再缺失时返回 key 本身；
+ * 文本中的 {name} 占位符由 params 替换
+ */
+
+import { globalEvent } from '../utils/EventEmitter.js';
+
+// 语言
+export const Language = {
+  ZH: 'zh',
+  EN: 'en'
+};
+
+// 语言显示名称（以各自语言显示）
+export const LANGUAGE_LABELS = {
+  [Language.ZH]: '中文',
+  [Language.EN]: 'English'
+};
+
+// 文本表
+const STRINGS = {
+  [Language.ZH]: {
+    'common.confirm': '确认',
+    'common.loading': '加载中...',
+    'common.moves': '步数: {moves}',
+    'common.movesOf': '步数: {moves}/{budget}',
+    'common.moveCount': '{moves} 步',
+
+    'share.title': '数字游走 - 来挑战数字华容道吧',
+    'share.code': '同一盘数字华容道，比比谁更快！题目码 {code}',
+    'share.solved': '我用 {time} 解开了这道数字华容道，来挑战吧！',
+
+    'start.title': '数字游走',
+    'start.continue': '继续游戏',
+    'start.continueSave': '继续 {size} · {time}',
+    'start.play': '开始游戏',
+    'start.stats': '数据统计',
+    'start.tip1': '抵制不良游戏，拒绝盗版游戏',
+    'start.tip2': '注意自我保护，谨防受骗上当',
+    'start.tip3': '适度游戏益脑，沉迷游戏伤身',
+    'start.tip4': '合理安排时间，享受健康生活',
+
+    'mode.title': '选择难度',
+    'mode.start': '开始 {rows} × {cols}',
+    'mode.rows': '行',
+    'mode.cols': '列',
+    'mode.classic': '经典',
+    'mode.standard': '标准',
+    'mode.blind': '🙈 盲拧',
+    'mode.blindTag': '盲拧',
+    'mode.daily': '每日挑战',
+    'mode.enterCode': '输入题目码',
+    'mode.codePlaceholder': '例如 4S1kz9xq',
+    'mode.invalidCode': '题目码无效',
+    'mode.pictureAlbum': '从相册选择',
+    'mode.pictureNone': '不使用图片',
+    'mode.band': '最优解 {band} 步',
+    'mode.randomShuffle': '随机打乱，不限定最优步数',
+
+    'game.peek': '👁 偷看',
+    'game.undo': '↶ 撤销',
+    'game.redo': '↷ 重做',
+    'game.pause': '⏸ 暂停',
+    'game.paused': '已暂停',
+    'game.resume': '继续',
+    'game.restart': '重新开始',
+    'game.newBoard': '换一局',
+    'game.quit': '退出',
+    'game.retry': '再试一次',
+    'game.timeUp': '⏰ 时间到',
+    'game.outOfMoves': '步数用完',
+    'game.winTitle': '恭喜通关！',
+    'game.code': '题目码 {code} 📋',
+    'game.codeCopied': '题目码已复制',
+    'game.numbersOn': '🔢 开',
+    'game.numbersOff': '🔢 关',
+    'game.pictureFailed': '图片加载失败',
+    'game.noMoveBudget': '无法计算步数上限，本局不限步',
+    'game.marathonStage': '马拉松 第 {stage}/{total} 盘',
+    'game.memorize': '记住棋盘 {seconds}',
+    'game.tapToStart': '点击棋盘立即开始',
+
+    'victory.title': '🎉 恭喜通关 🎉',
+    'victory.home': '返回主页',
+    'victory.share': '分享题目',
+    'victory.stats': '查看统计',
+    'victory.replay': '观看回放',
+    'victory.sizeMode': '{size} 模式',
+    'victory.dailyStreak': '每日挑战 {size} · 🔥 连续 {streak} 天',
+    'victory.dailyPractice': '每日挑战 {size} · 练习',
+    'victory.band': '{band} 步',
+    'victory.optimal': '最优 {moves}',
+    'victory.marathon': '马拉松 {count} 盘',
+    'victory.moveLimit': '限步 {budget}',
+    'victory.blindPeeks': '盲拧 偷看 {count} 次 +{seconds}s',
+    'victory.hints': '提示 {count} 次',
+    'victory.rating3': '太棒了！完美！',
+    'victory.rating2': '很好！继续加油！',
+    'victory.rating1': '不错！还可以更快！',
+    'victory.rating0': '继续加油！',
+    'victory.newRecord': '🏆 新纪录！{labels}',
+
+    'daily.title': '每日挑战',
+    'daily.play': '{size} 今日挑战',
+    'daily.completed': '{size} ✓ {time}（练习）',
+    'daily.attempted': '{size} 已挑战（练习）',
+    'daily.streak': '🔥 连续挑战 {streak} 天',
+    'daily.month': '{year}年{month}月',
+
+    'stats.title': '数据统计',
+    'stats.replays': '回放',
+    'stats.charts': '图表',
+    'stats.import': '导入',
+    'stats.importTitle': '导入回放',
+    'stats.importPlaceholder': '粘贴回放码',
+    'stats.invalidCode': '回放码无效',
+    'stats.unsolved': '该回放未还原棋盘',
+    'stats.count': '完成局数',
+    'stats.best': '最佳 {time}',
+    'stats.timeTrend': '用时走势（不含提示局）',
+    'stats.trendEmpty': '完成两局后显示',
+    'stats.single': '单局',
+    'stats.moveDistribution': '步数分布',
+    'stats.starDistribution': '星级分布',
+    'stats.noData': '暂无数据',
+    'stats.recentReplays': '最近回放（{count}）',
+    'stats.replaysEmpty': '完成一局后可在此观看回放',
+    'stats.playTime': '{size} 累计 {time} · 全部 {total}',
+
+    'replay.title': '对局回放',
+    'replay.copy': '复制',
+    'replay.codeCopied': '回放码已复制',
+    'replay.missing': '回放不存在或已被清理',
+    'replay.step': '步 {index} / {total}',
+
+    'settings.title': '设置',
+    'settings.sound': '音效',
+    'settings.masterVolume': '总音量',
+    'settings.clickVolume': '按钮音量',
+    'settings.moveVolume': '移动音量',
+    'settings.winVolume': '胜利音量',
+    'settings.vibration': '振动',
+    'settings.vibrationIntensity': '振动强度',
+    'settings.animationSpeed': '动画速度',
+    'settings.moveMetric': '计步方式',
+    'settings.showTimer': '显示计时',
+    'settings.theme': '主题',
+    'settings.language': '语言',
+
+    'intensity.light': '轻',
+    'intensity.medium': '中',
+    'intensity.heavy': '强',
+
+    'speed.slow': '慢',
+    'speed.normal': '标准',
+    'speed.fast': '快',
+
+    'metric.tile': '单块计',
+    'metric.line': '整行计',
+
+    'difficulty.easy': '简单',
+    'difficulty.normal': '普通',
+    'difficulty.hard': '困难',
+
+    'challenge.time_attack': '限时',
+    'challenge.move_limit': '限步',
+    'challenge.marathon': '马拉松',
+    'challenge.timeAttackRule': '限时 {time}',
+    'challenge.moveLimitRule': '步数上限为最优的 {factor} 倍',
+    'challenge.marathonRule': '连续 {count} 盘累计用时',
+
+    'record.moves': '最少步数',
+    'record.time': '最快用时',
+    'record.ao5': '5 局平均',
+    'record.ao12': '12 局平均',
+
+    'analysis.loading': '正在分析解法…',
+    'analysis.failed': '解法分析失败',
+    'analysis.summary': '最优 {optimal} 步 · 效率 {efficiency}% · 多走 {wasted} 步',
+    'analysis.summaryLower': '最优 ≥ {lower} 步 · 效率 ≤ {efficiency}%',
+    'analysis.remaining': '剩余 {distance}',
+    'analysis.row': '第 {row} 行',
+    'analysis.lastRows': '最后 2×{cols}',
+
+    'picture.picture': '图片',
+    'picture.album': '相册图片',
+    'picture.sunset': '日落',
+    'picture.ocean': '帆船',
+    'picture.mosaic': '彩窗',
+
+    'duration.hours': '{hours} 小时 {minutes} 分',
+    'duration.minutes': '{minutes} 分',
+    'duration.seconds': '{seconds} 秒',
+
+    'weekday.sun': '日',
+    'weekday.mon': '一',
+    'weekday.tue': '二',
+    'weekday.wed': '三',
+    'weekday.thu': '四',
+    'weekday.fri': '五',
+    'weekday.sat': '六',
+
+    'theme.title': '主题',
+    'theme.light': '明亮',
+    'theme.dark': '深色',
+    'theme.high_contrast': '高对比',
+    'theme.pastel': '马卡龙',
+    'theme.wood': '木纹',
+    'theme.neon': '霓虹'
+  },
+
+  [Language.EN]: {
+    'common.confirm': 'OK',
+    'common.loading': 'Loading...',
+    'common.moves': 'Moves: {moves}',
+    'common.movesOf': 'Moves: {moves}/{budget}',
+    'common.moveCount': '{moves} moves',
+
+    'share.title': 'Number Slide - take on the sliding puzzle',
+    'share.code': 'Same sliding puzzle, who\'s faster? Code {code}',
+    'share.solved': 'I solved this sliding puzzle in {time}. Can you beat it?',
+
+    'start.title': 'Number Slide',
+    'start.continue': 'Continue',
+    'start.continueSave': 'Continue {size} · {time}',
+    'start.play': 'Play',
+    'start.stats': 'Statistics',
+    'start.tip1': 'Say no to harmful and pirated games',
+    'start.tip2': 'Protect yourself and beware of scams',
+    'start.tip3': 'Play in moderation, excess harms health',
+    'start.tip4': 'Plan your time and enjoy a healthy life',
+
+    'mode.title': 'Choose difficulty',
+    'mode.start': 'Start {rows} × {cols}',
+    'mode.rows': 'Rows',
+    'mode.cols': 'Cols',
+    'mode.classic': 'Classic',
+    'mode.standard': 'Standard',
+    'mode.blind': '🙈 Blind',
+    'mode.blindTag': 'Blind',
+    'mode.daily': 'Daily challenge',
+    'mode.enterCode': 'Enter code',
+    'mode.codePlaceholder': 'e.g. 4S1kz9xq',
+    'mode.invalidCode': 'Invalid code',
+    'mode.pictureAlbum': 'Choose from album',
+    'mode.pictureNone': 'No picture',
+    'mode.band': 'Optimal {band} moves',
+    'mode.randomShuffle': 'Random shuffle, any optimal length',
+
+    'game.peek': '👁 Peek',
+    'game.undo': '↶ Undo',
+    'game.redo': '↷ Redo',
+    'game.pause': '⏸ Pause',
+    'game.paused': 'Paused',
+    'game.resume': 'Resume',
+    'game.restart': 'Restart',
+    'game.newBoard': 'New board',
+    'game.quit': 'Quit',
+    'game.retry': 'Try again',
+    'game.timeUp': '⏰ Time\'s up',
+    'game.outOfMoves': 'Out of moves',
+    'game.winTitle': 'Solved!',
+    'game.code': 'Code {code} 📋',
+    'game.codeCopied': 'Code copied',
+    'game.numbersOn': '🔢 On',
+    'game.numbersOff': '🔢 Off',
+    'game.pictureFailed': 'Failed to load picture',
+    'game.noMoveBudget': 'No move limit could be set for this board',
+    'game.marathonStage': 'Marathon {stage}/{total}',
+    'game.memorize': 'Memorize {seconds}',
+    'game.tapToStart': 'Tap the board to start now',
+
+    'victory.title': '🎉 Solved 🎉',
+    'victory.home': 'Home',
+    'victory.share': 'Share',
+    'victory.stats': 'Statistics',
+    'victory.replay': 'Replay',
+    'victory.sizeMode': '{size} mode',
+    'victory.dailyStreak': 'Daily {size} · 🔥 {streak}-day streak',
+    'victory.dailyPractice': 'Daily {size} · Practice',
+    'victory.band': '{band} moves',
+    'victory.optimal': 'optimal {moves}',
+    'victory.marathon': 'Marathon of {count}',
+    'victory.moveLimit': 'Move limit {budget}',
+    'victory.blindPeeks': 'Blind, {count} peeks +{seconds}s',
+    'victory.hints': '{count} hints',
+    'victory.rating3': 'Amazing! Perfect!',
+    'victory.rating2': 'Great! Keep it up!',
+    'victory.rating1': 'Nice! You can go faster!',
+    'victory.rating0': 'Keep going!',
+    'victory.newRecord': '🏆 New record! {labels}',
+
+    'daily.title': 'Daily challenge',
+    'daily.play': '{size} Today\'s challenge',
+    'daily.completed': '{size} ✓ {time} (practice)',
+    'daily.attempted': '{size} Attempted (practice)',
+    'daily.streak': '🔥 {streak}-day streak',
+    'daily.month': '{month}/{year}',
+
+    'stats.title': 'Statistics',
+    'stats.replays': 'Replays',
+    'stats.charts': 'Charts',
+    'stats.import': 'Import',
+    'stats.importTitle': 'Import replay',
+    'stats.importPlaceholder': 'Paste replay code',
+    'stats.invalidCode': 'Invalid replay code',
+    'stats.unsolved': 'This replay does not solve the board',
+    'stats.count': 'Solves',
+    'stats.best': 'Best {time}',
+    'stats.timeTrend': 'Time trend (no-hint solves)',
+    'stats.trendEmpty': 'Shown after two solves',
+    'stats.single': 'Single',
+    'stats.moveDistribution': 'Moves',
+    'stats.starDistribution': 'Stars',
+    'stats.noData': 'No data yet',
+    'stats.recentReplays': 'Recent replays ({count})',
+    'stats.replaysEmpty': 'Finish a game to watch its replay here',
+    'stats.playTime': '{size} played {time} · total {total}',
+
+    'replay.title': 'Replay',
+    'replay.copy': 'Copy',
+    'replay.codeCopied': 'Replay code copied',
+    'replay.missing': 'Replay not found or already cleared',
+    'replay.step': 'Move {index} / {total}',
+
+    'settings.title': 'Settings',
+    'settings.sound': 'Sound',
+    'settings.masterVolume': 'Master volume',
+    'settings.clickVolume': 'Button volume',
+    'settings.moveVolume': 'Move volume',
+    'settings.winVolume': 'Win volume',
+    'settings.vibration': 'Vibration',
+    'settings.vibrationIntensity': 'Vibration strength',
+    'settings.animationSpeed': 'Animation',
+    'settings.moveMetric': 'Move count',
+    'settings.showTimer': 'Show timer',
+    'settings.theme': 'Theme',
+    'settings.language': 'Language',
+
+    'intensity.light': 'Light',
+    'intensity.medium': 'Medium',
+    'intensity.heavy': 'Strong',
+
+    'speed.slow': 'Slow',
+    'speed.normal': 'Normal',
+    'speed.fast': 'Fast',
+
+    'metric.tile': 'Per tile',
+    'metric.line': 'Per line',
+
+    'difficulty.easy': 'Easy',
+    'difficulty.normal': 'Normal',
+    'difficulty.hard': 'Hard',
+
+    'challenge.time_attack': 'Timed',
+    'challenge.move_limit': 'Move limit',
+    'challenge.marathon': 'Marathon',
+    'challenge.timeAttackRule': 'Time limit {time}',
+    'challenge.moveLimitRule': 'Move limit is {factor}× optimal',
+    'challenge.marathonRule': 'Total time over {count} boards',
+
+    'record.moves': 'Fewest moves',
+    'record.time': 'Fastest time',
+    'record.ao5': 'Average of 5',
+    'record.ao12': 'Average of 12',
+
+    'analysis.loading': 'Analyzing solution…',
+    'analysis.failed': 'Analysis failed',
+    'analysis.summary': 'Optimal {optimal} · efficiency {efficiency}% · {wasted} extra',
+    'analysis.summaryLower': 'Optimal ≥ {lower} · efficiency ≤ {efficiency}%',
+    'analysis.remaining': '{distance} left',
+    'analysis.row': 'Row {row}',
+    'analysis.lastRows': 'Last 2×{cols}',
+
+    'picture.picture': 'Picture',
+    'picture.album': 'Album picture',
+    'picture.sunset': 'Sunset',
+    'picture.ocean': 'Sailboat',
+    'picture.mosaic': 'Stained glass',
+
+    'duration.hours': '{hours} h {minutes} min',
+    'duration.minutes': '{minutes} min',
+    'duration.seconds': '{seconds} s',
+
+    'weekday.sun': 'S',
+    'weekday.mon': 'M',
+    'weekday.tue': 'T',
+    'weekday.wed': 'W',
+    'weekday.thu': 'T',
+    'weekday.fri': 'F',
+    'weekday.sat': 'S',
+
+    'theme.title': 'Themes',
+    'theme.light': 'Light',
+    'theme.dark': 'Dark',
+    'theme.high_contrast': 'High contrast',
+    'theme.pastel': 'Pastel',
+    'theme.wood': 'Wood',
+    'theme.neon': 'Neon'
+  }
+};
+
+export class I18n {
+  constructor() {
+    this.language = Language.ZH;
+  }
+
+  /**
+   * 切换语言并广播 'language:change'
+   * @param {string} language - Language
+   */
+  setLanguage(language) {
+    if (!STRINGS[language] || language === this.language) return;
+
+    this.language = language;
+    console.log(`[I18n] 当前语言: ${LANGUAGE_LABELS[language]}`);
+    globalEvent.emit('language:change', language);
+  }
+
+  /**
+   * 查找文本
+   * @param {string} key - 文本 key
+   * @param {Object} params - 占位符取值
+   */
+  t(key, params = null) {
+    const text = STRINGS[this.language][key] ?? STRINGS[Language.ZH][key] ?? key;
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+  }
+}
+
+// 单例实例
+export const i18n = new I18n();
+export default i18n;
+
+/**
+ * 查找当前语言的文本（i18n.t 的简写）
+ */
+export function t(key, params) {
+  return i18n.t(key, params);
+}
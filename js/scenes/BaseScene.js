@@ -4,6 +4,8 @@
  */
 
 import { Tween, Easing } from '../utils/Tween.js';
+import { themeManager } from '../theme/ThemeManager.js';
+import { globalEvent } from '../utils/EventEmitter.js';
 
 export class BaseScene {
   constructor(canvas, ctx) {
@@ -25,6 +27,17 @@ export class BaseScene {
     // 动画
     this.enterTween = null;
     this.exitTween = null;
+    
+    // 语言切换时刷新缓存的文字
+    this._onLanguageChange = () => this.onLanguageChange();
+    globalEvent.on('language:change', this._onLanguageChange);
+  }
+
+  /**
+   * 当前主题（绘制时取色用）
+   */
+  get theme() {
+    return themeManager.current;
   }
 
   /**
@@ -98,6 +111,13 @@ export class BaseScene {
     // 子类实现
   }
 
+  /**
+   * 语言切换回调（子类重写，刷新按钮等缓存的文字）
+   */
+  onLanguageChange() {
+    // 子类实现
+  }
+
   /**
    * 处理触摸开始（子类重写）
    */
@@ -149,8 +169,8 @@ export class BaseScene {
    * 绘制背景（子类重写）
    */
   _drawBackground() {
-    // 默认白色背景
-    this.ctx.fillStyle = '#FFFFFF';
+    // 默认主题底色
+    this.ctx.fillStyle = this.theme.background.base;
     this.ctx.fillRect(0, 0, this.width, this.height);
   }
 
@@ -176,6 +196,7 @@ export class BaseScene {
    * 销毁场景
    */
   destroy() {
+    globalEvent.off('language:change', this._onLanguageChange);
     if (this.enterTween) {
       this.enterTween.stop();
     }
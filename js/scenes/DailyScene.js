@@ -0,0 +1,402 @@
+/**
+ * 每日挑战场景
+ * 今日题目入口、连续天数、按月的挑战日历
+ */
+
+import { BaseScene } from './BaseScene.js';
+import { Button } from '../ui/Button.js';
+import { ButtonRole } from '../theme/Themes.js';
+import { BackButton } from '../ui/BackButton.js';
+import { Tween, Easing } from '../utils/Tween.js';
+import { globalEvent } from '../utils/EventEmitter.js';
+import { dailyChallenge, DailyStatus, DAILY_SIZES, getDateKey } from '../core/DailyChallenge.js';
+import { t } from '../i18n/I18n.js';
+
+// 日历星期标题（文本 key）
+const WEEKDAYS = ['weekday.sun', 'weekday.mon', 'weekday.tue', 'weekday.wed', 'weekday.thu', 'weekday.fri', 'weekday.sat'];
+
+// 每个尺寸的按钮配色角色
+const SIZE_ROLES = {
+  4: ButtonRole.PRIMARY,
+  5: ButtonRole.SECONDARY
+};
+
+export class DailyScene extends BaseScene {
+  constructor(canvas, ctx) {
+    super(canvas, ctx);
+
+    // 标题（文本 key）
+    this.title = 'daily.title';
+    this.titleOpacity = 0;
+
+    // 按钮
+    this.sizeButtons = [];
+    this.prevMonthButton = null;
+    this.nextMonthButton = null;
+    this.backButton = null;
+
+    // 日历当前显示的年月
+    this.calendarYear = 0;
+    this.calendarMonth = 0;
+
+    // 连续天数
+    this.streak = 0;
+
+    // 布局
+    this.calendarX = 0;
+    this.calendarY = 0;
+    this.cellSize = 40;
+
+    // 动画状态
+    this.contentOpacity = 0;
+    this.contentY = 0;
+  }
+
+  /**
+   * 初始化
+   */
+  init() {
+    this._createButtons();
+    this.updateLayout();
+  }
+
+  /**
+   * 更新布局
+   */
+  updateLayout() {
+    super.updateLayout();
+
+    const centerX = this.width / 2;
+
+    // 今日挑战按钮
+    this.sizeButtons.forEach((button, i) => {
+      button.setPosition(centerX, this.height * 0.27 + i * 80);
+    });
+
+    // 日历
+    this.cellSize = Math.min(Math.floor((this.width - 40) / 7), 46);
+    this.calendarX = (this.width - this.cellSize * 7) / 2;
+    this.calendarY = this.height * 0.27 + DAILY_SIZES.length * 80 + 40;
+
+    if (this.prevMonthButton) {
+      this.prevMonthButton.setPosition(this.calendarX + 20, this.calendarY);
+    }
+    if (this.nextMonthButton) {
+      this.nextMonthButton.setPosition(this.calendarX + this.cellSize * 7 - 20, this.calendarY);
+    }
+
+    // 返回按钮位置（左上角）
+    if (this.backButton) {
+      this.backButton.setPosition(45, 45);
+    }
+  }
+
+  /**
+   * 创建按钮
+   */
+  _createButtons() {
+    this.sizeButtons = DAILY_SIZES.map(size => {
+      return new Button({
+        text: '',
+        width: 280,
+        height: 64,
+        fontSize: 26,
+        colorRole: SIZE_ROLES[size],
+        borderRadius: 16,
+        onClick: () => {
+          this._onDailySelected(size);
+        }
+      });
+    });
+
+    // 月份切换按钮
+    this.prevMonthButton = this._createMonthButton('‹', -1);
+    this.nextMonthButton = this._createMonthButton('›', 1);
+
+    // 返回按钮
+    this.backButton = new BackButton({
+      onClick: () => {
+        this._onBackClick();
+      }
+    });
+
+    this.uiElements.push(
+      ...this.sizeButtons,
+      this.prevMonthButton,
+      this.nextMonthButton,
+      this.backButton
+    );
+  }
+
+  /**
+   * 创建月份切换按钮
+   */
+  _createMonthButton(text, offset) {
+    return new Button({
+      text: text,
+      width: 40,
+      height: 36,
+      fontSize: 28,
+      colorRole: ButtonRole.GHOST,
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      borderRadius: 8,
+      onClick: () => {
+        this._changeMonth(offset);
+      }
+    });
+  }
+
+  /**
+   * 刷新按钮文字与连续天数
+   */
+  _refresh() {
+    dailyChallenge.load();
+    this.streak = dailyChallenge.getStreak();
+
+    DAILY_SIZES.forEach((size, i) => {
+      const button = this.sizeButtons[i];
+      const record = dailyChallenge.getRecord(size);
+      const label = `${size} × ${size}`;
+
+      if (!record) {
+        button.text = t('daily.play', { size: label });
+      } else if (record.status === DailyStatus.COMPLETED) {
+        button.text = t('daily.completed', { size: label, time: record.time });
+      } else {
+        button.text = t('daily.attempted', { size: label });
+      }
+    });
+  }
+
+  /**
+   * 语言切换
+   */
+  onLanguageChange() {
+    if (this.sizeButtons.length > 0) this._refresh();
+  }
+
+  /**
+   * 切换日历月份
+   */
+  _changeMonth(offset) {
+    const date = new Date(this.calendarYear, this.calendarMonth + offset, 1);
+    this.calendarYear = date.getFullYear();
+    this.calendarMonth = date.getMonth();
+  }
+
+  /**
+   * 选择今日挑战
+   */
+  _onDailySelected(size) {
+    const options = dailyChallenge.startAttempt(size);
+    globalEvent.emit('game:start', size, {
+      ...options,
+      returnScene: 'daily'
+    });
+  }
+
+  /**
+   * 返回按钮点击
+   */
+  _onBackClick() {
+    globalEvent.emit('scene:change', 'mode');
+  }
+
+  /**
+   * 进入动画
+   */
+  async enter() {
+    this.titleOpacity = 0;
+    this.contentOpacity = 0;
+    this.contentY = 30;
+
+    // 日历回到当月
+    const today = new Date();
+    this.calendarYear = today.getFullYear();
+    this.calendarMonth = today.getMonth();
+
+    this._refresh();
+
+    await super.enter();
+
+    // 标题动画
+    new Tween(this)
+      .to({ titleOpacity: 1 }, 300)
+      .easing(Easing.easeOutQuad)
+      .start();
+
+    // 内容动画
+    new Tween(this)
+      .to({ contentOpacity: 1, contentY: 0 }, 350)
+      .easing(Easing.easeOutQuad)
+      .start();
+
+    // 按钮入场
+    this.sizeButtons.forEach((button, i) => {
+      button.playEnterAnimation(100 + i * 100);
+    });
+    this.prevMonthButton.playEnterAnimation(300);
+    this.nextMonthButton.playEnterAnimation(300);
+    this.backButton.playEnterAnimation(50);
+  }
+
+  /**
+   * 离开动画
+   */
+  async exit() {
+    new Tween(this)
+      .to({ titleOpacity: 0, contentOpacity: 0 }, 200)
+      .easing(Easing.easeInQuad)
+      .start();
+
+    await Promise.all([
+      ...this.sizeButtons.map(button => button.playExitAnimation()),
+      this.prevMonthButton.playExitAnimation(),
+      this.nextMonthButton.playExitAnimation(),
+      this.backButton.playExitAnimation()
+    ]);
+
+    await super.exit();
+  }
+
+  /**
+   * 绘制背景 - 暖色斜向渐变
+   */
+  _drawBackground() {
+    const ctx = this.ctx;
+    const w = this.width;
+    const h = this.height;
+
+    const background = this.theme.background;
+
+    const mainGradient = ctx.createLinearGradient(0, 0, w, h);
+    mainGradient.addColorStop(0, background.gradient[0]);
+    mainGradient.addColorStop(0.4, background.gradient[1]);
+    mainGradient.addColorStop(0.7, background.gradient[2]);
+    mainGradient.addColorStop(1, background.gradient[3]);
+
+    ctx.fillStyle = mainGradient;
+    ctx.fillRect(0, 0, w, h);
+
+    // 顶部光晕
+    const topGlow = ctx.createLinearGradient(0, 0, 0, h * 0.35);
+    topGlow.addColorStop(0, `rgba(${background.glows[0]}, 0.15)`);
+    topGlow.addColorStop(1, `rgba(${background.glows[0]}, 0)`);
+    ctx.fillStyle = topGlow;
+    ctx.fillRect(0, 0, w, h * 0.35);
+  }
+
+  /**
+   * 绘制内容
+   */
+  _drawContent() {
+    this._drawTitle();
+    this._drawStreak();
+    this._drawCalendar();
+  }
+
+  /**
+   * 绘制标题
+   */
+  _drawTitle() {
+    const ctx = this.ctx;
+
+    ctx.save();
+    ctx.globalAlpha = this.titleOpacity * this.opacity;
+    ctx.fillStyle = this.theme.text.primary;
+    ctx.font = 'bold 40px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(t(this.title), this.width / 2, this.height * 0.1);
+    ctx.restore();
+  }
+
+  /**
+   * 绘制日期与连续天数
+   */
+  _drawStreak() {
+    const ctx = this.ctx;
+    const y = this.height * 0.17 + this.contentY;
+
+    ctx.save();
+    ctx.globalAlpha = this.contentOpacity * this.opacity;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    ctx.fillStyle = this.theme.text.secondary;
+    ctx.font = '20px Arial, sans-serif';
+    ctx.fillText(getDateKey(), this.width / 2, y - 16);
+
+    ctx.fillStyle = this.streak > 0 ? '#E67E22' : '#AAAAAA';
+    ctx.font = 'bold 24px Arial, sans-serif';
+    ctx.fillText(t('daily.streak', { streak: this.streak }), this.width / 2, y + 16);
+    ctx.restore();
+  }
+
+  /**
+   * 绘制挑战日历
+   * 完成一个尺寸浅色标记，全部完成深色标记，今天加描边
+   */
+  _drawCalendar() {
+    const ctx = this.ctx;
+    const cell = this.cellSize;
+    const x0 = this.calendarX;
+    const headerY = this.calendarY + this.contentY;
+
+    ctx.save();
+    ctx.globalAlpha = this.contentOpacity * this.opacity;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    // 月份标题
+    ctx.fillStyle = this.theme.text.primary;
+    ctx.font = 'bold 22px Arial, sans-serif';
+    ctx.fillText(t('daily.month', { year: this.calendarYear, month: this.calendarMonth + 1 }), this.width / 2, headerY);
+
+    // 星期标题
+    const weekY = headerY + 36;
+    ctx.fillStyle = this.theme.text.muted;
+    ctx.font = '16px Arial, sans-serif';
+    WEEKDAYS.forEach((name, i) => {
+      ctx.fillText(t(name), x0 + cell * i + cell / 2, weekY);
+    });
+
+    // 日期格
+    const firstDay = new Date(this.calendarYear, this.calendarMonth, 1).getDay();
+    const dayCount = new Date(this.calendarYear, this.calendarMonth + 1, 0).getDate();
+    const todayKey = getDateKey();
+    const gridY = weekY + 20;
+
+    for (let day = 1; day <= dayCount; day++) {
+      const index = firstDay + day - 1;
+      const cx = x0 + (index % 7) * cell + cell / 2;
+      const cy = gridY + Math.floor(index / 7) * cell + cell / 2;
+      const dateKey = getDateKey(new Date(this.calendarYear, this.calendarMonth, day));
+      const completed = dailyChallenge.getCompletedCount(dateKey);
+      const radius = cell * 0.4;
+
+      if (completed > 0) {
+        ctx.fillStyle = completed >= DAILY_SIZES.length ? '#F5B041' : 'rgba(245, 176, 65, 0.35)';
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fill();
+      }
+
+      if (dateKey === todayKey) {
+        ctx.strokeStyle = this.theme.text.accent;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+
+      ctx.fillStyle = completed >= DAILY_SIZES.length ? '#FFFFFF' : '#555555';
+      ctx.font = '16px Arial, sans-serif';
+      ctx.fillText(day.toString(), cx, cy);
+    }
+
+    ctx.restore();
+  }
+}
+
+export default DailyScene;
@@ -4,30 +4,185 @@
  */
 
 import { BaseScene } from './BaseScene.js';
-import { Board } from '../core/Board.js';
+import { Board, ShuffleStrategy, MoveMetric } from '../core/Board.js';
 import { Timer } from '../core/Timer.js';
 import { BackButton } from '../ui/BackButton.js';
+import { Button } from '../ui/Button.js';
+import { ButtonRole } from '../theme/Themes.js';
 import { Dialog } from '../ui/Dialog.js';
 import { Tween, Easing } from '../utils/Tween.js';
 import { globalEvent } from '../utils/EventEmitter.js';
 import { audioManager, SoundType } from '../audio/AudioManager.js';
+import { solverService } from '../core/SolverService.js';
+import { encodeSeed, encodeGrid } from '../core/PuzzleCode.js';
+import { normalizeSize, getSizeKey, getStarTimeLimits } from '../core/BoardSize.js';
+import { randomSeed } from '../utils/Random.js';
+import { getDifficultyBand } from '../core/Difficulty.js';
+import { GestureRecognizer, GestureType, SwipeDirection } from '../utils/Gesture.js';
+import { dailyChallenge } from '../core/DailyChallenge.js';
+import { statistics } from '../storage/Statistics.js';
+import { savedGame } from '../storage/SavedGame.js';
+import { replayStore } from '../storage/ReplayStore.js';
+import { ReplayRecorder } from '../core/Replay.js';
+import {
+  ChallengeMode,
+  MOVE_LIMIT_DIFFICULTY,
+  MARATHON_LENGTH,
+  getTimeLimit,
+  getMoveBudget,
+  estimateOptimal
+} from '../core/Challenge.js';
+import { SolveStatus } from '../../workers/solver/Solver.js';
+import { PEEK_DURATION, PEEK_PENALTY, getPreviewTime } from '../core/BlindMode.js';
+import { loadPicture, getPictureLabel } from '../assets/Pictures.js';
+import { settings, ANIMATION_SCALES } from '../storage/Settings.js';
+import { hapticsManager, HapticType } from '../haptics/HapticsManager.js';
+import { countSolvedRows } from '../core/SolveAnalysis.js';
+import { t } from '../i18n/I18n.js';
+
+// 每局默认提示次数
+const DEFAULT_HINT_LIMIT = 3;
+
+// 每使用一次提示扣除的皇冠数
+const HINT_STAR_PENALTY = 1;
+
+// 提示求解的节点上限（超出后求解器自动放宽为次优解）
+const HINT_MAX_NODES = 2000000;
+
+// 定难度出题未能证明落在区间内时的重试次数
+const GENERATE_RETRIES = 1;
+
+// 计法名称（文本 key）
+const METRIC_LABELS = {
+  [MoveMetric.TILE]: 'metric.tile',
+  [MoveMetric.LINE]: 'metric.line'
+};
+
+// 挑战失败弹窗标题（文本 key）
+const LOSS_TITLES = {
+  [ChallengeMode.TIME_ATTACK]: 'game.timeUp',
+  [ChallengeMode.MOVE_LIMIT]: 'game.outOfMoves'
+};
+
+// 图片模式长按预览原图：按住时长（毫秒）与允许的手指移动距离
+const LONG_PRESS_TIME = 500;
+const LONG_PRESS_SLOP = 10;
+
+// 滑动方向对应的行列偏移
+const SWIPE_OFFSETS = {
+  [SwipeDirection.UP]: [-1, 0],
+  [SwipeDirection.DOWN]: [1, 0],
+  [SwipeDirection.LEFT]: [0, -1],
+  [SwipeDirection.RIGHT]: [0, 1]
+};
 
 export class GameScene extends BaseScene {
   constructor(canvas, ctx) {
     super(canvas, ctx);
     
     // 游戏状态
+    // 棋盘尺寸：边长或 { rows, cols }
     this.boardSize = 4;
+    this.rows = 4;
+    this.cols = 4;
+    this.starLimits = getStarTimeLimits(4);
     this.board = null;
     this.timer = new Timer();
     this.hasStarted = false;
     this.isGameOver = false;
     this.isLoading = true;
+    this.isPaused = false;
     this.pendingBoardSize = null;
+    this.pendingGameOptions = null;
+    
+    // 提示
+    this.hintLimit = DEFAULT_HINT_LIMIT;
+    this.hintsUsed = 0;
+    this.isHintLoading = false;
+    
+    // 撤销是否计入步数
+    this.undoCountsAsMove = false;
+    
+    // 步数计法：单块计步或整行计步
+    this.moveMetric = MoveMetric.TILE;
+    
+    // 是否显示计时（限时挑战始终显示倒计时）
+    this.showTimer = true;
+    
+    // 棋盘手势（点击 / 滑动）与是否正在拖动方块
+    this.gesture = new GestureRecognizer();
+    this.isDragging = false;
+    
+    // 题目（种子 / 指定局面）与题目码
+    this.seed = null;
+    this.puzzleCode = '';
+    
+    // 本局开局参数与初始局面（用于重新开始 / 换一局）
+    this.gameOptions = {};
+    this.initialGrid = null;
+    
+    // 回放录制
+    this.recorder = new ReplayRecorder();
+    
+    // 从第一行起已还原的行数（新还原一行时给出振动反馈）
+    this.solvedRows = 0;
+    
+    // 打乱策略：休闲默认随机游走，竞技（如每日挑战）使用均匀随机
+    this.shuffleStrategy = ShuffleStrategy.RANDOM_WALK;
+    
+    // 游戏模式：'classic' 经典 | 'daily' 每日挑战
+    this.mode = 'classic';
+    this.dailyDate = '';
+    this.ranked = false;
+    
+    // 难度档位与最优步数区间（经典模式为 null）
+    this.difficulty = null;
+    this.difficultyBand = null;
+    this.optimalLength = null;
+    
+    // 当前局面是否经求解器证明落在难度区间内（未证明时不显示区间）
+    this.bandVerified = false;
+    
+    // 挑战规则（null 为标准）：限时的时限（毫秒）、限步的步数上限、
+    // 马拉松当前盘序号与已完成各盘的步数合计
+    this.challenge = null;
+    this.timeLimit = null;
+    this.moveBudget = null;
+    this.marathonStage = 1;
+    this.marathonMoves = 0;
+    this.marathonLineMoves = 0;
+    
+    // 盲拧：开局记忆与偷看的剩余显示时间（毫秒）、偷看次数
+    this.blind = false;
+    this.previewRemaining = 0;
+    this.peekRemaining = 0;
+    this.peeksUsed = 0;
+    
+    // 图片模式：图片资源 key、是否叠加数字、长按开始时间与是否正在预览原图
+    this.pictureKey = null;
+    this.showNumbers = true;
+    this.longPressStart = 0;
+    this.isPictureShown = false;
+    
+    // 返回/结束后回到的场景
+    this.returnScene = 'mode';
     
     // UI元素
     this.backButton = null;
+    this.hintButton = null;
+    this.peekButton = null;
+    this.numberButton = null;
+    this.undoButton = null;
+    this.redoButton = null;
+    this.codeButton = null;
+    this.pauseButton = null;
+    this.pauseDialog = null;
+    this.restartButton = null;
+    this.newBoardButton = null;
+    this.lossDialog = null;
     this.winDialog = null;
+    // 弹窗菜单按钮及其文本 key（切换语言时刷新）
+    this.menuButtons = [];
     
     // 布局参数
     this.boardX = 0;
@@ -46,6 +201,14 @@ export class GameScene extends BaseScene {
   init() {
     this._createUI();
     this.updateLayout();
+    
+    // 切到后台时自动暂停并存档
+    globalEvent.on('app:hide', () => {
+      if (this.visible) {
+        this._pause();
+        this._saveGame();
+      }
+    });
   }
 
   /**
@@ -57,25 +220,70 @@ export class GameScene extends BaseScene {
     const screenWidth = this.width;
     const screenHeight = this.height;
     
-    // 计算棋盘大小（适配屏幕）
+    // 棋盘可用区域：上方留给信息栏与皇冠，下方留给撤销按钮与题目码
+    const boardTop = 160;
+    const boardBottom = screenHeight - 110;
     const maxBoardWidth = screenWidth - 60;
-    const maxBoardHeight = screenHeight - 200;
-    const maxBoardSize = Math.min(maxBoardWidth, maxBoardHeight);
+    const maxBoardHeight = Math.min(screenHeight - 200, boardBottom - boardTop);
+    
+    // 方块间距随行列数缩小（5 列以内保持 10）
+    const maxLine = Math.max(this.rows, this.cols);
+    this.blockGap = Math.min(10, Math.round(50 / maxLine));
     
-    // 计算方块大小
-    this.blockSize = Math.floor((maxBoardSize - (this.boardSize - 1) * this.blockGap) / this.boardSize);
+    // 计算方块大小（宽高都要放得下）
+    this.blockSize = Math.floor(Math.min(
+      (maxBoardWidth - (this.cols - 1) * this.blockGap) / this.cols,
+      (maxBoardHeight - (this.rows - 1) * this.blockGap) / this.rows
+    ));
     
-    // 计算棋盘位置（居中）
-    const boardWidth = this.boardSize * this.blockSize + (this.boardSize - 1) * this.blockGap;
-    const boardHeight = boardWidth;
+    // 计算棋盘位置（居中，并限制在可用区域内）
+    const boardWidth = this.cols * this.blockSize + (this.cols - 1) * this.blockGap;
+    const boardHeight = this.rows * this.blockSize + (this.rows - 1) * this.blockGap;
     this.boardX = (screenWidth - boardWidth) / 2;
-    this.boardY = (screenHeight - boardHeight) / 2 + 20;
+    this.boardY = Math.min(
+      Math.max((screenHeight - boardHeight) / 2 + 20, boardTop),
+      boardBottom - boardHeight
+    );
     
     // 更新返回按钮位置
     if (this.backButton) {
       this.backButton.setPosition(45, 45);
     }
     
+    // 提示按钮（返回按钮右侧）
+    if (this.hintButton) {
+      this.hintButton.setPosition(125, 45);
+    }
+    
+    // 偷看按钮（提示按钮右侧，盲拧时显示）
+    if (this.peekButton) {
+      this.peekButton.setPosition(220, 45);
+    }
+    
+    // 数字开关（同一位置，图片模式且非盲拧时显示）
+    if (this.numberButton) {
+      this.numberButton.setPosition(220, 45);
+    }
+    
+    // 暂停按钮（右上角）
+    if (this.pauseButton) {
+      this.pauseButton.setPosition(screenWidth - 60, 45);
+    }
+    
+    // 撤销/重做按钮（棋盘下方）
+    const controlsY = this.boardY + boardHeight + 50;
+    if (this.undoButton) {
+      this.undoButton.setPosition(screenWidth / 2 - 70, controlsY);
+    }
+    if (this.redoButton) {
+      this.redoButton.setPosition(screenWidth / 2 + 70, controlsY);
+    }
+    
+    // 题目码按钮（底部）
+    if (this.codeButton) {
+      this.codeButton.setPosition(screenWidth / 2, screenHeight - 30);
+    }
+    
     // 更新棋盘位置
     if (this.board) {
       this.board.updatePosition(this.boardX, this.boardY);
@@ -87,6 +295,20 @@ export class GameScene extends BaseScene {
       this.winDialog.y = screenHeight / 2;
       this.winDialog._layoutButtons();
     }
+    
+    // 更新暂停菜单位置
+    if (this.pauseDialog) {
+      this.pauseDialog.x = screenWidth / 2;
+      this.pauseDialog.y = screenHeight / 2;
+      this.pauseDialog._layoutButtons();
+    }
+    
+    // 更新挑战失败弹窗位置
+    if (this.lossDialog) {
+      this.lossDialog.x = screenWidth / 2;
+      this.lossDialog.y = screenHeight / 2;
+      this.lossDialog._layoutButtons();
+    }
   }
 
   /**
@@ -100,28 +322,213 @@ export class GameScene extends BaseScene {
       }
     });
     
+    // 提示按钮
+    this.hintButton = new Button({
+      text: '',
+      width: 90,
+      height: 50,
+      fontSize: 22,
+      colorRole: ButtonRole.WARNING,
+      borderRadius: 8,
+      onClick: () => {
+        this._onHintClick();
+      }
+    });
+    this._updateHintButton();
+    
+    // 偷看按钮（盲拧）
+    this.peekButton = new Button({
+      text: t('game.peek'),
+      width: 90,
+      height: 50,
+      fontSize: 20,
+      colorRole: ButtonRole.ACCENT,
+      borderRadius: 8,
+      onClick: () => {
+        this._onPeekClick();
+      }
+    });
+    this.peekButton.visible = false;
+    
+    // 图片方块数字开关
+    this.numberButton = new Button({
+      text: '',
+      width: 90,
+      height: 50,
+      fontSize: 20,
+      colorRole: ButtonRole.SECONDARY,
+      borderRadius: 8,
+      onClick: () => {
+        this._onNumberToggle();
+      }
+    });
+    this.numberButton.visible = false;
+    
+    // 撤销/重做按钮
+    this.undoButton = new Button({
+      text: t('game.undo'),
+      width: 120,
+      height: 50,
+      fontSize: 22,
+      colorRole: ButtonRole.NEUTRAL,
+      borderRadius: 10,
+      onClick: () => {
+        this._onUndoClick();
+      }
+    });
+    
+    this.redoButton = new Button({
+      text: t('game.redo'),
+      width: 120,
+      height: 50,
+      fontSize: 22,
+      colorRole: ButtonRole.NEUTRAL,
+      borderRadius: 10,
+      onClick: () => {
+        this._onRedoClick();
+      }
+    });
+    this._updateUndoButtons();
+    
+    // 题目码按钮（点击复制）
+    this.codeButton = new Button({
+      text: '',
+      width: 260,
+      height: 36,
+      fontSize: 18,
+      colorRole: ButtonRole.GHOST,
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      borderRadius: 18,
+      onClick: () => {
+        this._onCodeClick();
+      }
+    });
+    this.codeButton.visible = false;
+    
+    // 暂停按钮
+    this.pauseButton = new Button({
+      text: t('game.pause'),
+      width: 90,
+      height: 50,
+      fontSize: 20,
+      colorRole: ButtonRole.NEUTRAL,
+      borderRadius: 8,
+      onClick: () => {
+        this._pause();
+      }
+    });
+    
+    // 暂停菜单（棋盘在暂停期间隐藏）
+    this.pauseDialog = new Dialog({
+      width: 320,
+      height: 400,
+      title: t('game.paused'),
+      layout: 'vertical'
+    });
+    this.pauseDialog.addButton(this._createMenuButton(this.pauseDialog, 'game.resume', ButtonRole.PRIMARY, () => this._resume()));
+    this.restartButton = this.pauseDialog.addButton(
+      this._createMenuButton(this.pauseDialog, 'game.restart', ButtonRole.SECONDARY, () => this._restartGame())
+    );
+    this.newBoardButton = this.pauseDialog.addButton(
+      this._createMenuButton(this.pauseDialog, 'game.newBoard', ButtonRole.WARNING, () => this._newGame())
+    );
+    this.pauseDialog.addButton(this._createMenuButton(this.pauseDialog, 'game.quit', ButtonRole.NEUTRAL, () => this._onBackClick()));
+    
+    // 挑战失败弹窗（限时 / 限步）
+    this.lossDialog = new Dialog({
+      width: 320,
+      height: 330,
+      title: '',
+      layout: 'vertical'
+    });
+    this.lossDialog.addButton(this._createMenuButton(this.lossDialog, 'game.retry', ButtonRole.SECONDARY, () => this._restartGame()));
+    this.lossDialog.addButton(this._createMenuButton(this.lossDialog, 'game.newBoard', ButtonRole.WARNING, () => this._newGame()));
+    this.lossDialog.addButton(this._createMenuButton(this.lossDialog, 'game.quit', ButtonRole.NEUTRAL, () => this._onBackClick()));
+    
     // 胜利弹窗
     this.winDialog = new Dialog({
       width: 400,
       height: 280,
-      title: '恭喜通关！',
-      content: '',
-      overlayColor: 'rgba(0, 0, 0, 0.6)'
+      title: t('game.winTitle'),
+      content: ''
     });
     
-    this.winDialog.addConfirmButton('确认', () => {
+    this.winDialog.addConfirmButton(t('common.confirm'), () => {
       this._onWinConfirm();
     });
     
-    this.uiElements.push(this.backButton, this.winDialog);
+    this.uiElements.push(
+      this.backButton,
+      this.hintButton,
+      this.peekButton,
+      this.numberButton,
+      this.undoButton,
+      this.redoButton,
+      this.codeButton,
+      this.pauseButton,
+      this.winDialog,
+      this.pauseDialog,
+      this.lossDialog
+    );
+  }
+
+  /**
+   * 创建菜单按钮（暂停菜单、挑战失败弹窗；点击后先关闭弹窗再执行）
+   * @param {string} textKey - 按钮文本 key
+   */
+  _createMenuButton(dialog, textKey, colorRole, onClick) {
+    const button = new Button({
+      text: t(textKey),
+      width: 220,
+      height: 56,
+      fontSize: 24,
+      colorRole: colorRole,
+      borderRadius: 14,
+      onClick: () => {
+        dialog.hide();
+        onClick();
+      }
+    });
+    this.menuButtons.push({ button, textKey });
+    return button;
+  }
+
+  /**
+   * 语言切换：刷新按钮与弹窗中缓存的文字
+   */
+  onLanguageChange() {
+    if (!this.pauseDialog) return;
+    
+    this.peekButton.text = t('game.peek');
+    this.undoButton.text = t('game.undo');
+    this.redoButton.text = t('game.redo');
+    this.pauseButton.text = t('game.pause');
+    this.pauseDialog.title = t('game.paused');
+    this.winDialog.title = t('game.winTitle');
+    this.winDialog.confirmButton.text = t('common.confirm');
+    for (let { button, textKey } of this.menuButtons) {
+      button.text = t(textKey);
+    }
+    if (this.challenge && LOSS_TITLES[this.challenge]) {
+      this.lossDialog.title = t(LOSS_TITLES[this.challenge]);
+    }
+    if (this.puzzleCode) {
+      this.codeButton.text = t('game.code', { code: this.puzzleCode });
+    }
+    this._updateNumberButton();
   }
 
   /**
    * 开始游戏
+   * @param {Object} options - 开局参数；带 snapshot（存档）时恢复存档中的局面与计时
    */
-  async startGame(size) {
+  async startGame(size, options = {}) {
     // 立即设置加载状态并清除旧棋盘，防止显示旧棋盘
     this.isLoading = true;
+    this.isPaused = false;
+    const { snapshot, ...gameOptions } = options;
+    this.gameOptions = gameOptions;
+    this.initialGrid = null;
     
     // 销毁旧棋盘并立即清除引用，防止绘制
     if (this.board) {
@@ -129,35 +536,252 @@ export class GameScene extends BaseScene {
       this.board = null;
     }
     
+    const { rows, cols } = normalizeSize(size);
     this.boardSize = size;
+    this.rows = rows;
+    this.cols = cols;
+    this.starLimits = getStarTimeLimits(size);
     this.hasStarted = false;
     this.isGameOver = false;
+    this.isDragging = false;
     this.timer.reset();
     
+    // 重置提示
+    this.hintLimit = options.hintLimit !== undefined ? options.hintLimit : DEFAULT_HINT_LIMIT;
+    this.hintsUsed = 0;
+    this.isHintLoading = false;
+    this._updateHintButton();
+    
+    // 撤销与计步配置
+    this.undoCountsAsMove = options.undoCountsAsMove || false;
+    this.moveMetric = options.moveMetric || settings.get('moveMetric');
+    this.showTimer = settings.get('showTimer');
+    
+    // 模式配置
+    this.mode = options.mode || 'classic';
+    this.dailyDate = options.dailyDate || '';
+    this.ranked = options.ranked || false;
+    this.returnScene = options.returnScene || 'mode';
+    
+    // 挑战规则（马拉松第 2 盘起由上一盘带入序号、累计用时与步数）
+    this.challenge = options.challenge || null;
+    this.timeLimit = this.challenge === ChallengeMode.TIME_ATTACK ? getTimeLimit(size) : null;
+    this.moveBudget = null;
+    this.marathonStage = options.marathonStage || 1;
+    this.marathonMoves = options.marathonMoves || 0;
+    this.marathonLineMoves = options.marathonLineMoves || 0;
+    
+    // 盲拧（马拉松各盘的偷看次数累计）
+    this.blind = options.blind || false;
+    this.previewRemaining = 0;
+    this.peekRemaining = 0;
+    this.peeksUsed = options.marathonPeeks || 0;
+    this._updatePeekButton();
+    
+    // 难度档位（未指定时为经典随机打乱；限步挑战需要最优步数，按默认难度出题）
+    this.difficulty = options.difficulty ||
+      (this.challenge === ChallengeMode.MOVE_LIMIT ? MOVE_LIMIT_DIFFICULTY : null);
+    this.difficultyBand = this.difficulty ? getDifficultyBand(size, this.difficulty) : null;
+    this.bandVerified = false;
+    this.optimalLength = null;
+    
+    // 图片模式：先加载图片（失败时退回数字方块）
+    this.pictureKey = null;
+    this.showNumbers = options.showNumbers !== false;
+    this.longPressStart = 0;
+    this.isPictureShown = false;
+    if (options.picture) {
+      try {
+        this.pictureKey = await loadPicture(options.picture);
+      } catch (e) {
+        console.error('[GameScene] 加载图片失败:', e);
+        wx.showToast({ title: t('game.pictureFailed'), icon: 'none' });
+      }
+      
+      // 加载期间已开始新的一局
+      if (this.gameOptions !== gameOptions) return;
+      
+      // 图片已失效（如相册图片文件已被清理）时本局改用数字方块，之后的存档不再带图片
+      if (!this.pictureKey) {
+        const { picture, ...rest } = gameOptions;
+        this.gameOptions = rest;
+      }
+    }
+    this._updateNumberButton();
+    
     // 更新布局以适配新模式
     this.updateLayout();
     
     // 创建新棋盘
-    this.board = new Board(this.boardSize, {
+    const board = new Board(this.boardSize, {
       x: this.boardX,
       y: this.boardY,
       blockSize: this.blockSize,
-      blockGap: this.blockGap
+      blockGap: this.blockGap,
+      undoCountsAsMove: this.undoCountsAsMove,
+      moveMetric: this.moveMetric,
+      animationScale: ANIMATION_SCALES[settings.get('animationSpeed')],
+      concealed: this.blind,
+      imageKey: this.pictureKey,
+      showNumbers: this.showNumbers,
+      onMove: (type, entry) => {
+        // 忽略已被替换的旧棋盘上迟到的回调
+        if (board === this.board) {
+          this._onBoardMove(type, entry);
+        }
+      }
     });
+    this.board = board;
     
-    // 先打乱棋盘（在显示前完成）
+    // 生成题目（在显示前完成）：指定局面直接载入，指定难度由求解器生成，否则按种子打乱
+    this.codeButton.visible = false;
+    let restored = false;
+    let budgetBase = null;
     try {
-      await this.board.shuffle();
+      if (snapshot && board.restoreSnapshot(snapshot.board)) {
+        restored = true;
+        this.seed = snapshot.seed;
+        this.puzzleCode = snapshot.puzzleCode;
+        this.optimalLength = snapshot.optimalLength;
+        this.bandVerified = snapshot.bandVerified === true;
+        this.moveBudget = snapshot.moveBudget || null;
+        if (this.challenge === ChallengeMode.MOVE_LIMIT && !this.moveBudget) {
+          this.challenge = null;
+        }
+      } else if (options.grid && this.board.loadGrid(options.grid)) {
+        this.seed = null;
+        this.puzzleCode = encodeGrid(options.grid);
+      } else {
+        const result = this.difficultyBand ? await this._generateTargeted(board) : null;
+        // 生成期间已开始新的一局或离开场景
+        if (board !== this.board) return;
+        
+        if (result) {
+          this.seed = null;
+          this.shuffleStrategy = ShuffleStrategy.TARGETED;
+          this.bandVerified = result.verified;
+          this.optimalLength = result.optimal;
+          // 未求出最优步数时取上界（打乱步数）与按下界估计值中较小者，避免困难局上界过松
+          budgetBase = result.optimal || Math.min(result.upper, estimateOptimal(result.lower));
+          this.puzzleCode = encodeGrid(board.getGrid());
+        } else {
+          this.seed = options.seed !== undefined ? options.seed : randomSeed();
+          this.shuffleStrategy = options.shuffle || ShuffleStrategy.RANDOM_WALK;
+          await this.board.shuffle(undefined, { seed: this.seed, strategy: this.shuffleStrategy });
+          this.puzzleCode = encodeSeed(this.boardSize, this.seed, this.shuffleStrategy);
+        }
+      }
+      
+      // 限步挑战：步数上限由最优步数（或生成时的上界）推出，未知时另行计算；
+      // 仍无法得到时本局不限步
+      if (this.challenge === ChallengeMode.MOVE_LIMIT && !restored) {
+        if (!budgetBase) {
+          budgetBase = await this._findBudgetBase(board.grid);
+          if (board !== this.board) return;
+        }
+        if (budgetBase) {
+          this.moveBudget = getMoveBudget(budgetBase);
+        } else {
+          this.challenge = null;
+          wx.showToast({ title: t('game.noMoveBudget'), icon: 'none' });
+        }
+      }
+      
+      this.codeButton.text = t('game.code', { code: this.puzzleCode });
+      this.codeButton.visible = true;
+      this.codeButton.playEnterAnimation(200);
     } catch (e) {
       console.error('[GameScene] 打乱棋盘失败:', e);
     }
     
     // 显示棋盘（已经是打乱状态）
     this.isLoading = false;
+    this._updateUndoButtons();
+    if (this.board) {
+      this.initialGrid = restored ? snapshot.initialGrid : this.board.getGrid();
+      if (restored) {
+        this.recorder.restore(this.initialGrid, snapshot.replayMoves || []);
+      } else {
+        this.recorder.start(this.initialGrid);
+      }
+      this.solvedRows = this._countSolvedRows();
+    }
+    
+    // 恢复存档的计时与提示次数（恢复后进入暂停状态，见下方）
+    if (restored) {
+      this.timer.setTime(snapshot.timeMs);
+      this.hintsUsed = snapshot.hintsUsed;
+      this._updateHintButton();
+      this.peeksUsed = snapshot.peeksUsed || 0;
+    } else if (this.challenge === ChallengeMode.MARATHON && this.marathonStage > 1) {
+      // 马拉松后续各盘接着累计计时
+      this.timer.setTime(options.marathonTimeMs || 0);
+      this._startTimer();
+    }
+    
+    // 盲拧：新局先展示棋盘供记忆，恢复的存档直接遮挡
+    if (this.board && this.blind && !restored) {
+      this._startPreview();
+    }
     
     // 入场动画
     if (this.board) {
       this.board.playEnterAnimation();
+      
+      // 预热求解器（首次使用时 Worker 需构建模式数据库）
+      solverService.estimate(this.board.grid).catch(err => {
+        console.error('[GameScene] 预热求解器失败:', err);
+      });
+    }
+    
+    // 恢复的存档从暂停菜单继续（棋盘隐藏），继续游戏时立即从存档时间计时
+    if (this.board && restored) {
+      this._startTimer();
+      this._pause();
+    }
+  }
+
+  /**
+   * 按难度区间生成局面（未能证明落在区间内时重试）
+   * @returns {Promise<Object|null>} 生成结果；求解器不可用（如 Worker 被回收）时返回 null，改用普通打乱
+   */
+  async _generateTargeted(board) {
+    let result = null;
+    try {
+      for (let attempt = 0; attempt <= GENERATE_RETRIES; attempt++) {
+        result = await board.shuffle(undefined, {
+          strategy: ShuffleStrategy.TARGETED,
+          band: this.difficultyBand
+        });
+        if (board !== this.board || result.verified) break;
+      }
+    } catch (e) {
+      console.error('[GameScene] 定难度出题失败，改用随机打乱:', e);
+      return null;
+    }
+    return result;
+  }
+
+  /**
+   * 计算限步挑战的步数基准：能求出最优解时取其步数，否则按启发值估计
+   * @returns {Promise<number|null>} 都无法计算时返回 null
+   */
+  async _findBudgetBase(grid) {
+    try {
+      const solution = await solverService.solve(grid);
+      if (solution.status === SolveStatus.SOLVED) {
+        return solution.length;
+      }
+    } catch (e) {
+      console.error('[GameScene] 求解最优步数失败:', e);
+    }
+    
+    try {
+      const estimate = await solverService.estimate(grid);
+      return estimate > 0 ? estimateOptimal(estimate) : null;
+    } catch (e) {
+      console.error('[GameScene] 估算步数失败:', e);
+      return null;
     }
   }
 
@@ -166,14 +790,293 @@ export class GameScene extends BaseScene {
    */
   _onBackClick() {
     this.timer.stop();
-    globalEvent.emit('scene:change', 'mode');
+    globalEvent.emit('scene:change', this.returnScene);
+  }
+
+  /**
+   * 保存进行中的对局（未开始或已结束时不保存）
+   */
+  _saveGame() {
+    if (!this.board || this.isLoading || this.isGameOver || !this.hasStarted) return;
+    
+    savedGame.save({
+      size: this.boardSize,
+      options: this.gameOptions,
+      board: this.board.getSnapshot(),
+      initialGrid: this.initialGrid,
+      timeMs: this.timer.getTime(),
+      hintsUsed: this.hintsUsed,
+      seed: this.seed,
+      puzzleCode: this.puzzleCode,
+      optimalLength: this.optimalLength,
+      bandVerified: this.bandVerified,
+      moveBudget: this.moveBudget,
+      peeksUsed: this.peeksUsed,
+      replayMoves: this.recorder.moves
+    });
+  }
+
+  /**
+   * 暂停：停止计时、隐藏棋盘并打开暂停菜单
+   */
+  _pause() {
+    if (!this.board || this.isLoading || this.isGameOver || this.isPaused) return;
+    
+    this.isPaused = true;
+    this.isDragging = false;
+    this.isPictureShown = false;
+    this.longPressStart = 0;
+    this.gesture.cancel();
+    this.board.cancelDrag();
+    this.board.clearQueue();
+    this.timer.pause();
+    
+    // 每日挑战局面固定，计分局与马拉松也不允许重新计时
+    const isMarathon = this.challenge === ChallengeMode.MARATHON;
+    this.restartButton.enabled = !this.ranked && !isMarathon;
+    this.newBoardButton.enabled = this.mode !== 'daily' && !isMarathon;
+    
+    this.pauseDialog.show();
+  }
+
+  /**
+   * 继续游戏
+   */
+  _resume() {
+    if (!this.isPaused) return;
+    
+    this.isPaused = false;
+    this.timer.resume();
+  }
+
+  /**
+   * 重新开始：回到本局初始局面，计时、步数与提示清零
+   */
+  _restartGame() {
+    this.isPaused = false;
+    if (!this.board || !this.initialGrid) return;
+    
+    this.board.loadGrid(this.initialGrid);
+    this.board.playEnterAnimation();
+    this.timer.reset();
+    this.recorder.start(this.initialGrid);
+    this.solvedRows = this._countSolvedRows();
+    savedGame.clear();
+    this.isGameOver = false;
+    this.hasStarted = false;
+    this.hintsUsed = 0;
+    this._updateHintButton();
+    this._updateUndoButtons();
+    
+    // 盲拧重新记忆，偷看次数清零
+    if (this.blind) {
+      this.peeksUsed = 0;
+      this._startPreview();
+    }
+  }
+
+  /**
+   * 换一局：同样的尺寸与设置，重新出题
+   */
+  _newGame() {
+    const { seed, grid, ...options } = this.gameOptions;
+    this.startGame(this.boardSize, options).catch(err => {
+      console.error('[GameScene] startGame 失败:', err);
+      this.isLoading = false;
+    });
+  }
+
+  /**
+   * 提示按钮点击
+   * 从当前局面求解，高亮下一步应移动的方块
+   */
+  async _onHintClick() {
+    if (!this.board || this.isGameOver || this.isLoading || this.isHintLoading) return;
+    if (this.hintsUsed >= this.hintLimit) return;
+    
+    const board = this.board;
+    const stateKey = this._getGridKey(board.grid);
+    
+    this.isHintLoading = true;
+    this._updateHintButton();
+    
+    try {
+      const result = await solverService.solve(board.grid, { maxNodes: HINT_MAX_NODES });
+      
+      // 求解期间棋盘已变化或已离开，本次提示作废（不计次数）
+      if (board !== this.board || this.isGameOver || this._getGridKey(board.grid) !== stateKey) {
+        return;
+      }
+      
+      if (result.moves.length > 0 && board.showHint(result.moves[0])) {
+        this.hintsUsed++;
+      }
+    } catch (e) {
+      console.error('[GameScene] 提示求解失败:', e);
+    } finally {
+      this.isHintLoading = false;
+      this._updateHintButton();
+    }
+  }
+
+  /**
+   * 更新提示按钮显示（剩余次数 / 计算中）
+   */
+  _updateHintButton() {
+    if (!this.hintButton) return;
+    
+    const remaining = Math.max(0, this.hintLimit - this.hintsUsed);
+    this.hintButton.text = this.isHintLoading ? '💡 …' : `💡 ${remaining}`;
+    this.hintButton.enabled = remaining > 0;
+    this.hintButton.colorRole = remaining > 0 ? ButtonRole.WARNING : ButtonRole.DISABLED;
+  }
+
+  /**
+   * 开始记忆阶段：显示数字，倒计时结束（或点击棋盘）后遮挡
+   */
+  _startPreview() {
+    this.previewRemaining = getPreviewTime(this.boardSize);
+    this.peekRemaining = 0;
+    this.board.setConcealed(false);
+    this._updatePeekButton();
+  }
+
+  /**
+   * 结束记忆阶段，遮挡数字
+   */
+  _endPreview() {
+    this.previewRemaining = 0;
+    if (this.board) {
+      this.board.setConcealed(true);
+    }
+    this._updatePeekButton();
+  }
+
+  /**
+   * 偷看按钮点击：短暂显示数字并计入罚时
+   */
+  _onPeekClick() {
+    if (!this.board || !this.blind || this.isGameOver || this.isLoading) return;
+    if (this.previewRemaining > 0 || this.peekRemaining > 0) return;
+    
+    this.peeksUsed++;
+    this.peekRemaining = PEEK_DURATION;
+    this.board.setConcealed(false);
+    this.timer.addTime(PEEK_PENALTY);
+    this._updatePeekButton();
+    this._saveGame();
+  }
+
+  /**
+   * 更新偷看按钮显示（仅盲拧可见，记忆与偷看期间不可用）
+   */
+  _updatePeekButton() {
+    if (!this.peekButton) return;
+    
+    const available = this.previewRemaining <= 0 && this.peekRemaining <= 0;
+    this.peekButton.visible = this.blind;
+    this.peekButton.enabled = available;
+    this.peekButton.colorRole = available ? ButtonRole.ACCENT : ButtonRole.DISABLED;
+  }
+
+  /**
+   * 数字开关点击：图片方块上显示 / 隐藏数字
+   */
+  _onNumberToggle() {
+    if (!this.board || !this.pictureKey) return;
+    
+    this.showNumbers = !this.showNumbers;
+    this.gameOptions = { ...this.gameOptions, showNumbers: this.showNumbers };
+    this.board.setShowNumbers(this.showNumbers);
+    this._updateNumberButton();
+    this._saveGame();
+  }
+
+  /**
+   * 更新数字开关显示（仅图片模式且非盲拧可见）
+   */
+  _updateNumberButton() {
+    if (!this.numberButton) return;
+    
+    this.numberButton.visible = !!this.pictureKey && !this.blind;
+    this.numberButton.text = t(this.showNumbers ? 'game.numbersOn' : 'game.numbersOff');
+  }
+
+  /**
+   * 长按预览原图（松手结束），取消进行中的拖动
+   */
+  _showPicture() {
+    this.isPictureShown = true;
+    this.isDragging = false;
+    this.board.cancelDrag();
+  }
+
+  /**
+   * 撤销按钮点击
+   */
+  _onUndoClick() {
+    if (!this.board || this.isGameOver || this.isLoading) return;
+    this.board.undo(true);
+  }
+
+  /**
+   * 重做按钮点击
+   */
+  _onRedoClick() {
+    if (!this.board || this.isGameOver || this.isLoading) return;
+    this.board.redo(true);
+  }
+
+  /**
+   * 更新撤销/重做按钮状态
+   */
+  _updateUndoButtons() {
+    const canUndo = !!this.board && !this.isGameOver && this.board.canUndo();
+    const canRedo = !!this.board && !this.isGameOver && this.board.canRedo();
+    
+    if (this.undoButton) {
+      this.undoButton.enabled = canUndo;
+      this.undoButton.colorRole = canUndo ? ButtonRole.NEUTRAL : ButtonRole.DISABLED;
+    }
+    if (this.redoButton) {
+      this.redoButton.enabled = canRedo;
+      this.redoButton.colorRole = canRedo ? ButtonRole.NEUTRAL : ButtonRole.DISABLED;
+    }
+  }
+
+  /**
+   * 题目码按钮点击：复制到剪贴板
+   */
+  _onCodeClick() {
+    if (!this.puzzleCode) return;
+    
+    wx.setClipboardData({
+      data: this.puzzleCode,
+      success: () => {
+        wx.showToast({ title: t('game.codeCopied'), icon: 'success' });
+      }
+    });
+  }
+
+  /**
+   * 当前题目码（用于分享）
+   */
+  getShareCode() {
+    return this.puzzleCode;
+  }
+
+  /**
+   * 网格状态标识（用于判断求解期间局面是否变化）
+   */
+  _getGridKey(grid) {
+    return grid.map(row => row.join(',')).join(';');
   }
 
   /**
    * 胜利确认
    */
   _onWinConfirm() {
-    globalEvent.emit('scene:change', 'mode');
+    globalEvent.emit('scene:change', this.returnScene);
   }
 
   /**
@@ -184,35 +1087,154 @@ export class GameScene extends BaseScene {
     if (this.winDialog.visible) {
       return this.winDialog.onTouchStart(x, y);
     }
+    if (this.pauseDialog.visible) {
+      this.pauseDialog.onTouchStart(x, y);
+      return true;
+    }
+    if (this.lossDialog.visible) {
+      this.lossDialog.onTouchStart(x, y);
+      return true;
+    }
+    
+    // 处理暂停按钮
+    if (this.pauseButton.onTouchStart(x, y)) {
+      return true;
+    }
     
     // 处理返回按钮
     if (this.backButton.onTouchStart(x, y)) {
       return true;
     }
     
+    // 处理提示按钮
+    if (this.hintButton.onTouchStart(x, y)) {
+      return true;
+    }
+    
+    // 处理偷看按钮与数字开关
+    if (this.peekButton.onTouchStart(x, y) || this.numberButton.onTouchStart(x, y)) {
+      return true;
+    }
+    
+    // 处理撤销/重做按钮
+    if (this.undoButton.onTouchStart(x, y) || this.redoButton.onTouchStart(x, y)) {
+      return true;
+    }
+    
+    // 处理题目码按钮
+    if (this.codeButton.onTouchStart(x, y)) {
+      return true;
+    }
+    
+    // 盲拧记忆阶段点击棋盘提前开始
+    if (this.previewRemaining > 0 && this.board && !this.isLoading && this.board.contains(x, y)) {
+      this._endPreview();
+      return true;
+    }
+    
+    // 棋盘上的触摸交给手势识别（生成题目期间与游戏结束后不响应）
+    // 按在与空格同行（列）的方块上时，方块跟随手指拖动
+    if (this.board && !this.isLoading && !this.isGameOver && this.board.contains(x, y)) {
+      this.gesture.start(x, y);
+      const cell = this.board.getCellAt(x, y);
+      this.isDragging = !!cell && this.board.beginDrag(cell.row, cell.col);
+      
+      // 图片模式按住不动可预览原图（盲拧时不可用）
+      this.longPressStart = this.pictureKey && !this.blind ? Date.now() : 0;
+      return true;
+    }
+    
     return false;
   }
 
+  /**
+   * 处理触摸移动
+   */
+  onTouchMove(x, y) {
+    this.gesture.move(x, y);
+    
+    // 手指移动即不再是长按
+    if (this.longPressStart &&
+        Math.abs(x - this.gesture.startX) + Math.abs(y - this.gesture.startY) > LONG_PRESS_SLOP) {
+      this.longPressStart = 0;
+    }
+    
+    if (this.isDragging && this.board) {
+      this.board.updateDrag(x - this.gesture.startX, y - this.gesture.startY);
+    }
+  }
+
   /**
    * 处理触摸结束
    */
   onTouchEnd(x, y) {
+    const gesture = this.gesture.end(x, y);
+    const wasDragging = this.isDragging;
+    this.isDragging = false;
+    
+    // 松手结束原图预览，本次触摸不移动方块
+    this.longPressStart = 0;
+    if (this.isPictureShown) {
+      this.isPictureShown = false;
+      return true;
+    }
+    
     // 优先处理弹窗
     if (this.winDialog.visible) {
       return this.winDialog.onTouchEnd(x, y);
     }
+    if (this.pauseDialog.visible) {
+      this.pauseDialog.onTouchEnd(x, y);
+      return true;
+    }
+    if (this.lossDialog.visible) {
+      this.lossDialog.onTouchEnd(x, y);
+      return true;
+    }
+    
+    // 处理暂停按钮
+    if (this.pauseButton.onTouchEnd(x, y)) {
+      return true;
+    }
     
     // 处理返回按钮
     if (this.backButton.onTouchEnd(x, y)) {
       return true;
     }
     
+    // 处理提示按钮
+    if (this.hintButton.onTouchEnd(x, y)) {
+      return true;
+    }
+    
+    // 处理偷看按钮与数字开关
+    if (this.peekButton.onTouchEnd(x, y) || this.numberButton.onTouchEnd(x, y)) {
+      return true;
+    }
+    
+    // 处理撤销/重做按钮
+    if (this.undoButton.onTouchEnd(x, y) || this.redoButton.onTouchEnd(x, y)) {
+      return true;
+    }
+    
+    // 处理题目码按钮
+    if (this.codeButton.onTouchEnd(x, y)) {
+      return true;
+    }
+    
     // 游戏结束不再响应
     if (this.isGameOver) return false;
     
-    // 处理棋盘点击
-    if (this.board && this.board.contains(x, y)) {
-      this._handleBoardClick(x, y);
+    // 处理棋盘手势（生成题目期间不响应）
+    if (gesture && this.board && !this.isLoading) {
+      if (gesture.type === GestureType.TAP) {
+        this.board.cancelDrag();
+        this._handleBoardClick(gesture.startX, gesture.startY);
+      } else if (wasDragging) {
+        this._handleBoardDragEnd(gesture);
+      } else {
+        this._handleBoardSwipe(gesture);
+      }
       return true;
     }
     
@@ -223,20 +1245,190 @@ export class GameScene extends BaseScene {
    * 处理棋盘点击
    */
   async _handleBoardClick(x, y) {
+    this._startTimer();
+    
+    // 点击与空格不同行也不同列的方块：无效点击振动提示（有排队的移动时空格位置未定，不判断）
+    const board = this.board;
+    const cell = board.getCellAt(x, y);
+    if (cell && board.grid[cell.row][cell.col] !== 0 && board.moveQueue.length === 0 &&
+        !board.canMoveLine(cell.row, cell.col)) {
+      hapticsManager.play(HapticType.ILLEGAL);
+      return;
+    }
+    
+    await board.moveAtPosition(x, y, true);
+  }
+
+  /**
+   * 处理棋盘滑动
+   * 从与空格同行（列）的方块出发朝空格滑动时整行推动，
+   * 否则把空格旁、位于滑动反方向的方块推入空格
+   */
+  async _handleBoardSwipe(gesture) {
+    const board = this.board;
+    const [dRow, dCol] = SWIPE_OFFSETS[gesture.direction];
+    const start = board.getCellAt(gesture.startX, gesture.startY);
+    
+    let row = board.emptyRow - dRow;
+    let col = board.emptyCol - dCol;
+    if (start && board.canMoveLine(start.row, start.col) &&
+        Math.sign(board.emptyRow - start.row) === dRow &&
+        Math.sign(board.emptyCol - start.col) === dCol) {
+      row = start.row;
+      col = start.col;
+    }
+    
+    if (row < 0 || row >= board.rows || col < 0 || col >= board.cols) return;
+    
+    this._startTimer();
+    await board.moveLine(row, col, true);
+  }
+
+  /**
+   * 松手结束拖动：越过半格或朝空格快速轻扫时提交移动
+   */
+  _handleBoardDragEnd(gesture) {
+    if (this.board.endDrag(SWIPE_OFFSETS[gesture.direction])) {
+      this._startTimer();
+    }
+  }
+
+  /**
+   * 从第一行起已还原的行数
+   */
+  _countSolvedRows() {
+    return countSolvedRows(this.board.grid, this.board.rows, this.board.cols);
+  }
+
+  /**
+   * 第一次移动时开始计时
+   */
+  _startTimer() {
     if (!this.hasStarted) {
-      // 第一次移动开始计时
       this.hasStarted = true;
       this.timer.start();
     }
+  }
+
+  /**
+   * 棋盘移动完成回调（包括队列中的移动、撤销与重做）
+   */
+  _onBoardMove(type, entry) {
+    this._updateUndoButtons();
+    
+    if (this.isGameOver) return;
+    
+    // 录制回放：撤销是从原空格推回，移动与重做是从起点格推向空格
+    const cell = type === 'undo' ? entry.to : entry.from;
+    this.recorder.record(cell.row, cell.col, this.timer.getTime());
+    
+    // 振动反馈：新还原一行时加强
+    const solvedRows = this._countSolvedRows();
+    hapticsManager.play(solvedRows > this.solvedRows ? HapticType.ROW_COMPLETE : HapticType.MOVE);
+    this.solvedRows = solvedRows;
+    
+    // 检查胜利（马拉松未完成全部盘数时进入下一盘），限步挑战步数用完即失败，未结束则存档
+    if (this.board.checkWin()) {
+      this.board.clearQueue();
+      if (this.challenge === ChallengeMode.MARATHON && this.marathonStage < MARATHON_LENGTH) {
+        this._nextMarathonBoard();
+      } else {
+        this._onWin();
+      }
+    } else if (this.moveBudget !== null && this.board.getMoveCount(MoveMetric.TILE) >= this.moveBudget) {
+      this.board.clearQueue();
+      this._onGameFailed(ChallengeMode.MOVE_LIMIT);
+    } else {
+      this._saveGame();
+    }
+  }
+
+  /**
+   * 每帧推进盲拧的记忆 / 偷看倒计时，检查长按预览原图与限时挑战是否超时
+   */
+  update(deltaTime) {
+    if (!this.board || this.isLoading || this.isGameOver || this.isPaused) return;
     
-    const moved = await this.board.moveAtPosition(x, y, true);
+    if (this.longPressStart && Date.now() - this.longPressStart >= LONG_PRESS_TIME) {
+      this.longPressStart = 0;
+      this._showPicture();
+    }
     
-    if (moved) {
-      // 检查胜利
-      if (this.board.checkWin()) {
-        this._onWin();
+    if (this.previewRemaining > 0) {
+      this.previewRemaining -= deltaTime;
+      if (this.previewRemaining <= 0) {
+        this._endPreview();
       }
     }
+    
+    if (this.peekRemaining > 0) {
+      this.peekRemaining -= deltaTime;
+      if (this.peekRemaining <= 0) {
+        this.peekRemaining = 0;
+        this.board.setConcealed(true);
+        this._updatePeekButton();
+      }
+    }
+    
+    if (this.timeLimit !== null && this.timer.getTime() >= this.timeLimit) {
+      this._onGameFailed(ChallengeMode.TIME_ATTACK);
+    }
+  }
+
+  /**
+   * 马拉松：完成一盘后暂停计时，出下一盘并带入累计的用时与步数
+   */
+  _nextMarathonBoard() {
+    this.isGameOver = true;
+    this.timer.pause();
+    this._updateUndoButtons();
+    
+    const { seed, grid, ...options } = this.gameOptions;
+    const next = {
+      ...options,
+      marathonStage: this.marathonStage + 1,
+      marathonTimeMs: this.timer.getTime(),
+      marathonMoves: this.marathonMoves + this.board.getMoveCount(MoveMetric.TILE),
+      marathonLineMoves: this.marathonLineMoves + this.board.getMoveCount(MoveMetric.LINE),
+      marathonPeeks: this.peeksUsed
+    };
+    
+    setTimeout(() => {
+      if (!this.visible) return;
+      this.startGame(this.boardSize, next).catch(err => {
+        console.error('[GameScene] startGame 失败:', err);
+        this.isLoading = false;
+      });
+    }, 400);
+  }
+
+  /**
+   * 对局结束时揭开盲拧遮挡
+   */
+  _revealBoard() {
+    this.previewRemaining = 0;
+    this.peekRemaining = 0;
+    this.board.setConcealed(false);
+    this._updatePeekButton();
+  }
+
+  /**
+   * 挑战失败：停止计时与操作，弹出失败菜单
+   * @param {string} challenge - 失败的挑战规则 ChallengeMode
+   */
+  _onGameFailed(challenge) {
+    this.isGameOver = true;
+    this.isDragging = false;
+    this.gesture.cancel();
+    this.board.cancelDrag();
+    this.board.clearQueue();
+    this.timer.stop();
+    savedGame.clear();
+    this._updateUndoButtons();
+    this._revealBoard();
+    
+    this.lossDialog.title = t(LOSS_TITLES[challenge]);
+    this.lossDialog.show();
   }
 
   /**
@@ -245,20 +1437,106 @@ export class GameScene extends BaseScene {
   async _onWin() {
     this.isGameOver = true;
     this.timer.stop();
+    savedGame.clear();
+    this._updateUndoButtons();
+    this._revealBoard();
     
     // 计算获得的星级
     const starCount = this._calculateStars();
     const timeStr = this.timer.getFormattedTime();
-    const moves = this.board.getMoveCount();
+    const timeMs = this.timer.getTime();
+    const isMarathon = this.challenge === ChallengeMode.MARATHON;
+    
+    // 马拉松合计各盘的步数
+    const moves = this.marathonMoves + this.board.getMoveCount(MoveMetric.TILE);
+    const lineMoves = this.marathonLineMoves + this.board.getMoveCount(MoveMetric.LINE);
+    
+    // 每日挑战：记录计分成绩
+    let streak = 0;
+    if (this.mode === 'daily') {
+      if (this.ranked) {
+        dailyChallenge.completeAttempt(this.boardSize, this.dailyDate, {
+          timeMs: timeMs,
+          time: timeStr,
+          moves: moves,
+          stars: starCount
+        });
+      }
+      streak = dailyChallenge.getStreak();
+    }
+    
+    // 马拉松是多盘合计，不记入单局历史，也不保存回放
+    if (isMarathon) {
+      this._showVictory({ starCount, timeStr, timeMs, moves, lineMoves, streak, newRecords: [], replayId: null });
+      return;
+    }
+    
+    // 记入历史并刷新个人最佳
+    const { newRecords } = statistics.recordGame({
+      size: this.boardSize,
+      timeMs: timeMs,
+      moves: moves,
+      lineMoves: lineMoves,
+      stars: starCount,
+      hints: this.hintsUsed,
+      seed: this.seed,
+      mode: this.mode
+    });
+    
+    // 保存回放
+    const replay = replayStore.add(this.recorder.toReplay({
+      size: getSizeKey(this.boardSize),
+      timeMs: timeMs,
+      moveCount: moves,
+      lineMoves: lineMoves,
+      stars: starCount,
+      hints: this.hintsUsed,
+      mode: this.mode,
+      puzzleCode: this.puzzleCode,
+      date: Date.now()
+    }));
+    
+    this._showVictory({ starCount, timeStr, timeMs, moves, lineMoves, streak, newRecords, replayId: replay.id });
+  }
+
+  /**
+   * 延迟跳转到胜利界面
+   * @param {Object} result - { starCount, timeStr, timeMs, moves, lineMoves, streak, newRecords, replayId }
+   */
+  _showVictory(result) {
+    const { starCount, timeStr, timeMs, moves, lineMoves, streak, newRecords, replayId } = result;
     
-    // 延迟跳转到胜利界面
     setTimeout(() => {
       globalEvent.emit('game:victory', {
         boardSize: this.boardSize,
         stars: starCount,
         time: timeStr,
-        timeSeconds: Math.floor(this.timer.getTime() / 1000),
-        moves: moves
+        timeMs: timeMs,
+        timeSeconds: Math.floor(timeMs / 1000),
+        moves: moves,
+        lineMoves: lineMoves,
+        moveMetric: this.moveMetric,
+        hintsUsed: this.hintsUsed,
+        hintLimit: this.hintLimit,
+        seed: this.seed,
+        puzzleCode: this.puzzleCode,
+        mode: this.mode,
+        dailyDate: this.dailyDate,
+        ranked: this.ranked,
+        streak: streak,
+        newRecords: newRecords,
+        replayId: replayId,
+        difficulty: this.difficulty,
+        difficultyBand: this.bandVerified ? this.difficultyBand : null,
+        optimalLength: this.optimalLength,
+        challenge: this.challenge,
+        moveBudget: this.moveBudget,
+        marathonLength: MARATHON_LENGTH,
+        blind: this.blind,
+        pictureLabel: this.pictureKey ? getPictureLabel(this.gameOptions.picture) : null,
+        peeksUsed: this.peeksUsed,
+        peekPenaltyMs: this.peeksUsed * PEEK_PENALTY,
+        returnScene: this.returnScene
       });
     }, 400);
   }
@@ -280,14 +1558,22 @@ export class GameScene extends BaseScene {
     
     // 按钮入场
     this.backButton.playEnterAnimation();
+    this.hintButton.playEnterAnimation(50);
+    this.peekButton.playEnterAnimation(80);
+    this.numberButton.playEnterAnimation(80);
+    this.undoButton.playEnterAnimation(100);
+    this.redoButton.playEnterAnimation(150);
+    this.pauseButton.playEnterAnimation(200);
     
     // 如果有待处理的棋盘大小，开始游戏
     if (this.pendingBoardSize) {
       const size = this.pendingBoardSize;
+      const options = this.pendingGameOptions || {};
       this.pendingBoardSize = null;
+      this.pendingGameOptions = null;
       // 延迟一帧确保场景已渲染
       setTimeout(() => {
-        this.startGame(size).catch(err => {
+        this.startGame(size, options).catch(err => {
           console.error('[GameScene] startGame 失败:', err);
           this.isLoading = false;
         });
@@ -303,9 +1589,16 @@ export class GameScene extends BaseScene {
     this.isLoading = true;
     
     // 隐藏弹窗
+    this.isPaused = false;
     if (this.winDialog.visible) {
       await this.winDialog.hide();
     }
+    if (this.pauseDialog.visible) {
+      await this.pauseDialog.hide();
+    }
+    if (this.lossDialog.visible) {
+      await this.lossDialog.hide();
+    }
     
     // 销毁棋盘，清空引用，避免下次进入时显示旧棋盘
     if (this.board) {
@@ -318,7 +1611,16 @@ export class GameScene extends BaseScene {
       .easing(Easing.easeInQuad)
       .start();
     
-    await this.backButton.playExitAnimation();
+    await Promise.all([
+      this.backButton.playExitAnimation(),
+      this.hintButton.playExitAnimation(),
+      this.peekButton.playExitAnimation(),
+      this.numberButton.playExitAnimation(),
+      this.undoButton.playExitAnimation(),
+      this.redoButton.playExitAnimation(),
+      this.codeButton.playExitAnimation(),
+      this.pauseButton.playExitAnimation()
+    ]);
     await super.exit();
   }
 
@@ -332,8 +1634,10 @@ export class GameScene extends BaseScene {
     const centerX = w / 2;
     const centerY = h / 2;
     
-    // 1. 底层背景 - 明亮的浅蓝白
-    ctx.fillStyle = '#F5F9FC';
+    const background = this.theme.background;
+    
+    // 1. 底层背景 - 主题底色
+    ctx.fillStyle = background.base;
     ctx.fillRect(0, 0, w, h);
     
     // 2. 计算圆环参数
@@ -343,13 +1647,8 @@ export class GameScene extends BaseScene {
     const ringSpacing = 85;
     const ringCount = 3;
     
-    // 3. 颜色配置 - 更明亮的色调
-    const ringColors = [
-      { r: 200, g: 230, b: 255 },  // 中心：极浅的亮蓝
-      { r: 185, g: 235, b: 225 },  // 青绿
-      { r: 220, g: 215, b: 250 },  // 淡紫
-      { r: 195, g: 225, b: 240 }   // 天蓝
-    ];
+    // 3. 颜色配置 - 主题圆环色（第一个为中心亮区）
+    const ringColors = background.rings;
     
     // 4. 绘制中心亮区（棋盘周围）- 使用明亮的颜色
     const centerColor = ringColors[0];
@@ -406,9 +1705,10 @@ export class GameScene extends BaseScene {
       centerX, centerY, outerFadeRadius - 50,
       centerX, centerY, outerFadeRadius + 50
     );
-    fadeGradient.addColorStop(0, 'rgba(195, 225, 240, 0.35)');
-    fadeGradient.addColorStop(0.5, 'rgba(210, 235, 245, 0.15)');
-    fadeGradient.addColorStop(1, 'rgba(245, 249, 252, 0)');
+    const fadeColor = ringColors[ringColors.length - 1];
+    fadeGradient.addColorStop(0, `rgba(${fadeColor.r}, ${fadeColor.g}, ${fadeColor.b}, 0.35)`);
+    fadeGradient.addColorStop(0.5, `rgba(${fadeColor.r}, ${fadeColor.g}, ${fadeColor.b}, 0.15)`);
+    fadeGradient.addColorStop(1, `rgba(${fadeColor.r}, ${fadeColor.g}, ${fadeColor.b}, 0)`);
     
     ctx.fillStyle = fadeGradient;
     ctx.beginPath();
@@ -421,13 +1721,20 @@ export class GameScene extends BaseScene {
    */
   _drawContent() {
     this._drawGameInfo();
-    this._drawCrowns();
+    if (this.previewRemaining > 0 && !this.isPaused) {
+      this._drawPreviewHint();
+    } else {
+      this._drawCrowns();
+    }
     
-    // 绘制棋盘（如果有的话）
-    if (this.board) {
-      this.board.draw(this.ctx);
+    // 绘制棋盘（生成题目期间显示加载中，避免露出完成状态；暂停期间隐藏）
+    if (this.board && !this.isLoading && !this.isPaused) {
+      if (this.isPictureShown) {
+        this.board.drawPicture(this.ctx);
+      } else {
+        this.board.draw(this.ctx);
+      }
     } else if (this.isLoading) {
-      // 只有没有棋盘时才显示加载中
       this._drawLoading();
     }
   }
@@ -440,11 +1747,11 @@ export class GameScene extends BaseScene {
     const centerY = this.height / 2;
     
     this.ctx.save();
-    this.ctx.fillStyle = '#666';
+    this.ctx.fillStyle = this.theme.text.secondary;
     this.ctx.font = '28px Arial';
     this.ctx.textAlign = 'center';
     this.ctx.textBaseline = 'middle';
-    this.ctx.fillText('加载中...', centerX, centerY);
+    this.ctx.fillText(t('common.loading'), centerX, centerY);
     this.ctx.restore();
   }
 
@@ -455,23 +1762,66 @@ export class GameScene extends BaseScene {
     this.ctx.save();
     this.ctx.globalAlpha = this.uiOpacity * this.opacity;
     
-    const timeStr = this.timer.getFormattedTime();
+    // 限时挑战显示剩余时间
+    const remaining = this.timeLimit !== null ? Math.max(0, this.timeLimit - this.timer.getTime()) : null;
+    const timeStr = remaining !== null ? Timer.format(remaining) : this.timer.getFormattedTime();
     const moves = this.board ? this.board.getMoveCount() : 0;
     
+    // 另一种计法的步数（小字显示）
+    const otherMetric = this.moveMetric === MoveMetric.LINE ? MoveMetric.TILE : MoveMetric.LINE;
+    const otherMoves = this.board ? this.board.getMoveCount(otherMetric) : 0;
+    
     // 信息区域背景
     const infoY = 100 + this.infoY;
     
-    // 时间显示
-    this.ctx.fillStyle = '#2C3E50';
+    // 时间显示（限时挑战最后 10 秒变红；设置中关闭计时时不显示，倒计时除外）
+    this.ctx.fillStyle = remaining !== null && remaining < 10000 ? '#E74C3C' : this.theme.text.primary;
     this.ctx.font = 'bold 28px Arial, sans-serif';
     this.ctx.textAlign = 'left';
     this.ctx.textBaseline = 'middle';
-    this.ctx.fillText(`⏱ ${timeStr}`, 30, infoY);
+    if (this.showTimer || remaining !== null) {
+      this.ctx.fillText(`${remaining !== null ? '⏳' : '⏱'} ${timeStr}`, 30, infoY);
+    }
     
-    // 步数显示
+    // 步数显示（限步挑战显示单块计步数与上限）
+    this.ctx.fillStyle = this.theme.text.primary;
     this.ctx.textAlign = 'right';
-    this.ctx.fillText(`步数: ${moves}`, this.width - 30, infoY);
+    if (this.moveBudget !== null) {
+      const tileMoves = this.board ? this.board.getMoveCount(MoveMetric.TILE) : 0;
+      this.ctx.fillText(t('common.movesOf', { moves: tileMoves, budget: this.moveBudget }), this.width - 30, infoY);
+    } else {
+      this.ctx.fillText(t('common.moves', { moves }), this.width - 30, infoY);
+    }
+    
+    this.ctx.fillStyle = this.theme.text.secondary;
+    this.ctx.font = '16px Arial, sans-serif';
+    this.ctx.fillText(`${t(METRIC_LABELS[otherMetric])} ${otherMoves}`, this.width - 30, infoY + 28);
+    
+    // 马拉松进度
+    if (this.challenge === ChallengeMode.MARATHON) {
+      this.ctx.textAlign = 'left';
+      this.ctx.fillText(t('game.marathonStage', { stage: this.marathonStage, total: MARATHON_LENGTH }), 30, infoY + 28);
+    }
+    
+    this.ctx.restore();
+  }
+  
+  /**
+   * 绘制盲拧记忆倒计时（记忆阶段代替皇冠显示在棋盘上方）
+   */
+  _drawPreviewHint() {
+    const seconds = Math.ceil(this.previewRemaining / 1000);
     
+    this.ctx.save();
+    this.ctx.globalAlpha = this.uiOpacity * this.opacity;
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    this.ctx.fillStyle = this.theme.text.accent;
+    this.ctx.font = 'bold 24px Arial, sans-serif';
+    this.ctx.fillText(t('game.memorize', { seconds }), this.width / 2, this.boardY - 56);
+    this.ctx.fillStyle = this.theme.text.secondary;
+    this.ctx.font = '16px Arial, sans-serif';
+    this.ctx.fillText(t('game.tapToStart'), this.width / 2, this.boardY - 26);
     this.ctx.restore();
   }
   
@@ -576,27 +1926,19 @@ export class GameScene extends BaseScene {
    * 计算当前星级
    */
   _calculateStars() {
-    const elapsed = Math.floor(this.timer.getTime() / 1000);
-    
-    // 4x4 模式评分标准
-    const timeLimits4x4 = [
-      { stars: 3, maxTime: 60 },
-      { stars: 2, maxTime: 180 },
-      { stars: 1, maxTime: 300 }
-    ];
+    // 马拉松按每盘平均用时评分
+    const boards = this.challenge === ChallengeMode.MARATHON ? this.marathonStage : 1;
+    const elapsed = Math.floor(this.timer.getTime() / 1000 / boards);
     
-    // 5x5 模式评分标准
-    const timeLimits5x5 = [
-      { stars: 3, maxTime: 150 },
-      { stars: 2, maxTime: 360 },
-      { stars: 1, maxTime: 720 }
-    ];
+    // 评分标准按棋盘格子数推导
+    const limits = this.starLimits;
     
-    const limits = this.boardSize === 4 ? timeLimits4x4 : timeLimits5x5;
+    // 使用提示扣除皇冠
+    const penalty = this.hintsUsed * HINT_STAR_PENALTY;
     
     for (const limit of limits) {
       if (elapsed <= limit.maxTime) {
-        return limit.stars;
+        return Math.max(0, limit.stars - penalty);
       }
     }
     
@@ -1,27 +1,74 @@
 /**
  * 模式选择页面场景
- * 选择 4×4 或 5×5 模式
+ * 选择棋盘行列数（3~10，可为长方形）或常用尺寸、难度档位、挑战规则、是否盲拧以及拼图图片
  */
 
 import { BaseScene } from './BaseScene.js';
 import { Button } from '../ui/Button.js';
+import { ButtonRole } from '../theme/Themes.js';
 import { BackButton } from '../ui/BackButton.js';
 import { Tween, Easing } from '../utils/Tween.js';
 import { globalEvent } from '../utils/EventEmitter.js';
+import { decode, isValid, toGameOptions } from '../core/PuzzleCode.js';
+import { MIN_SIZE, MAX_SIZE } from '../core/BoardSize.js';
+import { Difficulty, DIFFICULTY_LABELS, getDifficultyBand, formatBand } from '../core/Difficulty.js';
+import { ChallengeMode, CHALLENGE_LABELS, MOVE_LIMIT_DIFFICULTY, describeChallenge } from '../core/Challenge.js';
+import { BUILTIN_PICTURES, PictureSource, choosePicture, getPictureLabel } from '../assets/Pictures.js';
+import { t } from '../i18n/I18n.js';
+
+// 常用尺寸快捷按钮
+const SIZE_PRESETS = [
+  { rows: 3, cols: 3 },
+  { rows: 4, cols: 4 },
+  { rows: 5, cols: 5 },
+  { rows: 3, cols: 5 },
+  { rows: 4, cols: 6 }
+];
+
+// 难度选项（null 为经典：随机打乱，不限定最优步数）
+const DIFFICULTY_OPTIONS = [null, Difficulty.EASY, Difficulty.NORMAL, Difficulty.HARD];
+
+// 挑战选项（null 为标准：还原即可）
+const CHALLENGE_OPTIONS = [null, ChallengeMode.TIME_ATTACK, ChallengeMode.MOVE_LIMIT, ChallengeMode.MARATHON];
 
 export class ModeScene extends BaseScene {
   constructor(canvas, ctx) {
     super(canvas, ctx);
     
-    // 标题
-    this.title = '选择难度';
+    // 标题（文本 key）
+    this.title = 'mode.title';
     this.titleOpacity = 0;
     
+    // 当前选择的行列数
+    this.rows = 4;
+    this.cols = 4;
+    
+    // 当前选择的难度与挑战
+    this.difficulty = null;
+    this.challenge = null;
+    this.blind = false;
+    
+    // 拼图图片（null 为数字方块）
+    this.picture = null;
+    
     // 按钮
-    this.button4x4 = null;
-    this.button5x5 = null;
+    this.rowButtons = [];
+    this.colButtons = [];
+    this.startButton = null;
+    this.presetButtons = [];
+    this.difficultyButtons = [];
+    this.challengeButtons = [];
+    this.blindButton = null;
+    this.pictureButton = null;
+    this.dailyButton = null;
+    this.codeButton = null;
     this.backButton = null;
     
+    // 布局
+    this.rowPickerY = 0;
+    this.colPickerY = 0;
+    this.bandTextY = 0;
+    
     // 动画状态
     this.contentOpacity = 0;
     this.contentY = 0;
@@ -44,12 +91,55 @@ export class ModeScene extends BaseScene {
     const centerX = this.width / 2;
     const centerY = this.height / 2;
     
-    // 模式按钮位置
-    if (this.button4x4) {
-      this.button4x4.setPosition(centerX, centerY - 60);
+    // 行列选择器（‹ 数值 ›）
+    this.rowPickerY = centerY - 150;
+    this.colPickerY = centerY - 95;
+    this.rowButtons.forEach((button, i) => {
+      button.setPosition(centerX + (i === 0 ? -30 : 90), this.rowPickerY);
+    });
+    this.colButtons.forEach((button, i) => {
+      button.setPosition(centerX + (i === 0 ? -30 : 90), this.colPickerY);
+    });
+    
+    // 常用尺寸
+    const presetSpacing = 66;
+    const presetStartX = centerX - presetSpacing * (SIZE_PRESETS.length - 1) / 2;
+    this.presetButtons.forEach((button, i) => {
+      button.setPosition(presetStartX + i * presetSpacing, centerY - 40);
+    });
+    
+    // 难度选项与最优步数区间
+    const difficultySpacing = 76;
+    const difficultyStartX = centerX - difficultySpacing * (DIFFICULTY_OPTIONS.length - 1) / 2;
+    this.difficultyButtons.forEach((button, i) => {
+      button.setPosition(difficultyStartX + i * difficultySpacing, centerY + 10);
+    });
+    this.bandTextY = centerY + 42;
+    
+    // 挑战选项
+    this.challengeButtons.forEach((button, i) => {
+      button.setPosition(difficultyStartX + i * difficultySpacing, centerY + 74);
+    });
+    
+    // 开始按钮
+    if (this.startButton) {
+      this.startButton.setPosition(centerX, centerY + 136);
+    }
+    
+    // 每日挑战与题目码按钮
+    if (this.dailyButton) {
+      this.dailyButton.setPosition(centerX, centerY + 206);
     }
-    if (this.button5x5) {
-      this.button5x5.setPosition(centerX, centerY + 60);
+    if (this.codeButton) {
+      this.codeButton.setPosition(centerX, centerY + 268);
+    }
+    
+    // 盲拧开关与图片选择（右上角）
+    if (this.blindButton) {
+      this.blindButton.setPosition(this.width - 60, 45);
+    }
+    if (this.pictureButton) {
+      this.pictureButton.setPosition(this.width - 160, 45);
     }
     
     // 返回按钮位置（左上角）
@@ -62,33 +152,120 @@ export class ModeScene extends BaseScene {
    * 创建按钮
    */
   _createButtons() {
-    // 4×4 按钮
-    this.button4x4 = new Button({
-      text: '4 × 4',
-      width: 200,
-      height: 80,
-      fontSize: 36,
-      bgColor: '#4A90D9',
-      bgColorHover: '#5AA0E9',
-      bgColorActive: '#3A80C9',
+    // 行列加减按钮
+    this.rowButtons = [
+      this._createStepButton('‹', () => this._setSize(this.rows - 1, this.cols)),
+      this._createStepButton('›', () => this._setSize(this.rows + 1, this.cols))
+    ];
+    this.colButtons = [
+      this._createStepButton('‹', () => this._setSize(this.rows, this.cols - 1)),
+      this._createStepButton('›', () => this._setSize(this.rows, this.cols + 1))
+    ];
+    
+    // 开始按钮
+    this.startButton = new Button({
+      text: '',
+      width: 220,
+      height: 72,
+      fontSize: 32,
+      colorRole: ButtonRole.PRIMARY,
       borderRadius: 16,
       onClick: () => {
-        this._onModeSelected(4);
+        this._onModeSelected(this.rows, this.cols);
+      }
+    });
+    
+    // 常用尺寸按钮
+    this.presetButtons = SIZE_PRESETS.map(preset => new Button({
+      text: `${preset.rows}×${preset.cols}`,
+      width: 58,
+      height: 40,
+      fontSize: 18,
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      borderRadius: 10,
+      onClick: () => {
+        this._setSize(preset.rows, preset.cols);
+      }
+    }));
+    
+    // 难度按钮
+    this.difficultyButtons = DIFFICULTY_OPTIONS.map(difficulty => new Button({
+      text: t(difficulty ? DIFFICULTY_LABELS[difficulty] : 'mode.classic'),
+      width: 66,
+      height: 36,
+      fontSize: 18,
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      borderRadius: 10,
+      onClick: () => {
+        this.difficulty = difficulty;
+        this._refreshSelection();
+      }
+    }));
+    
+    // 挑战按钮
+    this.challengeButtons = CHALLENGE_OPTIONS.map(challenge => new Button({
+      text: t(challenge ? CHALLENGE_LABELS[challenge] : 'mode.standard'),
+      width: 66,
+      height: 36,
+      fontSize: 18,
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      borderRadius: 10,
+      onClick: () => {
+        this.challenge = challenge;
+        this._refreshSelection();
+      }
+    }));
+    
+    // 盲拧开关
+    this.blindButton = new Button({
+      text: t('mode.blind'),
+      width: 90,
+      height: 36,
+      fontSize: 18,
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      borderRadius: 10,
+      onClick: () => {
+        this.blind = !this.blind;
+        this._refreshSelection();
       }
     });
     
-    // 5×5 按钮
-    this.button5x5 = new Button({
-      text: '5 × 5',
+    // 图片选择
+    this.pictureButton = new Button({
+      text: '',
+      width: 90,
+      height: 36,
+      fontSize: 18,
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      borderRadius: 10,
+      onClick: () => {
+        this._onPictureClick();
+      }
+    });
+    
+    // 每日挑战按钮
+    this.dailyButton = new Button({
+      text: t('mode.daily'),
       width: 200,
-      height: 80,
-      fontSize: 36,
-      bgColor: '#5AB9A8',
-      bgColorHover: '#6AC9B8',
-      bgColorActive: '#4AA998',
-      borderRadius: 16,
+      height: 56,
+      fontSize: 24,
+      colorRole: ButtonRole.WARNING,
+      borderRadius: 14,
+      onClick: () => {
+        this._onDailyClick();
+      }
+    });
+    
+    // 输入题目码按钮
+    this.codeButton = new Button({
+      text: t('mode.enterCode'),
+      width: 200,
+      height: 56,
+      fontSize: 24,
+      colorRole: ButtonRole.ACCENT,
+      borderRadius: 14,
       onClick: () => {
-        this._onModeSelected(5);
+        this._onCodeClick();
       }
     });
     
@@ -99,14 +276,198 @@ export class ModeScene extends BaseScene {
       }
     });
     
-    this.uiElements.push(this.button4x4, this.button5x5, this.backButton);
+    this.uiElements.push(
+      ...this.rowButtons,
+      ...this.colButtons,
+      this.startButton,
+      ...this.presetButtons,
+      ...this.difficultyButtons,
+      ...this.challengeButtons,
+      this.blindButton,
+      this.pictureButton,
+      this.dailyButton,
+      this.codeButton,
+      this.backButton
+    );
+    
+    this._setSize(this.rows, this.cols);
+  }
+
+  /**
+   * 创建行列加减按钮
+   */
+  _createStepButton(text, onClick) {
+    return new Button({
+      text: text,
+      width: 44,
+      height: 40,
+      fontSize: 28,
+      colorRole: ButtonRole.GHOST,
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      borderRadius: 8,
+      onClick: onClick
+    });
+  }
+
+  /**
+   * 设置行列数（限制在支持范围内）并刷新按钮状态
+   */
+  _setSize(rows, cols) {
+    this.rows = Math.max(MIN_SIZE, Math.min(MAX_SIZE, rows));
+    this.cols = Math.max(MIN_SIZE, Math.min(MAX_SIZE, cols));
+    
+    this.rowButtons[0].enabled = this.rows > MIN_SIZE;
+    this.rowButtons[1].enabled = this.rows < MAX_SIZE;
+    this.colButtons[0].enabled = this.cols > MIN_SIZE;
+    this.colButtons[1].enabled = this.cols < MAX_SIZE;
+    
+    this.startButton.text = t('mode.start', { rows: this.rows, cols: this.cols });
+    
+    this._refreshSelection();
+  }
+
+  /**
+   * 刷新常用尺寸与难度按钮的选中配色
+   */
+  _refreshSelection() {
+    SIZE_PRESETS.forEach((preset, i) => {
+      const selected = preset.rows === this.rows && preset.cols === this.cols;
+      this._applyChipColors(this.presetButtons[i], selected);
+    });
+    
+    DIFFICULTY_OPTIONS.forEach((difficulty, i) => {
+      this._applyChipColors(this.difficultyButtons[i], difficulty === this.difficulty);
+    });
+    
+    CHALLENGE_OPTIONS.forEach((challenge, i) => {
+      this._applyChipColors(this.challengeButtons[i], challenge === this.challenge);
+    });
+    
+    this._applyChipColors(this.blindButton, this.blind);
+    
+    this._applyChipColors(this.pictureButton, !!this.picture);
+    this.pictureButton.text = `🖼 ${this.picture ? getPictureLabel(this.picture) : t('picture.picture')}`;
+  }
+
+  /**
+   * 语言切换：刷新按钮文字
+   */
+  onLanguageChange() {
+    if (!this.startButton) return;
+    
+    DIFFICULTY_OPTIONS.forEach((difficulty, i) => {
+      this.difficultyButtons[i].text = t(difficulty ? DIFFICULTY_LABELS[difficulty] : 'mode.classic');
+    });
+    CHALLENGE_OPTIONS.forEach((challenge, i) => {
+      this.challengeButtons[i].text = t(challenge ? CHALLENGE_LABELS[challenge] : 'mode.standard');
+    });
+    this.blindButton.text = t('mode.blind');
+    this.dailyButton.text = t('mode.daily');
+    this.codeButton.text = t('mode.enterCode');
+    this._setSize(this.rows, this.cols);
+  }
+
+  /**
+   * 设置选项按钮配色
+   */
+  _applyChipColors(button, selected) {
+    button.colorRole = selected ? ButtonRole.CHIP_SELECTED : ButtonRole.CHIP;
+  }
+
+  /**
+   * 模式选择（正方形传边长，长方形传 { rows, cols }）
+   */
+  _onModeSelected(rows, cols) {
+    const options = {};
+    if (this.difficulty) {
+      options.difficulty = this.difficulty;
+    }
+    if (this.challenge) {
+      options.challenge = this.challenge;
+    }
+    if (this.blind) {
+      options.blind = true;
+    }
+    if (this.picture) {
+      options.picture = this.picture;
+    }
+    globalEvent.emit('game:start', rows === cols ? rows : { rows, cols }, options);
+  }
+
+  /**
+   * 图片按钮点击：选择内置图片、从相册选择或改回数字方块
+   */
+  _onPictureClick() {
+    const itemList = [...BUILTIN_PICTURES.map(item => t(item.label)), t('mode.pictureAlbum'), t('mode.pictureNone')];
+    
+    wx.showActionSheet({
+      itemList: itemList,
+      success: async (res) => {
+        const index = res.tapIndex;
+        if (index < BUILTIN_PICTURES.length) {
+          this.picture = { source: PictureSource.BUILTIN, id: BUILTIN_PICTURES[index].id };
+        } else if (index === BUILTIN_PICTURES.length) {
+          const picture = await choosePicture();
+          if (!picture) return;
+          this.picture = picture;
+        } else {
+          this.picture = null;
+        }
+        this._refreshSelection();
+      }
+    });
+  }
+
+  /**
+   * 每日挑战按钮点击
+   */
+  _onDailyClick() {
+    globalEvent.emit('scene:change', 'daily');
   }
 
   /**
-   * 模式选择
+   * 输入题目码按钮点击
+   * 剪贴板中有有效题目码时自动预填
    */
-  _onModeSelected(size) {
-    globalEvent.emit('game:start', size);
+  _onCodeClick() {
+    wx.getClipboardData({
+      success: (res) => {
+        this._promptCode(isValid(res.data) ? res.data.trim() : '');
+      },
+      fail: () => {
+        this._promptCode('');
+      }
+    });
+  }
+
+  /**
+   * 弹出题目码输入框
+   */
+  _promptCode(defaultCode) {
+    wx.showModal({
+      title: t('mode.enterCode'),
+      editable: true,
+      placeholderText: t('mode.codePlaceholder'),
+      content: defaultCode,
+      success: (res) => {
+        if (res.confirm) {
+          this._playCode(res.content);
+        }
+      }
+    });
+  }
+
+  /**
+   * 按题目码开始游戏
+   */
+  _playCode(code) {
+    const puzzle = decode(code);
+    if (!puzzle) {
+      wx.showToast({ title: t('mode.invalidCode'), icon: 'none' });
+      return;
+    }
+    
+    globalEvent.emit('game:start', puzzle.size, toGameOptions(puzzle));
   }
 
   /**
@@ -139,8 +500,23 @@ export class ModeScene extends BaseScene {
       .start();
     
     // 按钮入场
-    this.button4x4.playEnterAnimation(100);
-    this.button5x5.playEnterAnimation(200);
+    [...this.rowButtons, ...this.colButtons].forEach(button => {
+      button.playEnterAnimation(100);
+    });
+    this.presetButtons.forEach((button, i) => {
+      button.playEnterAnimation(150 + i * 30);
+    });
+    this.difficultyButtons.forEach((button, i) => {
+      button.playEnterAnimation(200 + i * 30);
+    });
+    this.challengeButtons.forEach((button, i) => {
+      button.playEnterAnimation(220 + i * 30);
+    });
+    this.blindButton.playEnterAnimation(80);
+    this.pictureButton.playEnterAnimation(80);
+    this.startButton.playEnterAnimation(250);
+    this.dailyButton.playEnterAnimation(300);
+    this.codeButton.playEnterAnimation(350);
     this.backButton.playEnterAnimation(50);
   }
 
@@ -154,8 +530,16 @@ export class ModeScene extends BaseScene {
       .start();
     
     await Promise.all([
-      this.button4x4.playExitAnimation(),
-      this.button5x5.playExitAnimation(),
+      ...this.rowButtons.map(button => button.playExitAnimation()),
+      ...this.colButtons.map(button => button.playExitAnimation()),
+      this.startButton.playExitAnimation(),
+      ...this.presetButtons.map(button => button.playExitAnimation()),
+      ...this.difficultyButtons.map(button => button.playExitAnimation()),
+      ...this.challengeButtons.map(button => button.playExitAnimation()),
+      this.blindButton.playExitAnimation(),
+      this.pictureButton.playExitAnimation(),
+      this.dailyButton.playExitAnimation(),
+      this.codeButton.playExitAnimation(),
       this.backButton.playExitAnimation()
     ]);
     
@@ -170,12 +554,14 @@ export class ModeScene extends BaseScene {
     const w = this.width;
     const h = this.height;
     
-    // 1. 主背景 - 柔和的斜向渐变（从右上到左下，与开始界面对角方向相反）
+    const background = this.theme.background;
+    
+    // 1. 主背景 - 主题斜向渐变（从右上到左下，与开始界面对角方向相反）
     const mainGradient = ctx.createLinearGradient(w, 0, 0, h);
-    mainGradient.addColorStop(0, '#E0F7F5');    // 柔和的薄荷绿
-    mainGradient.addColorStop(0.35, '#F0FCFA'); // 浅绿白
-    mainGradient.addColorStop(0.65, '#F5FAFF'); // 浅蓝白
-    mainGradient.addColorStop(1, '#E8F4FD');    // 柔和的天蓝
+    mainGradient.addColorStop(0, background.gradient[0]);
+    mainGradient.addColorStop(0.35, background.gradient[1]);
+    mainGradient.addColorStop(0.65, background.gradient[2]);
+    mainGradient.addColorStop(1, background.gradient[3]);
     
     ctx.fillStyle = mainGradient;
     ctx.fillRect(0, 0, w, h);
@@ -183,7 +569,7 @@ export class ModeScene extends BaseScene {
     // 2. 装饰性斜线条纹 - 细腻的线条
     ctx.save();
     ctx.globalAlpha = 0.035;
-    ctx.strokeStyle = '#5AB9A8';
+    ctx.strokeStyle = background.lines[0];
     ctx.lineWidth = 1;
     
     const lineSpacing = 55;
@@ -199,7 +585,7 @@ export class ModeScene extends BaseScene {
     
     // 3. 第二层斜线（交叉方向，更稀疏）
     ctx.globalAlpha = 0.02;
-    ctx.strokeStyle = '#4A90D9';
+    ctx.strokeStyle = background.lines[1];
     ctx.lineWidth = 1.5;
     
     ctx.beginPath();
@@ -212,30 +598,31 @@ export class ModeScene extends BaseScene {
     
     // 4. 顶部和底部的柔和光晕
     const topGlow = ctx.createLinearGradient(0, 0, 0, h * 0.35);
-    topGlow.addColorStop(0, 'rgba(90, 185, 168, 0.12)');
-    topGlow.addColorStop(1, 'rgba(90, 185, 168, 0)');
+    topGlow.addColorStop(0, `rgba(${background.glows[0]}, 0.12)`);
+    topGlow.addColorStop(1, `rgba(${background.glows[0]}, 0)`);
     ctx.fillStyle = topGlow;
     ctx.fillRect(0, 0, w, h * 0.35);
     
     const bottomGlow = ctx.createLinearGradient(0, h * 0.65, 0, h);
-    bottomGlow.addColorStop(0, 'rgba(74, 144, 217, 0)');
-    bottomGlow.addColorStop(1, 'rgba(74, 144, 217, 0.1)');
+    bottomGlow.addColorStop(0, `rgba(${background.glows[1]}, 0)`);
+    bottomGlow.addColorStop(1, `rgba(${background.glows[1]}, 0.1)`);
     ctx.fillStyle = bottomGlow;
     ctx.fillRect(0, h * 0.65, w, h * 0.35);
     
     // 5. 角落装饰光点
-    this._drawCornerGlow(w * 0.12, h * 0.18, 110, 'rgba(90, 185, 168, 0.1)');
-    this._drawCornerGlow(w * 0.88, h * 0.82, 90, 'rgba(74, 144, 217, 0.1)');
+    this._drawCornerGlow(w * 0.12, h * 0.18, 110, background.glows[0], 0.1);
+    this._drawCornerGlow(w * 0.88, h * 0.82, 90, background.glows[1], 0.1);
   }
   
   /**
    * 绘制角落光晕装饰
+   * @param {string} rgb - 'r, g, b'
    */
-  _drawCornerGlow(x, y, radius, color) {
+  _drawCornerGlow(x, y, radius, rgb, alpha) {
     const ctx = this.ctx;
     const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
-    gradient.addColorStop(0, color);
-    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    gradient.addColorStop(0, `rgba(${rgb}, ${alpha})`);
+    gradient.addColorStop(1, `rgba(${rgb}, 0)`);
     
     ctx.fillStyle = gradient;
     ctx.beginPath();
@@ -248,6 +635,68 @@ export class ModeScene extends BaseScene {
    */
   _drawContent() {
     this._drawTitle();
+    this._drawSizePicker();
+    this._drawBandText();
+  }
+
+  /**
+   * 绘制当前难度的最优步数区间与挑战规则
+   * 限步挑战未选难度时按 MOVE_LIMIT_DIFFICULTY 出题
+   */
+  _drawBandText() {
+    const ctx = this.ctx;
+    const size = { rows: this.rows, cols: this.cols };
+    const difficulty = this.difficulty ||
+      (this.challenge === ChallengeMode.MOVE_LIMIT ? MOVE_LIMIT_DIFFICULTY : null);
+    let text = difficulty
+      ? t('mode.band', { band: formatBand(getDifficultyBand(size, difficulty)) })
+      : t('mode.randomShuffle');
+    if (this.challenge) {
+      text += ` · ${describeChallenge(this.challenge, size)}`;
+    }
+    if (this.blind) {
+      text += ` · ${t('mode.blindTag')}`;
+    }
+    
+    ctx.save();
+    ctx.globalAlpha = this.contentOpacity * this.opacity;
+    ctx.fillStyle = this.theme.text.secondary;
+    ctx.font = '16px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, this.width / 2, this.bandTextY + this.contentY);
+    ctx.restore();
+  }
+
+  /**
+   * 绘制行列选择器的文字
+   */
+  _drawSizePicker() {
+    const ctx = this.ctx;
+    const centerX = this.width / 2;
+    
+    ctx.save();
+    ctx.globalAlpha = this.contentOpacity * this.opacity;
+    ctx.textBaseline = 'middle';
+    
+    const pickers = [
+      { label: t('mode.rows'), value: this.rows, y: this.rowPickerY },
+      { label: t('mode.cols'), value: this.cols, y: this.colPickerY }
+    ];
+    
+    for (let picker of pickers) {
+      ctx.fillStyle = this.theme.text.secondary;
+      ctx.font = '22px Arial, sans-serif';
+      ctx.textAlign = 'right';
+      ctx.fillText(picker.label, centerX - 70, picker.y + this.contentY);
+      
+      ctx.fillStyle = this.theme.text.primary;
+      ctx.font = 'bold 30px Arial, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText(`${picker.value}`, centerX + 30, picker.y + this.contentY);
+    }
+    
+    ctx.restore();
   }
 
   /**
@@ -260,11 +709,11 @@ export class ModeScene extends BaseScene {
     this.ctx.save();
     this.ctx.globalAlpha = this.titleOpacity * this.opacity;
     
-    this.ctx.fillStyle = '#2C3E50';
+    this.ctx.fillStyle = this.theme.text.primary;
     this.ctx.font = 'bold 40px Arial, sans-serif';
     this.ctx.textAlign = 'center';
     this.ctx.textBaseline = 'middle';
-    this.ctx.fillText(this.title, centerX, titleY);
+    this.ctx.fillText(t(this.title), centerX, titleY);
     
     this.ctx.restore();
   }
@@ -0,0 +1,718 @@
+/**
+ * 回放场景
+ * 按记录的时间重现一局：播放/暂停、0.5×~8× 变速、单步前进后退与时间轴拖动，
+ * 可把回放码复制到剪贴板分享
+ */
+
+import { BaseScene } from './BaseScene.js';
+import { Board } from '../core/Board.js';
+import { Button } from '../ui/Button.js';
+import { ButtonRole } from '../theme/Themes.js';
+import { BackButton } from '../ui/BackButton.js';
+import { Tween, Easing } from '../utils/Tween.js';
+import { globalEvent } from '../utils/EventEmitter.js';
+import { Timer } from '../core/Timer.js';
+import { normalizeSize, formatSize } from '../core/BoardSize.js';
+import { findBlank, getGridAt } from '../core/Replay.js';
+import { encodeReplay } from '../core/ReplayCode.js';
+import { replayStore } from '../storage/ReplayStore.js';
+import { t } from '../i18n/I18n.js';
+
+// 可选播放速度
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+// 默认速度（SPEEDS 下标）
+const DEFAULT_SPEED_INDEX = 1;
+
+// 时间轴左右边距与触摸判定高度
+const TIMELINE_MARGIN = 40;
+const TIMELINE_HIT_HEIGHT = 40;
+
+export class ReplayScene extends BaseScene {
+  constructor(canvas, ctx) {
+    super(canvas, ctx);
+
+    // 标题（文本 key）
+    this.title = 'replay.title';
+    this.titleOpacity = 0;
+
+    // 按钮
+    this.backButton = null;
+    this.stepBackButton = null;
+    this.playButton = null;
+    this.stepForwardButton = null;
+    this.speedButton = null;
+    this.exportButton = null;
+
+    // 返回目标（从胜利页或统计页进入）
+    this.returnScene = 'start';
+    this.returnData = null;
+
+    // 回放数据与棋盘
+    this.replay = null;
+    this.board = null;
+    this.rows = 4;
+    this.cols = 4;
+    this.blockSize = 80;
+    this.blockGap = 10;
+    this.boardX = 0;
+    this.boardY = 0;
+
+    // 播放状态：index 为已执行的操作数，playTime 为回放时间（毫秒）
+    this.index = 0;
+    this.playTime = 0;
+    this.duration = 0;
+    this.isPlaying = false;
+    this.speedIndex = DEFAULT_SPEED_INDEX;
+
+    // 是否正在拖动时间轴
+    this.isScrubbing = false;
+
+    // 动画状态
+    this.contentOpacity = 0;
+  }
+
+  /**
+   * 初始化
+   */
+  init() {
+    this._createButtons();
+    this.updateLayout();
+  }
+
+  /**
+   * 更新布局
+   */
+  updateLayout() {
+    super.updateLayout();
+
+    const centerX = this.width / 2;
+    const controlY = this.height - 130;
+
+    // 棋盘可用区域：上方留给标题与对局信息，下方留给控制栏与时间轴
+    const boardTop = 140;
+    const boardBottom = this.height - 200;
+    const maxBoardWidth = this.width - 60;
+    const maxBoardHeight = boardBottom - boardTop;
+
+    const maxLine = Math.max(this.rows, this.cols);
+    this.blockGap = Math.min(10, Math.round(50 / maxLine));
+    this.blockSize = Math.floor(Math.min(
+      (maxBoardWidth - (this.cols - 1) * this.blockGap) / this.cols,
+      (maxBoardHeight - (this.rows - 1) * this.blockGap) / this.rows
+    ));
+
+    const boardWidth = this.cols * this.blockSize + (this.cols - 1) * this.blockGap;
+    const boardHeight = this.rows * this.blockSize + (this.rows - 1) * this.blockGap;
+    this.boardX = (this.width - boardWidth) / 2;
+    this.boardY = boardTop + (maxBoardHeight - boardHeight) / 2;
+
+    if (this.board) {
+      this.board.blockSize = this.blockSize;
+      this.board.blockGap = this.blockGap;
+      this.board.updatePosition(this.boardX, this.boardY);
+    }
+
+    if (this.stepBackButton) {
+      this.stepBackButton.setPosition(centerX - 130, controlY);
+    }
+    if (this.playButton) {
+      this.playButton.setPosition(centerX - 40, controlY);
+    }
+    if (this.stepForwardButton) {
+      this.stepForwardButton.setPosition(centerX + 50, controlY);
+    }
+    if (this.speedButton) {
+      this.speedButton.setPosition(centerX + 130, controlY);
+    }
+
+    // 复制回放码按钮（右上角）
+    if (this.exportButton) {
+      this.exportButton.setPosition(this.width - 55, 45);
+    }
+
+    // 返回按钮位置（左上角）
+    if (this.backButton) {
+      this.backButton.setPosition(45, 45);
+    }
+  }
+
+  /**
+   * 创建按钮
+   */
+  _createButtons() {
+    this.stepBackButton = this._createControlButton('‹', () => {
+      this._stepBack();
+    });
+
+    this.playButton = new Button({
+      text: '▶',
+      width: 80,
+      height: 50,
+      fontSize: 24,
+      colorRole: ButtonRole.PRIMARY,
+      borderRadius: 10,
+      onClick: () => {
+        this._togglePlay();
+      }
+    });
+
+    this.stepForwardButton = this._createControlButton('›', () => {
+      this._stepForward();
+    });
+
+    this.speedButton = this._createControlButton(formatSpeed(SPEEDS[DEFAULT_SPEED_INDEX]), () => {
+      this._changeSpeed();
+    });
+    this.speedButton.width = 64;
+    this.speedButton.fontSize = 18;
+
+    this.exportButton = this._createControlButton(t('replay.copy'), () => {
+      this._onExportClick();
+    });
+    this.exportButton.width = 70;
+    this.exportButton.height = 36;
+    this.exportButton.fontSize = 18;
+    this.exportButton.borderRadius = 8;
+
+    this.backButton = new BackButton({
+      onClick: () => {
+        this._onBackClick();
+      }
+    });
+
+    this.uiElements.push(
+      this.stepBackButton,
+      this.playButton,
+      this.stepForwardButton,
+      this.speedButton,
+      this.exportButton,
+      this.backButton
+    );
+  }
+
+  /**
+   * 创建控制栏按钮
+   */
+  _createControlButton(text, onClick) {
+    return new Button({
+      text: text,
+      width: 50,
+      height: 50,
+      fontSize: 28,
+      colorRole: ButtonRole.GHOST,
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      borderRadius: 10,
+      onClick: onClick
+    });
+  }
+
+  /**
+   * 创建棋盘并载入初始局面
+   */
+  _createBoard() {
+    if (this.board) {
+      this.board.destroy();
+      this.board = null;
+    }
+    if (!this.replay) return;
+
+    const { rows, cols } = normalizeSize(this.replay.size);
+    this.rows = rows;
+    this.cols = cols;
+    this.updateLayout();
+
+    this.board = new Board({ rows, cols }, {
+      x: this.boardX,
+      y: this.boardY,
+      blockSize: this.blockSize,
+      blockGap: this.blockGap
+    });
+
+    if (!this.board.loadGrid(this.replay.grid)) {
+      this.board.destroy();
+      this.board = null;
+    }
+  }
+
+  /**
+   * 播放 / 暂停（播放到末尾时从头开始）
+   */
+  _togglePlay() {
+    if (!this.board) return;
+
+    if (this.isPlaying) {
+      this._setPlaying(false);
+      return;
+    }
+
+    if (this.index >= this.replay.moves.length) {
+      this._seek(0, 0);
+    }
+    this._setPlaying(true);
+  }
+
+  /**
+   * 设置播放状态并更新按钮文字
+   */
+  _setPlaying(playing) {
+    this.isPlaying = playing;
+    this.playButton.text = playing ? '❚❚' : '▶';
+  }
+
+  /**
+   * 切换播放速度
+   */
+  _changeSpeed() {
+    this.speedIndex = (this.speedIndex + 1) % SPEEDS.length;
+    this.speedButton.text = formatSpeed(SPEEDS[this.speedIndex]);
+  }
+
+  /**
+   * 每帧推进回放时间
+   */
+  update(deltaTime) {
+    if (!this.visible || !this.board || !this.isPlaying || this.isScrubbing) return;
+
+    const moves = this.replay.moves;
+    this.playTime = Math.min(this.duration, this.playTime + deltaTime * SPEEDS[this.speedIndex]);
+
+    let target = this.index;
+    while (target < moves.length && moves[target][2] <= this.playTime) {
+      target++;
+    }
+
+    // 只差一步且棋盘空闲时播放动画，否则（高倍速、连续快操作）直接跳到目标局面
+    if (target === this.index + 1 && !this.board.isAnimating) {
+      this._applyNext();
+    } else if (target > this.index) {
+      this._seek(target, this.playTime);
+    }
+
+    if (this.playTime >= this.duration && this.index >= moves.length) {
+      this._setPlaying(false);
+    }
+  }
+
+  /**
+   * 以动画执行下一个操作
+   */
+  _applyNext() {
+    const move = this.replay.moves[this.index];
+    this.index++;
+    this.board.moveLine(move[0], move[1], true);
+  }
+
+  /**
+   * 跳到执行前 count 个操作后的局面
+   * @param {number} count - 操作数
+   * @param {number} time - 对应的回放时间
+   */
+  _seek(count, time) {
+    this.index = count;
+    this.playTime = time;
+    this.board.loadGrid(getGridAt(this.replay.grid, this.replay.moves, count));
+  }
+
+  /**
+   * 后退一步（暂停播放）
+   */
+  _stepBack() {
+    if (!this.board || this.index === 0) return;
+    this._setPlaying(false);
+
+    const moves = this.replay.moves;
+    const count = this.index - 1;
+    const time = count > 0 ? moves[count - 1][2] : 0;
+
+    if (this.board.isAnimating) {
+      this._seek(count, time);
+      return;
+    }
+
+    // 从上一步之前的空格位置推回即可还原
+    const blank = findBlank(getGridAt(this.replay.grid, moves, count));
+    this.index = count;
+    this.playTime = time;
+    this.board.moveLine(blank.row, blank.col, true);
+  }
+
+  /**
+   * 前进一步（暂停播放）
+   */
+  _stepForward() {
+    const moves = this.replay ? this.replay.moves : [];
+    if (!this.board || this.index >= moves.length) return;
+    this._setPlaying(false);
+
+    const time = moves[this.index][2];
+    if (this.board.isAnimating) {
+      this._seek(this.index + 1, time);
+      return;
+    }
+
+    this._applyNext();
+    this.playTime = time;
+  }
+
+  /**
+   * 拖动时间轴到指定横坐标
+   */
+  _scrubTo(x) {
+    const left = TIMELINE_MARGIN;
+    const width = this.width - TIMELINE_MARGIN * 2;
+    const ratio = Math.max(0, Math.min(1, (x - left) / width));
+    const time = ratio * this.duration;
+
+    const moves = this.replay.moves;
+    let count = 0;
+    while (count < moves.length && moves[count][2] <= time) {
+      count++;
+    }
+
+    if (count !== this.index || this.board.isAnimating) {
+      this._seek(count, time);
+    } else {
+      this.playTime = time;
+    }
+  }
+
+  /**
+   * 坐标是否在时间轴上
+   */
+  _isOnTimeline(x, y) {
+    return Math.abs(y - this._getTimelineY()) <= TIMELINE_HIT_HEIGHT / 2 &&
+           x >= TIMELINE_MARGIN - 10 && x <= this.width - TIMELINE_MARGIN + 10;
+  }
+
+  /**
+   * 时间轴纵坐标
+   */
+  _getTimelineY() {
+    return this.height - 70;
+  }
+
+  /**
+   * 语言切换：刷新按钮文字
+   */
+  onLanguageChange() {
+    if (this.exportButton) this.exportButton.text = t('replay.copy');
+  }
+
+  /**
+   * 复制回放码到剪贴板
+   */
+  _onExportClick() {
+    if (!this.replay) return;
+
+    wx.setClipboardData({
+      data: encodeReplay(this.replay),
+      success: () => {
+        wx.showToast({ title: t('replay.codeCopied'), icon: 'success' });
+      }
+    });
+  }
+
+  /**
+   * 返回按钮点击
+   */
+  _onBackClick() {
+    globalEvent.emit('scene:change', this.returnScene, this.returnData);
+  }
+
+  /**
+   * 处理触摸开始
+   */
+  onTouchStart(x, y) {
+    if (super.onTouchStart(x, y)) return true;
+
+    if (this.board && this._isOnTimeline(x, y)) {
+      this.isScrubbing = true;
+      this._scrubTo(x);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 处理触摸移动
+   */
+  onTouchMove(x, y) {
+    if (this.isScrubbing) {
+      this._scrubTo(x);
+    }
+  }
+
+  /**
+   * 处理触摸结束
+   */
+  onTouchEnd(x, y) {
+    if (this.isScrubbing) {
+      this.isScrubbing = false;
+      return true;
+    }
+    return super.onTouchEnd(x, y);
+  }
+
+  /**
+   * 进入动画
+   * @param {Object} options - { replay | replayId, returnScene, returnData }
+   */
+  async enter(options = {}) {
+    this.titleOpacity = 0;
+    this.contentOpacity = 0;
+
+    this.returnScene = options.returnScene || 'start';
+    this.returnData = options.returnData || null;
+
+    this.replay = options.replay || (options.replayId ? replayStore.get(options.replayId) : null);
+    if (!this.replay) {
+      console.warn('[ReplayScene] 回放不存在:', options.replayId);
+    }
+
+    // 总时长取最后一个操作与记录用时中较大者
+    const moves = this.replay ? this.replay.moves : [];
+    const lastTime = moves.length > 0 ? moves[moves.length - 1][2] : 0;
+    this.duration = this.replay ? Math.max(lastTime, this.replay.timeMs || 0) : 0;
+    this.index = 0;
+    this.playTime = 0;
+    this.isScrubbing = false;
+    this.speedIndex = DEFAULT_SPEED_INDEX;
+    this.speedButton.text = formatSpeed(SPEEDS[this.speedIndex]);
+    this._setPlaying(false);
+
+    this._createBoard();
+
+    const enabled = this.board !== null;
+    this.stepBackButton.enabled = enabled;
+    this.playButton.enabled = enabled;
+    this.stepForwardButton.enabled = enabled;
+    this.speedButton.enabled = enabled;
+    this.exportButton.enabled = enabled;
+
+    await super.enter();
+
+    new Tween(this)
+      .to({ titleOpacity: 1, contentOpacity: 1 }, 300)
+      .easing(Easing.easeOutQuad)
+      .start();
+
+    if (this.board) {
+      this.board.playEnterAnimation();
+    }
+
+    this.stepBackButton.playEnterAnimation(100);
+    this.playButton.playEnterAnimation(150);
+    this.stepForwardButton.playEnterAnimation(200);
+    this.speedButton.playEnterAnimation(250);
+    this.exportButton.playEnterAnimation(150);
+    this.backButton.playEnterAnimation(50);
+  }
+
+  /**
+   * 离开动画
+   */
+  async exit() {
+    this._setPlaying(false);
+    this.isScrubbing = false;
+
+    new Tween(this)
+      .to({ titleOpacity: 0, contentOpacity: 0 }, 200)
+      .easing(Easing.easeInQuad)
+      .start();
+
+    await Promise.all([
+      this.stepBackButton.playExitAnimation(),
+      this.playButton.playExitAnimation(),
+      this.stepForwardButton.playExitAnimation(),
+      this.speedButton.playExitAnimation(),
+      this.exportButton.playExitAnimation(),
+      this.backButton.playExitAnimation()
+    ]);
+
+    await super.exit();
+  }
+
+  /**
+   * 离开完成：释放棋盘
+   */
+  onExit() {
+    if (this.board) {
+      this.board.destroy();
+      this.board = null;
+    }
+  }
+
+  /**
+   * 绘制背景 - 柔和斜向渐变
+   */
+  _drawBackground() {
+    const ctx = this.ctx;
+    const w = this.width;
+    const h = this.height;
+
+    const gradientColors = this.theme.background.gradient;
+
+    const mainGradient = ctx.createLinearGradient(0, 0, w, h);
+    mainGradient.addColorStop(0, gradientColors[0]);
+    mainGradient.addColorStop(0.5, gradientColors[1]);
+    mainGradient.addColorStop(1, gradientColors[3]);
+
+    ctx.fillStyle = mainGradient;
+    ctx.fillRect(0, 0, w, h);
+  }
+
+  /**
+   * 绘制内容
+   */
+  _drawContent() {
+    this._drawTitle();
+
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.globalAlpha = this.contentOpacity * this.opacity;
+
+    if (!this.board) {
+      ctx.fillStyle = this.theme.text.muted;
+      ctx.font = '16px Arial, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(t('replay.missing'), this.width / 2, this.height / 2);
+      ctx.restore();
+      return;
+    }
+
+    this._drawInfo();
+    this.board.draw(ctx);
+    this._drawProgress();
+    this._drawTimeline();
+
+    ctx.restore();
+  }
+
+  /**
+   * 绘制标题
+   */
+  _drawTitle() {
+    const ctx = this.ctx;
+
+    ctx.save();
+    ctx.globalAlpha = this.titleOpacity * this.opacity;
+    ctx.fillStyle = this.theme.text.primary;
+    ctx.font = 'bold 30px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(t(this.title), this.width / 2, 45);
+    ctx.restore();
+  }
+
+  /**
+   * 绘制对局信息：尺寸、成绩与日期
+   */
+  _drawInfo() {
+    const ctx = this.ctx;
+    const replay = this.replay;
+    const parts = [formatSize(replay.size)];
+    if (replay.timeMs !== undefined) {
+      parts.push(Timer.format(replay.timeMs, true));
+    }
+    if (replay.moveCount !== undefined) {
+      parts.push(t('common.moveCount', { moves: replay.moveCount }));
+    }
+
+    ctx.fillStyle = this.theme.text.primary;
+    ctx.font = 'bold 18px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(parts.join(' · '), this.width / 2, 95);
+
+    if (replay.date) {
+      ctx.fillStyle = this.theme.text.muted;
+      ctx.font = '13px Arial, sans-serif';
+      ctx.fillText(formatDate(replay.date), this.width / 2, 118);
+    }
+  }
+
+  /**
+   * 绘制当前步数与回放时间
+   */
+  _drawProgress() {
+    const ctx = this.ctx;
+    const y = this._getTimelineY() - 24;
+
+    ctx.fillStyle = this.theme.text.secondary;
+    ctx.font = '14px Arial, sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillText(t('replay.step', { index: this.index, total: this.replay.moves.length }), TIMELINE_MARGIN, y);
+    ctx.textAlign = 'right';
+    ctx.fillText(
+      `${Timer.format(this.playTime, true)} / ${Timer.format(this.duration, true)}`,
+      this.width - TIMELINE_MARGIN,
+      y
+    );
+  }
+
+  /**
+   * 绘制时间轴：底条、已播放部分、每步刻度与拖动手柄
+   */
+  _drawTimeline() {
+    const ctx = this.ctx;
+    const y = this._getTimelineY();
+    const left = TIMELINE_MARGIN;
+    const width = this.width - TIMELINE_MARGIN * 2;
+    const ratio = this.duration > 0 ? Math.min(1, this.playTime / this.duration) : 0;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
+    ctx.fillRect(left, y - 3, width, 6);
+    ctx.fillStyle = '#4A90D9';
+    ctx.fillRect(left, y - 3, width * ratio, 6);
+
+    // 每步刻度（步数过多时省略）
+    const moves = this.replay.moves;
+    if (this.duration > 0 && moves.length <= width / 3) {
+      ctx.fillStyle = 'rgba(44, 62, 80, 0.35)';
+      for (let move of moves) {
+        ctx.fillRect(left + (move[2] / this.duration) * width - 0.5, y + 5, 1, 5);
+      }
+    }
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.strokeStyle = '#4A90D9';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(left + width * ratio, y, this.isScrubbing ? 10 : 8, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  /**
+   * 销毁场景
+   */
+  destroy() {
+    if (this.board) {
+      this.board.destroy();
+      this.board = null;
+    }
+    super.destroy();
+  }
+}
+
+/**
+ * 速度文字（如 0.5×、2×）
+ */
+function formatSpeed(speed) {
+  return `${speed}×`;
+}
+
+/**
+ * 日期文字（如 2024-05-01 20:30）
+ */
+function formatDate(time) {
+  const date = new Date(time);
+  const pad = (value) => value.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+         `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+export default ReplayScene;
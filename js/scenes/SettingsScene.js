@@ -0,0 +1,407 @@
+/**
+ * 设置场景
+ * 音效、振动、动画速度、计步方式、计时显示、主题与语言，修改后立即生效并保存
+ */
+
+import { BaseScene } from './BaseScene.js';
+import { Button } from '../ui/Button.js';
+import { ButtonRole } from '../theme/Themes.js';
+import { BackButton } from '../ui/BackButton.js';
+import { Toggle } from '../ui/Toggle.js';
+import { Slider } from '../ui/Slider.js';
+import { Tween, Easing } from '../utils/Tween.js';
+import { globalEvent } from '../utils/EventEmitter.js';
+import { audioManager, SoundType } from '../audio/AudioManager.js';
+import { hapticsManager, HapticType, HapticIntensity } from '../haptics/HapticsManager.js';
+import { MoveMetric } from '../core/Board.js';
+import { settings, AnimationSpeed } from '../storage/Settings.js';
+import { themeManager } from '../theme/ThemeManager.js';
+import { i18n, t, Language, LANGUAGE_LABELS } from '../i18n/I18n.js';
+
+// 可单独调节音量的音效
+const SOUND_VOLUME_ROWS = [
+  { soundType: SoundType.BUTTON_CLICK, label: 'settings.clickVolume' },
+  { soundType: SoundType.BLOCK_MOVE, label: 'settings.moveVolume' },
+  { soundType: SoundType.WIN, label: 'settings.winVolume' }
+];
+
+// 切换按钮依次循环的选项
+const INTENSITY_OPTIONS = [HapticIntensity.LIGHT, HapticIntensity.MEDIUM, HapticIntensity.HEAVY];
+const SPEED_OPTIONS = [AnimationSpeed.SLOW, AnimationSpeed.NORMAL, AnimationSpeed.FAST];
+const METRIC_OPTIONS = [MoveMetric.TILE, MoveMetric.LINE];
+const LANGUAGE_OPTIONS = [Language.ZH, Language.EN];
+
+// 设置行最大行高
+const MAX_ROW_HEIGHT = 50;
+
+export class SettingsScene extends BaseScene {
+  constructor(canvas, ctx) {
+    super(canvas, ctx);
+
+    this.titleOpacity = 0;
+
+    // 设置行 [{ label, control }]，label 为文本 key
+    this.rows = [];
+
+    // 控件
+    this.soundToggle = null;
+    this.masterSlider = null;
+    this.volumeSliders = [];
+    this.vibrationToggle = null;
+    this.intensityButton = null;
+    this.speedButton = null;
+    this.metricButton = null;
+    this.timerToggle = null;
+    this.themeButton = null;
+    this.languageButton = null;
+    this.backButton = null;
+
+    // 返回目标
+    this.returnScene = 'start';
+
+    // 动画状态
+    this.contentOpacity = 0;
+  }
+
+  /**
+   * 初始化
+   */
+  init() {
+    this._createControls();
+    this.updateLayout();
+  }
+
+  /**
+   * 更新布局
+   */
+  updateLayout() {
+    super.updateLayout();
+
+    const layout = this._getRowLayout();
+    this.rows.forEach((row, i) => {
+      const width = row.control.width;
+      row.control.setPosition(this.width - layout.margin - 16 - width / 2, layout.top + (i + 0.5) * layout.rowHeight);
+    });
+
+    // 返回按钮位置（左上角）
+    if (this.backButton) {
+      this.backButton.setPosition(45, 45);
+    }
+  }
+
+  /**
+   * 设置行布局
+   * @returns {Object} { margin, top, rowHeight }
+   */
+  _getRowLayout() {
+    const top = this.height * 0.13;
+    const count = Math.max(1, this.rows.length);
+    return {
+      margin: 20,
+      top: top,
+      rowHeight: Math.min(MAX_ROW_HEIGHT, (this.height * 0.96 - top) / count)
+    };
+  }
+
+  /**
+   * 创建控件
+   */
+  _createControls() {
+    this.soundToggle = new Toggle({
+      onChange: (value) => {
+        audioManager.setEnabled(value);
+        settings.set('soundEnabled', value);
+        this._refreshControls();
+      }
+    });
+
+    this.masterSlider = new Slider({
+      width: 150,
+      onInput: (value) => {
+        audioManager.setMasterVolume(value);
+      },
+      onChange: (value) => {
+        audioManager.setMasterVolume(value);
+        settings.set('masterVolume', value);
+      }
+    });
+
+    this.volumeSliders = SOUND_VOLUME_ROWS.map(({ soundType }) => new Slider({
+      width: 150,
+      onInput: (value) => {
+        audioManager.setSoundVolume(soundType, value);
+      },
+      onChange: (value) => {
+        audioManager.setSoundVolume(soundType, value);
+        settings.set('soundVolumes', { ...settings.get('soundVolumes'), [soundType]: value });
+        audioManager.play(soundType);
+      }
+    }));
+
+    this.vibrationToggle = new Toggle({
+      onChange: (value) => {
+        hapticsManager.setEnabled(value);
+        settings.set('vibration', value);
+        hapticsManager.play(HapticType.MOVE);
+        this._refreshControls();
+      }
+    });
+
+    this.intensityButton = this._createOptionButton(() => {
+      const intensity = nextOption(INTENSITY_OPTIONS, hapticsManager.intensity);
+      hapticsManager.setIntensity(intensity);
+      settings.set('vibrationIntensity', intensity);
+      hapticsManager.play(HapticType.MOVE);
+    });
+
+    this.speedButton = this._createOptionButton(() => {
+      settings.set('animationSpeed', nextOption(SPEED_OPTIONS, settings.get('animationSpeed')));
+    });
+
+    this.metricButton = this._createOptionButton(() => {
+      settings.set('moveMetric', nextOption(METRIC_OPTIONS, settings.get('moveMetric')));
+    });
+
+    this.timerToggle = new Toggle({
+      onChange: (value) => {
+        settings.set('showTimer', value);
+      }
+    });
+
+    this.themeButton = this._createOptionButton(() => {
+      globalEvent.emit('scene:change', 'theme', {
+        returnScene: 'settings',
+        returnData: { returnScene: this.returnScene }
+      });
+    });
+
+    this.languageButton = this._createOptionButton(() => {
+      const language = nextOption(LANGUAGE_OPTIONS, i18n.language);
+      i18n.setLanguage(language);
+      settings.set('language', language);
+    });
+
+    this.backButton = new BackButton({
+      onClick: () => {
+        globalEvent.emit('scene:change', this.returnScene);
+      }
+    });
+
+    this.rows = [
+      { label: 'settings.sound', control: this.soundToggle },
+      { label: 'settings.masterVolume', control: this.masterSlider },
+      ...SOUND_VOLUME_ROWS.map((row, i) => ({ label: row.label, control: this.volumeSliders[i] })),
+      { label: 'settings.vibration', control: this.vibrationToggle },
+      { label: 'settings.vibrationIntensity', control: this.intensityButton },
+      { label: 'settings.animationSpeed', control: this.speedButton },
+      { label: 'settings.moveMetric', control: this.metricButton },
+      { label: 'settings.showTimer', control: this.timerToggle },
+      { label: 'settings.theme', control: this.themeButton },
+      { label: 'settings.language', control: this.languageButton }
+    ];
+
+    this.uiElements.push(...this.rows.map(row => row.control), this.backButton);
+  }
+
+  /**
+   * 创建选项按钮（点击切换到下一个选项后刷新显示）
+   */
+  _createOptionButton(onClick) {
+    return new Button({
+      text: '',
+      width: 120,
+      height: 34,
+      fontSize: 16,
+      colorRole: ButtonRole.CHIP,
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      borderRadius: 17,
+      onClick: () => {
+        onClick();
+        this._refreshControls();
+      }
+    });
+  }
+
+  /**
+   * 按当前设置刷新控件状态与文字
+   */
+  _refreshControls() {
+    const soundEnabled = audioManager.isEnabled();
+    this.soundToggle.setValue(soundEnabled);
+    this.masterSlider.setValue(audioManager.masterVolume);
+    this.masterSlider.enabled = soundEnabled;
+    SOUND_VOLUME_ROWS.forEach(({ soundType }, i) => {
+      const config = audioManager.soundConfig[soundType] || {};
+      this.volumeSliders[i].setValue(config.volume !== undefined ? config.volume : 1);
+      this.volumeSliders[i].enabled = soundEnabled;
+    });
+
+    this.vibrationToggle.setValue(hapticsManager.enabled);
+    this.intensityButton.text = t(`intensity.${hapticsManager.intensity}`);
+    this.intensityButton.enabled = hapticsManager.enabled;
+    this.timerToggle.setValue(settings.get('showTimer'));
+    this.speedButton.text = t(`speed.${settings.get('animationSpeed')}`);
+    this.metricButton.text = t(`metric.${settings.get('moveMetric')}`);
+    this.themeButton.text = `${t(`theme.${themeManager.current.id}`)} ›`;
+    this.languageButton.text = LANGUAGE_LABELS[i18n.language];
+  }
+
+  /**
+   * 处理触摸移动：拖动中的滑动条跟随手指
+   */
+  onTouchMove(x, y) {
+    for (let slider of [this.masterSlider, ...this.volumeSliders]) {
+      if (slider.onTouchMove(x, y)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 进入动画
+   * @param {Object} options - { returnScene }
+   */
+  async enter(options = {}) {
+    this.titleOpacity = 0;
+    this.contentOpacity = 0;
+    this.returnScene = options.returnScene || 'start';
+
+    this._refreshControls();
+
+    await super.enter();
+
+    new Tween(this)
+      .to({ titleOpacity: 1, contentOpacity: 1 }, 300)
+      .easing(Easing.easeOutQuad)
+      .start();
+
+    this.rows.forEach((row, i) => {
+      row.control.playEnterAnimation(50 + i * 20);
+    });
+    this.backButton.playEnterAnimation(50);
+  }
+
+  /**
+   * 离开动画
+   */
+  async exit() {
+    new Tween(this)
+      .to({ titleOpacity: 0, contentOpacity: 0 }, 200)
+      .easing(Easing.easeInQuad)
+      .start();
+
+    await Promise.all([
+      ...this.rows.map(row => row.control.playExitAnimation()),
+      this.backButton.playExitAnimation()
+    ]);
+
+    await super.exit();
+  }
+
+  /**
+   * 绘制背景 - 当前主题的斜向渐变
+   */
+  _drawBackground() {
+    const ctx = this.ctx;
+    const w = this.width;
+    const h = this.height;
+
+    const gradientColors = this.theme.background.gradient;
+
+    const mainGradient = ctx.createLinearGradient(0, 0, w, h);
+    mainGradient.addColorStop(0, gradientColors[0]);
+    mainGradient.addColorStop(0.5, gradientColors[1]);
+    mainGradient.addColorStop(1, gradientColors[3]);
+
+    ctx.fillStyle = mainGradient;
+    ctx.fillRect(0, 0, w, h);
+  }
+
+  /**
+   * 绘制内容
+   */
+  _drawContent() {
+    this._drawTitle();
+    this._drawRows();
+  }
+
+  /**
+   * 绘制标题
+   */
+  _drawTitle() {
+    const ctx = this.ctx;
+
+    ctx.save();
+    ctx.globalAlpha = this.titleOpacity * this.opacity;
+    ctx.fillStyle = this.theme.text.primary;
+    ctx.font = 'bold 36px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(t('settings.title'), this.width / 2, this.height * 0.07);
+    ctx.restore();
+  }
+
+  /**
+   * 绘制设置行：卡片底色、行名称与分隔线（控件由 uiElements 绘制）
+   */
+  _drawRows() {
+    const ctx = this.ctx;
+    const { margin, top, rowHeight } = this._getRowLayout();
+    const width = this.width - margin * 2;
+
+    ctx.save();
+    ctx.globalAlpha = this.contentOpacity * this.opacity;
+
+    ctx.fillStyle = this.theme.surface;
+    this._drawRoundRect(ctx, margin, top, width, rowHeight * this.rows.length, 12);
+    ctx.fill();
+
+    ctx.font = '17px Arial, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.06)';
+    ctx.lineWidth = 1;
+
+    this.rows.forEach((row, i) => {
+      const rowY = top + i * rowHeight;
+      ctx.fillStyle = this.theme.text.primary;
+      ctx.fillText(t(row.label), margin + 16, rowY + rowHeight / 2);
+
+      if (i > 0) {
+        ctx.beginPath();
+        ctx.moveTo(margin + 16, rowY);
+        ctx.lineTo(margin + width - 16, rowY);
+        ctx.stroke();
+      }
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * 绘制圆角矩形（兼容小程序Canvas）
+   */
+  _drawRoundRect(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.lineTo(x + width - radius, y);
+    ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+    ctx.lineTo(x + width, y + height - radius);
+    ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+    ctx.lineTo(x + radius, y + height);
+    ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+    ctx.lineTo(x, y + radius);
+    ctx.quadraticCurveTo(x, y, x + radius, y);
+    ctx.closePath();
+  }
+}
+
+/**
+ * 选项列表中的下一个选项（当前值不在列表中时回到第一个）
+ */
+function nextOption(options, current) {
+  return options[(options.indexOf(current) + 1) % options.length];
+}
+
+export default SettingsScene;
@@ -1,33 +1,39 @@
 /**
  * 开始页面场景
- * 显示标题、开始游戏按钮、健康游戏忠告
+ * 显示标题、开始游戏按钮（有存档时可继续上一局）、健康游戏忠告
  */
 
 import { BaseScene } from './BaseScene.js';
 import { Button } from '../ui/Button.js';
+import { ButtonRole } from '../theme/Themes.js';
 import { Tween, Easing, delay } from '../utils/Tween.js';
 import { globalEvent } from '../utils/EventEmitter.js';
+import { Timer } from '../core/Timer.js';
+import { formatSize } from '../core/BoardSize.js';
+import { savedGame } from '../storage/SavedGame.js';
+import { t } from '../i18n/I18n.js';
 
 export class StartScene extends BaseScene {
   constructor(canvas, ctx) {
     super(canvas, ctx);
     
-    // 标题
-    this.title = '数字游走';
+    // 标题（文本 key）
+    this.title = 'start.title';
     this.titleY = 0;
     this.titleOpacity = 0;
     this.titleScale = 0.8;
     
     // 按钮
+    this.continueButton = null;
     this.startButton = null;
+    this.statsButton = null;
+    this.settingsButton = null;
     
-    // 健康游戏忠告
-    this.healthTips = [
-      '抵制不良游戏，拒绝盗版游戏',
-      '注意自我保护，谨防受骗上当',
-      '适度游戏益脑，沉迷游戏伤身',
-      '合理安排时间，享受健康生活'
-    ];
+    // 可继续的对局存档
+    this.save = null;
+    
+    // 健康游戏忠告（文本 key）
+    this.healthTips = ['start.tip1', 'start.tip2', 'start.tip3', 'start.tip4'];
     this.tipOpacities = [0, 0, 0, 0];
     this.tipY = 0;
   }
@@ -53,9 +59,20 @@ export class StartScene extends BaseScene {
     this.titleY = this.height * 0.25;
     
     // 按钮位置
+    if (this.continueButton) {
+      this.continueButton.setPosition(centerX, centerY - 80);
+    }
     if (this.startButton) {
       this.startButton.setPosition(centerX, centerY);
     }
+    if (this.statsButton) {
+      this.statsButton.setPosition(centerX, centerY + 80);
+    }
+    
+    // 设置按钮（右上角）
+    if (this.settingsButton) {
+      this.settingsButton.setPosition(this.width - 45, 45);
+    }
     
     // 健康忠告位置
     this.tipY = this.height * 0.75;
@@ -65,21 +82,99 @@ export class StartScene extends BaseScene {
    * 创建开始按钮
    */
   _createButton() {
+    // 继续游戏按钮（有存档时显示）
+    this.continueButton = new Button({
+      text: t('start.continue'),
+      width: 220,
+      height: 56,
+      fontSize: 24,
+      colorRole: ButtonRole.SECONDARY,
+      borderRadius: 14,
+      onClick: () => {
+        this._onContinueClick();
+      }
+    });
+    this.continueButton.visible = false;
+    
     this.startButton = new Button({
-      text: '开始游戏',
+      text: t('start.play'),
       width: 220,
       height: 70,
       fontSize: 32,
-      bgColor: '#4A90D9',
-      bgColorHover: '#5AA0E9',
-      bgColorActive: '#3A80C9',
+      colorRole: ButtonRole.PRIMARY,
       borderRadius: 16,
       onClick: () => {
         this._onStartClick();
       }
     });
     
-    this.uiElements.push(this.startButton);
+    // 数据统计按钮
+    this.statsButton = new Button({
+      text: t('start.stats'),
+      width: 220,
+      height: 56,
+      fontSize: 26,
+      colorRole: ButtonRole.ACCENT,
+      borderRadius: 14,
+      onClick: () => {
+        this._onStatsClick();
+      }
+    });
+    
+    // 设置按钮
+    this.settingsButton = new Button({
+      text: '⚙',
+      width: 50,
+      height: 50,
+      fontSize: 24,
+      colorRole: ButtonRole.GHOST,
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      borderRadius: 25,
+      onClick: () => {
+        this._onSettingsClick();
+      }
+    });
+    
+    this.uiElements.push(this.continueButton, this.startButton, this.statsButton, this.settingsButton);
+  }
+
+  /**
+   * 读取存档并刷新继续按钮
+   */
+  _refreshContinueButton() {
+    this.save = savedGame.load();
+    this.continueButton.visible = !!this.save;
+    if (this.save) {
+      this.continueButton.text = t('start.continueSave', {
+        size: formatSize(this.save.size),
+        time: Timer.format(this.save.timeMs)
+      });
+    }
+  }
+
+  /**
+   * 按当前语言刷新按钮文字
+   */
+  _refreshTexts() {
+    this.continueButton.text = t('start.continue');
+    this.startButton.text = t('start.play');
+    this.statsButton.text = t('start.stats');
+    this._refreshContinueButton();
+  }
+
+  /**
+   * 语言切换
+   */
+  onLanguageChange() {
+    if (this.startButton) this._refreshTexts();
+  }
+
+  /**
+   * 继续游戏按钮点击：恢复存档中的对局
+   */
+  _onContinueClick() {
+    if (!this.save) return;
+    globalEvent.emit('game:start', this.save.size, { ...this.save.options, snapshot: this.save });
   }
 
   /**
@@ -89,6 +184,20 @@ export class StartScene extends BaseScene {
     globalEvent.emit('scene:change', 'mode');
   }
 
+  /**
+   * 数据统计按钮点击
+   */
+  _onStatsClick() {
+    globalEvent.emit('scene:change', 'stats', { returnScene: 'start' });
+  }
+
+  /**
+   * 设置按钮点击
+   */
+  _onSettingsClick() {
+    globalEvent.emit('scene:change', 'settings', { returnScene: 'start' });
+  }
+
   /**
    * 进入动画
    */
@@ -102,10 +211,13 @@ export class StartScene extends BaseScene {
     this.visible = true;
     this.opacity = 1;
     
-    // 确保按钮可见
-    if (this.startButton) {
-      this.startButton.opacity = 1;
-      this.startButton.scale = 1;
+    // 确保按钮可见（文字按当前语言刷新）
+    this._refreshTexts();
+    for (let button of [this.continueButton, this.startButton, this.statsButton, this.settingsButton]) {
+      if (button) {
+        button.opacity = 1;
+        button.scale = 1;
+      }
     }
     
     // 执行基础进入动画
@@ -123,7 +235,12 @@ export class StartScene extends BaseScene {
       .start();
     
     // 按钮离开
-    await this.startButton.playExitAnimation();
+    await Promise.all([
+      this.continueButton.playExitAnimation(),
+      this.startButton.playExitAnimation(),
+      this.statsButton.playExitAnimation(),
+      this.settingsButton.playExitAnimation()
+    ]);
     
     await super.exit();
   }
@@ -136,12 +253,14 @@ export class StartScene extends BaseScene {
     const w = this.width;
     const h = this.height;
     
-    // 1. 主背景 - 柔和的斜向渐变（从左上到右下）
+    const background = this.theme.background;
+    
+    // 1. 主背景 - 主题斜向渐变（从左上到右下）
     const mainGradient = ctx.createLinearGradient(0, 0, w, h);
-    mainGradient.addColorStop(0, '#E8F4FD');    // 柔和的浅蓝
-    mainGradient.addColorStop(0.3, '#F0F7FF');  // 更浅的蓝白
-    mainGradient.addColorStop(0.7, '#F8F5FF');  // 淡淡的紫白
-    mainGradient.addColorStop(1, '#F0F0FF');    // 柔和的淡紫
+    mainGradient.addColorStop(0, background.gradient[0]);
+    mainGradient.addColorStop(0.3, background.gradient[1]);
+    mainGradient.addColorStop(0.7, background.gradient[2]);
+    mainGradient.addColorStop(1, background.gradient[3]);
     
     ctx.fillStyle = mainGradient;
     ctx.fillRect(0, 0, w, h);
@@ -149,7 +268,7 @@ export class StartScene extends BaseScene {
     // 2. 装饰性斜线条纹 - 非常细腻的线条
     ctx.save();
     ctx.globalAlpha = 0.04;
-    ctx.strokeStyle = '#4A90D9';
+    ctx.strokeStyle = background.lines[0];
     ctx.lineWidth = 1;
     
     const lineSpacing = 60;
@@ -165,7 +284,7 @@ export class StartScene extends BaseScene {
     
     // 3. 第二层斜线（更稀疏，颜色稍深）
     ctx.globalAlpha = 0.025;
-    ctx.strokeStyle = '#8B7FD9';
+    ctx.strokeStyle = background.lines[1];
     ctx.lineWidth = 2;
     
     ctx.beginPath();
@@ -178,30 +297,31 @@ export class StartScene extends BaseScene {
     
     // 4. 顶部和底部的柔和光晕效果
     const topGlow = ctx.createLinearGradient(0, 0, 0, h * 0.4);
-    topGlow.addColorStop(0, 'rgba(135, 206, 250, 0.15)');
-    topGlow.addColorStop(1, 'rgba(135, 206, 250, 0)');
+    topGlow.addColorStop(0, `rgba(${background.glows[0]}, 0.15)`);
+    topGlow.addColorStop(1, `rgba(${background.glows[0]}, 0)`);
     ctx.fillStyle = topGlow;
     ctx.fillRect(0, 0, w, h * 0.4);
     
     const bottomGlow = ctx.createLinearGradient(0, h * 0.6, 0, h);
-    bottomGlow.addColorStop(0, 'rgba(200, 180, 255, 0)');
-    bottomGlow.addColorStop(1, 'rgba(200, 180, 255, 0.12)');
+    bottomGlow.addColorStop(0, `rgba(${background.glows[1]}, 0)`);
+    bottomGlow.addColorStop(1, `rgba(${background.glows[1]}, 0.12)`);
     ctx.fillStyle = bottomGlow;
     ctx.fillRect(0, h * 0.6, w, h * 0.4);
     
     // 5. 角落装饰 - 柔和的光点
-    this._drawCornerGlow(w * 0.15, h * 0.2, 120, 'rgba(74, 144, 217, 0.08)');
-    this._drawCornerGlow(w * 0.85, h * 0.8, 100, 'rgba(139, 127, 217, 0.08)');
+    this._drawCornerGlow(w * 0.15, h * 0.2, 120, background.glows[0], 0.08);
+    this._drawCornerGlow(w * 0.85, h * 0.8, 100, background.glows[1], 0.08);
   }
   
   /**
    * 绘制角落光晕装饰
+   * @param {string} rgb - 'r, g, b'
    */
-  _drawCornerGlow(x, y, radius, color) {
+  _drawCornerGlow(x, y, radius, rgb, alpha) {
     const ctx = this.ctx;
     const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
-    gradient.addColorStop(0, color);
-    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    gradient.addColorStop(0, `rgba(${rgb}, ${alpha})`);
+    gradient.addColorStop(1, `rgba(${rgb}, 0)`);
     
     ctx.fillStyle = gradient;
     ctx.beginPath();
@@ -233,17 +353,17 @@ export class StartScene extends BaseScene {
     
     // 标题文字
     const fontSize = 56 * this.titleScale;
-    this.ctx.fillStyle = '#2C3E50';
+    this.ctx.fillStyle = this.theme.text.primary;
     this.ctx.font = `bold ${fontSize}px Arial, sans-serif`;
     this.ctx.textAlign = 'center';
     this.ctx.textBaseline = 'middle';
-    this.ctx.fillText(this.title, centerX, this.titleY);
+    this.ctx.fillText(t(this.title), centerX, this.titleY);
     
     // 装饰线
     const lineWidth = 120 * this.titleScale;
     const lineY = this.titleY + fontSize * 0.7;
     
-    this.ctx.strokeStyle = '#4A90D9';
+    this.ctx.strokeStyle = this.theme.text.accent;
     this.ctx.lineWidth = 3 * this.titleScale;
     this.ctx.lineCap = 'round';
     
@@ -271,8 +391,8 @@ export class StartScene extends BaseScene {
     for (let i = 0; i < this.healthTips.length; i++) {
       this.ctx.save();
       this.ctx.globalAlpha = this.tipOpacities[i] * this.opacity;
-      this.ctx.fillStyle = '#888888';
-      this.ctx.fillText(this.healthTips[i], centerX, startY + i * lineHeight);
+      this.ctx.fillStyle = this.theme.text.secondary;
+      this.ctx.fillText(t(this.healthTips[i]), centerX, startY + i * lineHeight);
       this.ctx.restore();
     }
     
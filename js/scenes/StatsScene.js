@@ -0,0 +1,907 @@
+/**
+ * 数据统计场景
+ * 按尺寸展示历史成绩：用时折线（含滚动平均）、步数分布、星级分布、
+ * 当前与最佳平均成绩以及累计游戏时长，全部使用 Canvas 绘制；
+ * 可切换到回放列表，点击某局进入回放，也可从剪贴板导入回放码
+ */
+
+import { BaseScene } from './BaseScene.js';
+import { Button } from '../ui/Button.js';
+import { ButtonRole } from '../theme/Themes.js';
+import { BackButton } from '../ui/BackButton.js';
+import { Tween, Easing } from '../utils/Tween.js';
+import { globalEvent } from '../utils/EventEmitter.js';
+import { Timer } from '../core/Timer.js';
+import { statistics, rollingAverages, RecordType } from '../storage/Statistics.js';
+import { replayStore } from '../storage/ReplayStore.js';
+import { decodeReplay } from '../core/ReplayCode.js';
+import { getSizeKey, formatSize } from '../core/BoardSize.js';
+import { t } from '../i18n/I18n.js';
+
+// 折线图最多显示的局数
+const MAX_CHART_POINTS = 50;
+
+// 步数分布的分组数
+const HISTOGRAM_BINS = 8;
+
+// 没有历史时默认展示的尺寸
+const DEFAULT_SIZES = ['4x4', '5x5'];
+
+// 页面视图：图表或回放列表
+export const StatsView = {
+  CHARTS: 'charts',
+  REPLAYS: 'replays'
+};
+
+// 回放列表行高
+const REPLAY_ROW_HEIGHT = 44;
+
+// 图表配色
+const CHART_COLORS = {
+  time: '#4A90D9',
+  ao5: '#F5B041',
+  ao12: '#E74C3C',
+  bar: '#5AB9A8',
+  star: '#FFD700',
+  grid: 'rgba(0, 0, 0, 0.08)'
+};
+
+export class StatsScene extends BaseScene {
+  constructor(canvas, ctx) {
+    super(canvas, ctx);
+
+    // 标题（文本 key）
+    this.title = 'stats.title';
+    this.titleOpacity = 0;
+
+    // 按钮
+    this.prevSizeButton = null;
+    this.nextSizeButton = null;
+    this.viewButton = null;
+    this.importButton = null;
+    this.backButton = null;
+
+    // 当前视图
+    this.view = StatsView.CHARTS;
+
+    // 可切换的尺寸标识与当前尺寸（如 '4x4'）
+    this.sizes = DEFAULT_SIZES.slice();
+    this.size = DEFAULT_SIZES[0];
+
+    // 返回目标（从开始页或胜利页进入）
+    this.returnScene = 'start';
+    this.returnData = null;
+
+    // 当前尺寸的统计数据与回放列表（切换尺寸时重新计算）
+    this.data = null;
+    this.replays = [];
+
+    // 动画状态
+    this.contentOpacity = 0;
+    this.contentY = 0;
+  }
+
+  /**
+   * 初始化
+   */
+  init() {
+    this._createButtons();
+    this.updateLayout();
+  }
+
+  /**
+   * 更新布局
+   */
+  updateLayout() {
+    super.updateLayout();
+
+    const centerX = this.width / 2;
+    const switcherY = this.height * 0.14;
+
+    if (this.prevSizeButton) {
+      this.prevSizeButton.setPosition(centerX - 80, switcherY);
+    }
+    if (this.nextSizeButton) {
+      this.nextSizeButton.setPosition(centerX + 80, switcherY);
+    }
+
+    // 视图切换按钮（右上角）
+    if (this.viewButton) {
+      this.viewButton.setPosition(this.width - 55, 45);
+    }
+
+    // 导入按钮与回放列表标题同行（右对齐）
+    if (this.importButton) {
+      this.importButton.setPosition(this.width - 55, this.height * 0.37 + 8);
+    }
+
+    // 返回按钮位置（左上角）
+    if (this.backButton) {
+      this.backButton.setPosition(45, 45);
+    }
+  }
+
+  /**
+   * 创建按钮
+   */
+  _createButtons() {
+    this.prevSizeButton = this._createSwitchButton('‹', -1);
+    this.nextSizeButton = this._createSwitchButton('›', 1);
+
+    this.viewButton = new Button({
+      text: t('stats.replays'),
+      width: 70,
+      height: 36,
+      fontSize: 18,
+      colorRole: ButtonRole.GHOST,
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      borderRadius: 8,
+      onClick: () => {
+        this._setView(this.view === StatsView.CHARTS ? StatsView.REPLAYS : StatsView.CHARTS);
+      }
+    });
+
+    this.importButton = new Button({
+      text: t('stats.import'),
+      width: 70,
+      height: 28,
+      fontSize: 15,
+      colorRole: ButtonRole.SECONDARY,
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      borderRadius: 8,
+      onClick: () => {
+        this._onImportClick();
+      }
+    });
+
+    this.backButton = new BackButton({
+      onClick: () => {
+        this._onBackClick();
+      }
+    });
+
+    this.uiElements.push(
+      this.prevSizeButton,
+      this.nextSizeButton,
+      this.viewButton,
+      this.importButton,
+      this.backButton
+    );
+  }
+
+  /**
+   * 创建尺寸切换按钮
+   */
+  _createSwitchButton(text, offset) {
+    return new Button({
+      text: text,
+      width: 40,
+      height: 36,
+      fontSize: 28,
+      colorRole: ButtonRole.GHOST,
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      borderRadius: 8,
+      onClick: () => {
+        this._changeSize(offset);
+      }
+    });
+  }
+
+  /**
+   * 切换尺寸
+   */
+  _changeSize(offset) {
+    const index = this.sizes.indexOf(this.size);
+    const next = (index + offset + this.sizes.length) % this.sizes.length;
+    this.size = this.sizes[next];
+    this._refresh();
+  }
+
+  /**
+   * 切换视图
+   */
+  _setView(view) {
+    this.view = view;
+    this.viewButton.text = t(view === StatsView.CHARTS ? 'stats.replays' : 'stats.charts');
+    this.importButton.visible = view === StatsView.REPLAYS;
+  }
+
+  /**
+   * 语言切换：刷新按钮文字
+   */
+  onLanguageChange() {
+    if (!this.viewButton) return;
+    this._setView(this.view);
+    this.importButton.text = t('stats.import');
+  }
+
+  /**
+   * 重新计算当前尺寸的统计数据
+   */
+  _refresh() {
+    const games = statistics.getGames(this.size);
+    const eligible = games.filter(game => statistics.isEligible(game));
+    const times = eligible.map(game => game.timeMs);
+    const chartStart = Math.max(0, times.length - MAX_CHART_POINTS);
+
+    // 星级分布（0~3 星）
+    const stars = [0, 0, 0, 0];
+    games.forEach(game => {
+      stars[Math.max(0, Math.min(3, game.stars))]++;
+    });
+
+    this.data = {
+      count: games.length,
+      times: times.slice(chartStart),
+      ao5Line: rollingAverages(times, 5).slice(chartStart),
+      ao12Line: rollingAverages(times, 12).slice(chartStart),
+      current: {
+        ao5: statistics.getCurrentAverage(this.size, 5),
+        ao12: statistics.getCurrentAverage(this.size, 12),
+        ao100: statistics.getCurrentAverage(this.size, 100)
+      },
+      bests: statistics.getBests(this.size),
+      histogram: this._buildHistogram(games.map(game => game.moves)),
+      stars: stars,
+      playTime: statistics.getTotalPlayTime(this.size),
+      totalPlayTime: statistics.getTotalPlayTime()
+    };
+    this.replays = replayStore.getAll(this.size);
+
+    const hasHistory = this.sizes.length > 1;
+    this.prevSizeButton.enabled = hasHistory;
+    this.nextSizeButton.enabled = hasHistory;
+  }
+
+  /**
+   * 步数分组
+   * @returns {Object[]} [{ from, to, count }]
+   */
+  _buildHistogram(moves) {
+    if (moves.length === 0) return [];
+
+    const min = Math.min(...moves);
+    const max = Math.max(...moves);
+    const binWidth = Math.max(1, Math.ceil((max - min + 1) / HISTOGRAM_BINS));
+    const binCount = Math.ceil((max - min + 1) / binWidth);
+
+    const bins = [];
+    for (let i = 0; i < binCount; i++) {
+      bins.push({ from: min + i * binWidth, to: min + (i + 1) * binWidth - 1, count: 0 });
+    }
+    moves.forEach(value => {
+      bins[Math.floor((value - min) / binWidth)].count++;
+    });
+
+    return bins;
+  }
+
+  /**
+   * 返回按钮点击
+   */
+  _onBackClick() {
+    globalEvent.emit('scene:change', this.returnScene, this.returnData);
+  }
+
+  /**
+   * 回放列表中某一行被点击（从回放返回时回到列表）
+   */
+  _onReplayClick(replay) {
+    globalEvent.emit('scene:change', 'replay', {
+      replay: replay,
+      returnScene: 'stats',
+      returnData: {
+        size: this.size,
+        returnScene: this.returnScene,
+        returnData: this.returnData,
+        view: StatsView.REPLAYS
+      }
+    });
+  }
+
+  /**
+   * 导入按钮点击
+   * 剪贴板中有有效回放码时自动预填
+   */
+  _onImportClick() {
+    wx.getClipboardData({
+      success: (res) => {
+        this._promptReplayCode(decodeReplay(res.data) ? res.data.trim() : '');
+      },
+      fail: () => {
+        this._promptReplayCode('');
+      }
+    });
+  }
+
+  /**
+   * 弹出回放码输入框
+   */
+  _promptReplayCode(defaultCode) {
+    wx.showModal({
+      title: t('stats.importTitle'),
+      editable: true,
+      placeholderText: t('stats.importPlaceholder'),
+      content: defaultCode,
+      success: (res) => {
+        if (res.confirm) {
+          this._playReplayCode(res.content);
+        }
+      }
+    });
+  }
+
+  /**
+   * 校验并播放回放码（须能还原棋盘）
+   */
+  _playReplayCode(code) {
+    const replay = decodeReplay(code);
+    if (!replay) {
+      wx.showToast({ title: t('stats.invalidCode'), icon: 'none' });
+      return;
+    }
+    if (!replay.solved) {
+      wx.showToast({ title: t('stats.unsolved'), icon: 'none' });
+      return;
+    }
+
+    this._onReplayClick(replay);
+  }
+
+  /**
+   * 处理触摸结束：按钮优先，其次是回放列表
+   */
+  onTouchEnd(x, y) {
+    if (super.onTouchEnd(x, y)) return true;
+    if (this.view !== StatsView.REPLAYS) return false;
+
+    const layout = this._getReplayListLayout();
+    const row = Math.floor((y - layout.top) / REPLAY_ROW_HEIGHT);
+    if (y < layout.top || row >= layout.count || x < layout.x || x > layout.x + layout.width) {
+      return false;
+    }
+
+    this._onReplayClick(this.replays[row]);
+    return true;
+  }
+
+  /**
+   * 进入动画
+   * @param {Object} options - { size, returnScene, returnData, view }，size 为边长或 { rows, cols }
+   */
+  async enter(options = {}) {
+    this.titleOpacity = 0;
+    this.contentOpacity = 0;
+    this.contentY = 30;
+
+    this.returnScene = options.returnScene || 'start';
+    this.returnData = options.returnData || null;
+
+    // 可切换的尺寸：有历史的尺寸，没有历史时展示默认尺寸
+    const sizes = statistics.getSizes();
+    this.sizes = sizes.length > 0 ? sizes : DEFAULT_SIZES.slice();
+    const key = options.size ? getSizeKey(options.size) : null;
+    this.size = this.sizes.includes(key) ? key : this.sizes[0];
+
+    this._setView(options.view || StatsView.CHARTS);
+    this._refresh();
+
+    await super.enter();
+
+    new Tween(this)
+      .to({ titleOpacity: 1 }, 300)
+      .easing(Easing.easeOutQuad)
+      .start();
+
+    new Tween(this)
+      .to({ contentOpacity: 1, contentY: 0 }, 350)
+      .easing(Easing.easeOutQuad)
+      .start();
+
+    this.prevSizeButton.playEnterAnimation(150);
+    this.nextSizeButton.playEnterAnimation(150);
+    this.viewButton.playEnterAnimation(150);
+    this.importButton.playEnterAnimation(200);
+    this.backButton.playEnterAnimation(50);
+  }
+
+  /**
+   * 离开动画
+   */
+  async exit() {
+    new Tween(this)
+      .to({ titleOpacity: 0, contentOpacity: 0 }, 200)
+      .easing(Easing.easeInQuad)
+      .start();
+
+    await Promise.all([
+      this.prevSizeButton.playExitAnimation(),
+      this.nextSizeButton.playExitAnimation(),
+      this.viewButton.playExitAnimation(),
+      this.importButton.playExitAnimation(),
+      this.backButton.playExitAnimation()
+    ]);
+
+    await super.exit();
+  }
+
+  /**
+   * 绘制背景 - 柔和斜向渐变
+   */
+  _drawBackground() {
+    const ctx = this.ctx;
+    const w = this.width;
+    const h = this.height;
+
+    const gradientColors = this.theme.background.gradient;
+
+    const mainGradient = ctx.createLinearGradient(0, 0, w, h);
+    mainGradient.addColorStop(0, gradientColors[0]);
+    mainGradient.addColorStop(0.5, gradientColors[1]);
+    mainGradient.addColorStop(1, gradientColors[3]);
+
+    ctx.fillStyle = mainGradient;
+    ctx.fillRect(0, 0, w, h);
+  }
+
+  /**
+   * 绘制内容
+   */
+  _drawContent() {
+    this._drawTitle();
+    if (!this.data) return;
+
+    const ctx = this.ctx;
+    const margin = 20;
+    const w = this.width - margin * 2;
+    const h = this.height;
+
+    ctx.save();
+    ctx.globalAlpha = this.contentOpacity * this.opacity;
+    ctx.translate(0, this.contentY);
+
+    this._drawSizeLabel();
+    this._drawSummary(margin, h * 0.19, w, h * 0.15);
+    if (this.view === StatsView.REPLAYS) {
+      this._drawReplayList();
+    } else {
+      this._drawTimeChart(margin, h * 0.37, w, h * 0.22);
+      this._drawHistogram(margin, h * 0.64, w * 0.56, h * 0.17);
+      this._drawStarDistribution(margin + w * 0.62, h * 0.64, w * 0.38, h * 0.17);
+    }
+    this._drawPlayTime(h * 0.9);
+
+    ctx.restore();
+  }
+
+  /**
+   * 绘制标题
+   */
+  _drawTitle() {
+    const ctx = this.ctx;
+
+    ctx.save();
+    ctx.globalAlpha = this.titleOpacity * this.opacity;
+    ctx.fillStyle = this.theme.text.primary;
+    ctx.font = 'bold 36px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(t(this.title), this.width / 2, this.height * 0.07);
+    ctx.restore();
+  }
+
+  /**
+   * 绘制当前尺寸与局数
+   */
+  _drawSizeLabel() {
+    const ctx = this.ctx;
+
+    ctx.fillStyle = this.theme.text.primary;
+    ctx.font = 'bold 24px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(formatSize(this.size), this.width / 2, this.height * 0.14 - 2);
+  }
+
+  /**
+   * 绘制成绩摘要：局数/最快/最少步数，ao5/ao12/ao100（当前与最佳）
+   */
+  _drawSummary(x, y, width, height) {
+    const ctx = this.ctx;
+    const { count, bests, current } = this.data;
+    const bestTime = bests[RecordType.TIME];
+    const bestMoves = bests[RecordType.MOVES];
+    const bestAo5 = bests[RecordType.AO5];
+    const bestAo12 = bests[RecordType.AO12];
+
+    const cells = [
+      { label: t('stats.count'), value: `${count}` },
+      { label: t('record.time'), value: bestTime ? Timer.format(bestTime.value, true) : '--' },
+      { label: t('record.moves'), value: bestMoves ? `${bestMoves.value}` : '--' },
+      { label: 'ao5', value: formatTime(current.ao5), sub: bestAo5 ? t('stats.best', { time: Timer.format(bestAo5.value, true) }) : '' },
+      { label: 'ao12', value: formatTime(current.ao12), sub: bestAo12 ? t('stats.best', { time: Timer.format(bestAo12.value, true) }) : '' },
+      { label: 'ao100', value: formatTime(current.ao100), sub: '' }
+    ];
+
+    const cellWidth = width / 3;
+    const cellHeight = height / 2;
+
+    ctx.fillStyle = this.theme.surface;
+    this._drawRoundRect(ctx, x, y, width, height, 12);
+    ctx.fill();
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    cells.forEach((cell, i) => {
+      const cx = x + (i % 3) * cellWidth + cellWidth / 2;
+      const cy = y + Math.floor(i / 3) * cellHeight + cellHeight / 2;
+
+      ctx.fillStyle = this.theme.text.muted;
+      ctx.font = '13px Arial, sans-serif';
+      ctx.fillText(cell.label, cx, cy - 14);
+
+      ctx.fillStyle = this.theme.text.primary;
+      ctx.font = 'bold 18px Arial, sans-serif';
+      ctx.fillText(cell.value, cx, cy + 6);
+
+      if (cell.sub) {
+        ctx.fillStyle = this.theme.text.muted;
+        ctx.font = '11px Arial, sans-serif';
+        ctx.fillText(cell.sub, cx, cy + 24);
+      }
+    });
+  }
+
+  /**
+   * 绘制用时折线图（叠加 ao5 / ao12 滚动平均）
+   */
+  _drawTimeChart(x, y, width, height) {
+    const ctx = this.ctx;
+    const { times, ao5Line, ao12Line } = this.data;
+
+    this._drawChartTitle(t('stats.timeTrend'), x, y);
+    const top = y + 16;
+    const chartHeight = height - 16;
+
+    if (times.length < 2) {
+      this._drawEmpty(x, top, width, chartHeight, t('stats.trendEmpty'));
+      return;
+    }
+
+    const maxTime = Math.max(...times);
+    const minTime = Math.min(...times);
+    const range = Math.max(1000, maxTime - minTime);
+    const low = Math.max(0, minTime - range * 0.1);
+    const high = maxTime + range * 0.1;
+    const step = width / (times.length - 1);
+
+    const toY = (value) => top + chartHeight - ((value - low) / (high - low)) * chartHeight;
+
+    // 网格与刻度
+    ctx.strokeStyle = CHART_COLORS.grid;
+    ctx.lineWidth = 1;
+    ctx.fillStyle = this.theme.text.muted;
+    ctx.font = '11px Arial, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    for (let i = 0; i <= 2; i++) {
+      const value = low + ((high - low) * i) / 2;
+      const lineY = toY(value);
+      ctx.beginPath();
+      ctx.moveTo(x, lineY);
+      ctx.lineTo(x + width, lineY);
+      ctx.stroke();
+      ctx.fillText(Timer.format(value), x + 2, lineY - 2);
+    }
+
+    this._drawSeries(times, step, x, toY, CHART_COLORS.time, 2);
+    this._drawSeries(ao5Line, step, x, toY, CHART_COLORS.ao5, 1.5);
+    this._drawSeries(ao12Line, step, x, toY, CHART_COLORS.ao12, 1.5);
+
+    // 每局的点
+    ctx.fillStyle = CHART_COLORS.time;
+    times.forEach((value, i) => {
+      ctx.beginPath();
+      ctx.arc(x + i * step, toY(value), 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    // 图例
+    this._drawLegend([
+      { label: t('stats.single'), color: CHART_COLORS.time },
+      { label: 'ao5', color: CHART_COLORS.ao5 },
+      { label: 'ao12', color: CHART_COLORS.ao12 }
+    ], x + width, y);
+  }
+
+  /**
+   * 绘制一条折线（跳过 null）
+   */
+  _drawSeries(values, step, x, toY, color, lineWidth) {
+    const ctx = this.ctx;
+    let started = false;
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+    values.forEach((value, i) => {
+      if (value === null) return;
+      if (started) {
+        ctx.lineTo(x + i * step, toY(value));
+      } else {
+        ctx.moveTo(x + i * step, toY(value));
+        started = true;
+      }
+    });
+    ctx.stroke();
+  }
+
+  /**
+   * 绘制步数分布直方图
+   */
+  _drawHistogram(x, y, width, height) {
+    const ctx = this.ctx;
+    const bins = this.data.histogram;
+
+    this._drawChartTitle(t('stats.moveDistribution'), x, y);
+    const top = y + 16;
+    const chartHeight = height - 34;
+
+    if (bins.length === 0) {
+      this._drawEmpty(x, top, width, height - 16, t('stats.noData'));
+      return;
+    }
+
+    const maxCount = Math.max(...bins.map(bin => bin.count));
+    const barWidth = width / bins.length;
+
+    bins.forEach((bin, i) => {
+      const barHeight = (bin.count / maxCount) * chartHeight;
+      const barX = x + i * barWidth + 2;
+      const barY = top + chartHeight - barHeight;
+
+      ctx.fillStyle = CHART_COLORS.bar;
+      ctx.fillRect(barX, barY, barWidth - 4, barHeight);
+
+      if (bin.count > 0) {
+        ctx.fillStyle = this.theme.text.muted;
+        ctx.font = '10px Arial, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`${bin.count}`, barX + (barWidth - 4) / 2, barY - 1);
+      }
+    });
+
+    // 横轴：最小与最大步数
+    ctx.fillStyle = this.theme.text.muted;
+    ctx.font = '11px Arial, sans-serif';
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillText(`${bins[0].from}`, x, top + chartHeight + 4);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${bins[bins.length - 1].to}`, x + width, top + chartHeight + 4);
+  }
+
+  /**
+   * 绘制星级分布（横向条形）
+   */
+  _drawStarDistribution(x, y, width, height) {
+    const ctx = this.ctx;
+    const stars = this.data.stars;
+    const total = stars.reduce((sum, count) => sum + count, 0);
+
+    this._drawChartTitle(t('stats.starDistribution'), x, y);
+    const top = y + 20;
+    const rowHeight = (height - 20) / 4;
+    const labelWidth = 34;
+    const barMax = width - labelWidth - 26;
+
+    ctx.textBaseline = 'middle';
+    for (let star = 3; star >= 0; star--) {
+      const rowY = top + (3 - star) * rowHeight + rowHeight / 2;
+      const barWidth = total > 0 ? (stars[star] / total) * barMax : 0;
+
+      ctx.fillStyle = this.theme.text.primary;
+      ctx.font = '12px Arial, sans-serif';
+      ctx.textAlign = 'left';
+      ctx.fillText(`${star}★`, x, rowY);
+
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.06)';
+      ctx.fillRect(x + labelWidth, rowY - 6, barMax, 12);
+      ctx.fillStyle = CHART_COLORS.star;
+      ctx.fillRect(x + labelWidth, rowY - 6, barWidth, 12);
+
+      ctx.fillStyle = this.theme.text.muted;
+      ctx.font = '11px Arial, sans-serif';
+      ctx.textAlign = 'right';
+      ctx.fillText(`${stars[star]}`, x + width, rowY);
+    }
+  }
+
+  /**
+   * 回放列表区域：从 37% 高度到 86% 高度，放不下的较早回放不显示
+   * @returns {Object} { x, y, width, top, count }，top 为第一行顶部，count 为显示的行数
+   */
+  _getReplayListLayout() {
+    const margin = 20;
+    const y = this.height * 0.37;
+    const top = y + 22;
+    const maxRows = Math.max(0, Math.floor((this.height * 0.86 - top) / REPLAY_ROW_HEIGHT));
+
+    return {
+      x: margin,
+      y: y,
+      width: this.width - margin * 2,
+      top: top,
+      count: Math.min(this.replays.length, maxRows)
+    };
+  }
+
+  /**
+   * 绘制回放列表：日期、用时、步数与星级
+   */
+  _drawReplayList() {
+    const ctx = this.ctx;
+    const { x, y, width, top, count } = this._getReplayListLayout();
+
+    this._drawChartTitle(t('stats.recentReplays', { count: this.replays.length }), x, y);
+
+    if (count === 0) {
+      this._drawEmpty(x, top, width, REPLAY_ROW_HEIGHT * 2, t('stats.replaysEmpty'));
+      return;
+    }
+
+    for (let i = 0; i < count; i++) {
+      const replay = this.replays[i];
+      const rowY = top + i * REPLAY_ROW_HEIGHT;
+      const centerY = rowY + (REPLAY_ROW_HEIGHT - 6) / 2;
+
+      ctx.fillStyle = this.theme.surface;
+      this._drawRoundRect(ctx, x, rowY, width, REPLAY_ROW_HEIGHT - 6, 8);
+      ctx.fill();
+
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = this.theme.text.muted;
+      ctx.font = '13px Arial, sans-serif';
+      ctx.textAlign = 'left';
+      ctx.fillText(formatDate(replay.date), x + 12, centerY);
+
+      ctx.fillStyle = this.theme.text.primary;
+      ctx.font = 'bold 15px Arial, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText(`${Timer.format(replay.timeMs, true)} · ${t('common.moveCount', { moves: replay.moveCount })}`, x + width * 0.55, centerY);
+
+      ctx.fillStyle = CHART_COLORS.star;
+      ctx.font = '14px Arial, sans-serif';
+      ctx.textAlign = 'right';
+      ctx.fillText('★'.repeat(replay.stars || 0), x + width - 30, centerY);
+
+      ctx.fillStyle = this.theme.text.muted;
+      ctx.fillText('›', x + width - 12, centerY);
+    }
+  }
+
+  /**
+   * 绘制累计游戏时长
+   */
+  _drawPlayTime(y) {
+    const ctx = this.ctx;
+
+    ctx.fillStyle = this.theme.text.secondary;
+    ctx.font = '15px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(
+      t('stats.playTime', {
+        size: formatSize(this.size),
+        time: formatDuration(this.data.playTime),
+        total: formatDuration(this.data.totalPlayTime)
+      }),
+      this.width / 2,
+      y
+    );
+  }
+
+  /**
+   * 绘制图表标题
+   */
+  _drawChartTitle(text, x, y) {
+    const ctx = this.ctx;
+    ctx.fillStyle = this.theme.text.primary;
+    ctx.font = 'bold 14px Arial, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(text, x, y);
+  }
+
+  /**
+   * 绘制图例（右对齐）
+   */
+  _drawLegend(items, right, y) {
+    const ctx = this.ctx;
+    let x = right;
+
+    ctx.font = '11px Arial, sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    for (let i = items.length - 1; i >= 0; i--) {
+      const item = items[i];
+      ctx.fillStyle = this.theme.text.muted;
+      ctx.fillText(item.label, x, y + 1);
+      x -= ctx.measureText(item.label).width + 4;
+      ctx.fillStyle = item.color;
+      ctx.fillRect(x - 10, y + 5, 10, 3);
+      x -= 20;
+    }
+  }
+
+  /**
+   * 绘制空图表占位
+   */
+  _drawEmpty(x, y, width, height, text) {
+    const ctx = this.ctx;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    this._drawRoundRect(ctx, x, y, width, height, 8);
+    ctx.fill();
+
+    ctx.fillStyle = this.theme.text.muted;
+    ctx.font = '13px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x + width / 2, y + height / 2);
+  }
+
+  /**
+   * 绘制圆角矩形（兼容小程序Canvas）
+   */
+  _drawRoundRect(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.lineTo(x + width - radius, y);
+    ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+    ctx.lineTo(x + width, y + height - radius);
+    ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+    ctx.lineTo(x + radius, y + height);
+    ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+    ctx.lineTo(x, y + radius);
+    ctx.quadraticCurveTo(x, y, x + radius, y);
+    ctx.closePath();
+  }
+}
+
+/**
+ * 平均成绩文字（不足局数时显示 --）
+ */
+function formatTime(time) {
+  return time === null ? '--' : Timer.format(time, true);
+}
+
+/**
+ * 回放日期文字（如 05-01 20:30）
+ */
+function formatDate(time) {
+  const date = new Date(time);
+  const pad = (value) => value.toString().padStart(2, '0');
+  return `${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * 时长文字（如 1 小时 5 分、12 分）
+ */
+function formatDuration(time) {
+  const totalMinutes = Math.floor(time / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  if (hours > 0) {
+    return t('duration.hours', { hours, minutes });
+  }
+  if (totalMinutes > 0) {
+    return t('duration.minutes', { minutes });
+  }
+  return t('duration.seconds', { seconds: Math.floor(time / 1000) });
+}
+
+export default StatsScene;
@@ -0,0 +1,301 @@
+/**
+ * 主题选择场景
+ * 以卡片展示每个主题的背景与迷你棋盘预览，点击即切换并保存
+ */
+
+import { BaseScene } from './BaseScene.js';
+import { BackButton } from '../ui/BackButton.js';
+import { Tween, Easing } from '../utils/Tween.js';
+import { globalEvent } from '../utils/EventEmitter.js';
+import { themeManager } from '../theme/ThemeManager.js';
+import { t } from '../i18n/I18n.js';
+
+// 卡片网格列数
+const CARD_COLUMNS = 2;
+
+// 预览棋盘边长
+const PREVIEW_SIZE = 3;
+
+export class ThemeScene extends BaseScene {
+  constructor(canvas, ctx) {
+    super(canvas, ctx);
+
+    this.titleOpacity = 0;
+
+    // 按钮
+    this.backButton = null;
+
+    // 返回目标（从开始页或设置页进入）
+    this.returnScene = 'start';
+    this.returnData = null;
+
+    // 动画状态
+    this.contentOpacity = 0;
+    this.contentY = 0;
+  }
+
+  /**
+   * 初始化
+   */
+  init() {
+    this._createButtons();
+    this.updateLayout();
+  }
+
+  /**
+   * 更新布局
+   */
+  updateLayout() {
+    super.updateLayout();
+
+    // 返回按钮位置（左上角）
+    if (this.backButton) {
+      this.backButton.setPosition(45, 45);
+    }
+  }
+
+  /**
+   * 创建按钮
+   */
+  _createButtons() {
+    this.backButton = new BackButton({
+      onClick: () => {
+        this._onBackClick();
+      }
+    });
+
+    this.uiElements.push(this.backButton);
+  }
+
+  /**
+   * 返回按钮点击
+   */
+  _onBackClick() {
+    globalEvent.emit('scene:change', this.returnScene, this.returnData);
+  }
+
+  /**
+   * 主题卡片布局
+   * @returns {Object[]} [{ theme, x, y, width, height }]
+   */
+  _getCardLayout() {
+    const themes = themeManager.getThemes();
+    const margin = 20;
+    const gap = 14;
+    const top = this.height * 0.14;
+    const rows = Math.ceil(themes.length / CARD_COLUMNS);
+    const width = (this.width - margin * 2 - gap * (CARD_COLUMNS - 1)) / CARD_COLUMNS;
+    const height = Math.min(width * 1.05, (this.height * 0.84 - gap * (rows - 1)) / rows);
+
+    return themes.map((theme, i) => ({
+      theme: theme,
+      x: margin + (i % CARD_COLUMNS) * (width + gap),
+      y: top + Math.floor(i / CARD_COLUMNS) * (height + gap),
+      width: width,
+      height: height
+    }));
+  }
+
+  /**
+   * 处理触摸结束：按钮优先，其次是主题卡片
+   */
+  onTouchEnd(x, y) {
+    if (super.onTouchEnd(x, y)) return true;
+
+    const card = this._getCardLayout().find(item =>
+      x >= item.x && x <= item.x + item.width && y >= item.y && y <= item.y + item.height
+    );
+    if (!card) return false;
+
+    themeManager.setTheme(card.theme.id);
+    return true;
+  }
+
+  /**
+   * 进入动画
+   * @param {Object} options - { returnScene, returnData }
+   */
+  async enter(options = {}) {
+    this.titleOpacity = 0;
+    this.contentOpacity = 0;
+    this.contentY = 30;
+
+    this.returnScene = options.returnScene || 'start';
+    this.returnData = options.returnData || null;
+
+    await super.enter();
+
+    new Tween(this)
+      .to({ titleOpacity: 1 }, 300)
+      .easing(Easing.easeOutQuad)
+      .start();
+
+    new Tween(this)
+      .to({ contentOpacity: 1, contentY: 0 }, 350)
+      .easing(Easing.easeOutQuad)
+      .start();
+
+    this.backButton.playEnterAnimation(50);
+  }
+
+  /**
+   * 离开动画
+   */
+  async exit() {
+    new Tween(this)
+      .to({ titleOpacity: 0, contentOpacity: 0 }, 200)
+      .easing(Easing.easeInQuad)
+      .start();
+
+    await this.backButton.playExitAnimation();
+
+    await super.exit();
+  }
+
+  /**
+   * 绘制背景 - 当前主题的斜向渐变
+   */
+  _drawBackground() {
+    const ctx = this.ctx;
+    const w = this.width;
+    const h = this.height;
+
+    const gradientColors = this.theme.background.gradient;
+
+    const mainGradient = ctx.createLinearGradient(0, 0, w, h);
+    mainGradient.addColorStop(0, gradientColors[0]);
+    mainGradient.addColorStop(0.5, gradientColors[1]);
+    mainGradient.addColorStop(1, gradientColors[3]);
+
+    ctx.fillStyle = mainGradient;
+    ctx.fillRect(0, 0, w, h);
+  }
+
+  /**
+   * 绘制内容
+   */
+  _drawContent() {
+    this._drawTitle();
+
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.globalAlpha = this.contentOpacity * this.opacity;
+    ctx.translate(0, this.contentY);
+
+    for (let card of this._getCardLayout()) {
+      this._drawCard(card);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * 绘制标题
+   */
+  _drawTitle() {
+    const ctx = this.ctx;
+
+    ctx.save();
+    ctx.globalAlpha = this.titleOpacity * this.opacity;
+    ctx.fillStyle = this.theme.text.primary;
+    ctx.font = 'bold 36px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(t('theme.title'), this.width / 2, this.height * 0.07);
+    ctx.restore();
+  }
+
+  /**
+   * 绘制主题卡片：背景色块、迷你棋盘与名称，当前主题加描边
+   */
+  _drawCard(card) {
+    const ctx = this.ctx;
+    const { theme, x, y, width, height } = card;
+    const selected = theme.id === this.theme.id;
+
+    ctx.save();
+
+    // 背景预览
+    const background = ctx.createLinearGradient(x, y, x + width, y + height);
+    background.addColorStop(0, theme.background.gradient[0]);
+    background.addColorStop(1, theme.background.gradient[3]);
+    ctx.fillStyle = background;
+    this._drawRoundRect(ctx, x, y, width, height, 12);
+    ctx.fill();
+
+    ctx.lineWidth = selected ? 3 : 1;
+    ctx.strokeStyle = selected ? this.theme.text.accent : 'rgba(0, 0, 0, 0.12)';
+    ctx.stroke();
+
+    // 迷你棋盘
+    const labelHeight = 40;
+    const boardSize = Math.min(width - 40, height - labelHeight - 24);
+    this._drawPreviewBoard(theme, x + (width - boardSize) / 2, y + 14, boardSize);
+
+    // 主题名称
+    const labelY = y + height - labelHeight / 2 - 4;
+    ctx.fillStyle = theme.text.primary;
+    ctx.font = `${selected ? 'bold ' : ''}18px Arial, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const name = t(`theme.${theme.id}`);
+    ctx.fillText(selected ? `✓ ${name}` : name, x + width / 2, labelY);
+
+    ctx.restore();
+  }
+
+  /**
+   * 绘制迷你棋盘（3x3 已还原状态，按主题配色）
+   */
+  _drawPreviewBoard(theme, x, y, size) {
+    const ctx = this.ctx;
+    const gap = 3;
+    const cell = (size - gap * (PREVIEW_SIZE + 1)) / PREVIEW_SIZE;
+    const palette = theme.block.palette;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.08)';
+    this._drawRoundRect(ctx, x, y, size, size, 8);
+    ctx.fill();
+
+    ctx.font = `bold ${Math.round(cell * 0.45)}px Arial, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    for (let row = 0; row < PREVIEW_SIZE; row++) {
+      for (let col = 0; col < PREVIEW_SIZE; col++) {
+        const value = row * PREVIEW_SIZE + col + 1;
+        if (value === PREVIEW_SIZE * PREVIEW_SIZE) continue;
+
+        const family = palette[row % palette.length];
+        const cellX = x + gap + col * (cell + gap);
+        const cellY = y + gap + row * (cell + gap);
+
+        ctx.fillStyle = family[col % family.length];
+        this._drawRoundRect(ctx, cellX, cellY, cell, cell, cell * 0.15);
+        ctx.fill();
+
+        ctx.fillStyle = theme.block.text;
+        ctx.fillText(String(value), cellX + cell / 2, cellY + cell / 2);
+      }
+    }
+  }
+
+  /**
+   * 绘制圆角矩形（兼容小程序Canvas）
+   */
+  _drawRoundRect(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.lineTo(x + width - radius, y);
+    ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+    ctx.lineTo(x + width, y + height - radius);
+    ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+    ctx.lineTo(x + radius, y + height);
+    ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+    ctx.lineTo(x, y + radius);
+    ctx.quadraticCurveTo(x, y, x + radius, y);
+    ctx.closePath();
+  }
+}
+
+export default ThemeScene;
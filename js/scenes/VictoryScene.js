@@ -1,13 +1,45 @@
 /**
  * 胜利场景
- * 展示礼花动画、星级评价和游戏数据
+ * 展示礼花动画、星级评价、游戏数据和解法分析（效率、分阶段用时、剩余距离曲线）
  */
 
 import { BaseScene } from './BaseScene.js';
 import { Button } from '../ui/Button.js';
+import { ButtonRole } from '../theme/Themes.js';
 import { Tween, Easing, delay } from '../utils/Tween.js';
 import { globalEvent } from '../utils/EventEmitter.js';
 import { audioManager, SoundType } from '../audio/AudioManager.js';
+import { hapticsManager, HapticType } from '../haptics/HapticsManager.js';
+import { RecordType } from '../storage/Statistics.js';
+import { formatSize } from '../core/BoardSize.js';
+import { MoveMetric } from '../core/Board.js';
+import { DIFFICULTY_LABELS, formatBand } from '../core/Difficulty.js';
+import { analyzeSolve } from '../core/SolveAnalysis.js';
+import { solverService } from '../core/SolverService.js';
+import { ChallengeMode, CHALLENGE_LABELS } from '../core/Challenge.js';
+import { replayStore } from '../storage/ReplayStore.js';
+import { t } from '../i18n/I18n.js';
+
+// 个人最佳名称（文本 key）
+const RECORD_LABELS = {
+  [RecordType.MOVES]: 'record.moves',
+  [RecordType.TIME]: 'record.time',
+  [RecordType.AO5]: 'record.ao5',
+  [RecordType.AO12]: 'record.ao12'
+};
+
+// 解法分析状态
+const AnalysisState = {
+  NONE: 'none',
+  LOADING: 'loading',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+// 信息卡片与分析卡片尺寸
+const CARD_WIDTH = 280;
+const INFO_CARD_HEIGHT = 120;
+const ANALYSIS_CARD_HEIGHT = 128;
 
 export class VictoryScene extends BaseScene {
   constructor(canvas, ctx) {
@@ -16,8 +48,15 @@ export class VictoryScene extends BaseScene {
     // 游戏数据
     this.gameData = null;
     
+    // 解法分析结果
+    this.analysis = null;
+    this.analysisState = AnalysisState.NONE;
+    
     // UI元素
     this.backButton = null;
+    this.shareButton = null;
+    this.statsButton = null;
+    this.replayButton = null;
     
     // 动画状态
     this.titleOpacity = 0;
@@ -44,8 +83,20 @@ export class VictoryScene extends BaseScene {
   updateLayout() {
     super.updateLayout();
     
+    // 返回与分享按钮并排
     if (this.backButton) {
-      this.backButton.setPosition(this.width / 2, this.height * 0.85);
+      this.backButton.setPosition(this.width / 2 - 90, this.height * 0.85);
+    }
+    if (this.shareButton) {
+      this.shareButton.setPosition(this.width / 2 + 90, this.height * 0.85);
+    }
+    
+    // 查看统计与观看回放并排
+    if (this.statsButton) {
+      this.statsButton.setPosition(this.width / 2 - 90, this.height * 0.85 + 62);
+    }
+    if (this.replayButton) {
+      this.replayButton.setPosition(this.width / 2 + 90, this.height * 0.85 + 62);
     }
   }
   
@@ -54,35 +105,131 @@ export class VictoryScene extends BaseScene {
    */
   _createButton() {
     this.backButton = new Button({
-      text: '返回主页',
-      width: 200,
+      text: t('victory.home'),
+      width: 160,
       height: 60,
       fontSize: 28,
       // 使用金色主题匹配胜利氛围
-      bgColor: '#D4A84B',
-      bgColorHover: '#E5B95C',
-      bgColorActive: '#C3983A',
-      textColor: '#FFFFFF',
+      colorRole: ButtonRole.GOLD,
       borderRadius: 12,
       onClick: () => {
         this._onBackClick();
       }
     });
     
-    this.uiElements.push(this.backButton);
+    // 分享题目按钮（好友可通过题目码挑战同一盘）
+    this.shareButton = new Button({
+      text: t('victory.share'),
+      width: 160,
+      height: 60,
+      fontSize: 28,
+      colorRole: ButtonRole.SECONDARY,
+      borderRadius: 12,
+      onClick: () => {
+        this._onShareClick();
+      }
+    });
+    
+    // 查看统计按钮
+    this.statsButton = new Button({
+      text: t('victory.stats'),
+      width: 160,
+      height: 44,
+      fontSize: 22,
+      colorRole: ButtonRole.GLASS,
+      borderRadius: 12,
+      onClick: () => {
+        this._onStatsClick();
+      }
+    });
+    
+    // 观看回放按钮
+    this.replayButton = new Button({
+      text: t('victory.replay'),
+      width: 160,
+      height: 44,
+      fontSize: 22,
+      colorRole: ButtonRole.GLASS,
+      borderRadius: 12,
+      onClick: () => {
+        this._onReplayClick();
+      }
+    });
+    
+    this.uiElements.push(this.backButton, this.shareButton, this.statsButton, this.replayButton);
+  }
+  
+  /**
+   * 语言切换：刷新按钮文字
+   */
+  onLanguageChange() {
+    if (!this.backButton) return;
+    
+    this.backButton.text = t('victory.home');
+    this.shareButton.text = t('victory.share');
+    this.statsButton.text = t('victory.stats');
+    this.replayButton.text = t('victory.replay');
   }
   
   /**
    * 返回按钮点击
    */
   _onBackClick() {
-    globalEvent.emit('scene:change', 'mode');
+    const returnScene = (this.gameData && this.gameData.returnScene) || 'mode';
+    globalEvent.emit('scene:change', returnScene);
+  }
+  
+  /**
+   * 查看统计按钮点击（返回时回到本页）
+   */
+  _onStatsClick() {
+    globalEvent.emit('scene:change', 'stats', {
+      size: this.gameData ? this.gameData.boardSize : undefined,
+      returnScene: 'victory',
+      returnData: this.gameData
+    });
+  }
+  
+  /**
+   * 观看回放按钮点击（返回时回到本页）
+   */
+  _onReplayClick() {
+    if (!this.gameData || !this.gameData.replayId) return;
+    
+    globalEvent.emit('scene:change', 'replay', {
+      replayId: this.gameData.replayId,
+      returnScene: 'victory',
+      returnData: this.gameData
+    });
   }
   
+  /**
+   * 分享按钮点击
+   */
+  _onShareClick() {
+    const code = this.getShareCode();
+    if (!code) return;
+    
+    wx.shareAppMessage({
+      title: t('share.solved', { time: this.gameData.time }),
+      query: `code=${code}`
+    });
+  }
+
+  /**
+   * 当前题目码（用于分享）
+   */
+  getShareCode() {
+    return this.gameData ? this.gameData.puzzleCode || '' : '';
+  }
+
   /**
    * 进入动画
    */
   async enter(data) {
+    // 从统计页或回放页返回时不再重复庆祝
+    const isReturning = data === this.gameData;
+    
     // 保存游戏数据
     this.gameData = data;
     
@@ -93,11 +240,17 @@ export class VictoryScene extends BaseScene {
     this.contentOpacity = 1;
     this.contentY = 0;
     
-    // 初始化礼花粒子
-    this._initParticles();
-    
-    // 播放胜利音效
-    audioManager.play(SoundType.WIN);
+    if (!isReturning) {
+      // 分析本局解法（求解在 Worker 中进行，完成后显示）
+      this._startAnalysis(data);
+      
+      // 初始化礼花粒子
+      this._initParticles();
+      
+      // 播放胜利音效与振动
+      audioManager.play(SoundType.WIN);
+      hapticsManager.play(HapticType.WIN);
+    }
     
     await super.enter();
     
@@ -111,9 +264,16 @@ export class VictoryScene extends BaseScene {
     
     // 按钮入场
     this.backButton.playEnterAnimation(400);
+    this.shareButton.visible = !!this.getShareCode();
+    this.shareButton.playEnterAnimation(500);
+    this.statsButton.playEnterAnimation(600);
+    this.replayButton.visible = !!(data && data.replayId);
+    this.replayButton.playEnterAnimation(650);
     
     // 开始礼花动画（只播放一次）
-    this._playFireworksOnce();
+    if (!isReturning) {
+      this._playFireworksOnce();
+    }
   }
   
   /**
@@ -130,17 +290,47 @@ export class VictoryScene extends BaseScene {
       .easing(Easing.easeInQuad)
       .start();
     
-    await this.backButton.playExitAnimation();
+    await Promise.all([
+      this.backButton.playExitAnimation(),
+      this.shareButton.playExitAnimation(),
+      this.statsButton.playExitAnimation(),
+      this.replayButton.playExitAnimation()
+    ]);
     await super.exit();
   }
   
+  /**
+   * 开始分析本局解法
+   */
+  _startAnalysis(data) {
+    this.analysis = null;
+    this.analysisState = AnalysisState.NONE;
+    
+    // 没有 Worker 时分析会阻塞主线程，不显示分析卡片
+    const replay = data && data.replayId ? replayStore.get(data.replayId) : null;
+    if (!replay || !solverService.hasWorker()) return;
+    
+    this.analysisState = AnalysisState.LOADING;
+    analyzeSolve(replay, { optimal: data.optimalLength }).then((analysis) => {
+      // 分析期间已进入下一局胜利页时丢弃
+      if (this.gameData !== data) return;
+      this.analysis = analysis;
+      this.analysisState = AnalysisState.DONE;
+    }).catch((e) => {
+      console.error('[VictoryScene] 解法分析失败:', e);
+      if (this.gameData === data) {
+        this.analysisState = AnalysisState.FAILED;
+      }
+    });
+  }
+  
   /**
    * 初始化礼花粒子
    */
   _initParticles() {
     this.particles = [];
     const centerX = this.width / 2;
-    const centerY = this.height * 0.35;
+    const centerY = this.height * 0.22;
     
     // 创建多组礼花，从不同位置发射
     const burstPositions = [
@@ -250,13 +440,14 @@ export class VictoryScene extends BaseScene {
     const h = this.height;
     
     // 深色渐变背景
+    const victoryColors = this.theme.background.victory;
     const gradient = ctx.createRadialGradient(
       w / 2, h / 2, 0,
       w / 2, h / 2, Math.max(w, h) / 2
     );
-    gradient.addColorStop(0, '#2A3A4A');
-    gradient.addColorStop(0.7, '#1A2A3A');
-    gradient.addColorStop(1, '#0F1A25');
+    gradient.addColorStop(0, victoryColors[0]);
+    gradient.addColorStop(0.7, victoryColors[1]);
+    gradient.addColorStop(1, victoryColors[2]);
     
     ctx.fillStyle = gradient;
     ctx.fillRect(0, 0, w, h);
@@ -322,6 +513,8 @@ export class VictoryScene extends BaseScene {
     this._drawTitle();
     this._drawCrowns();
     this._drawGameInfo();
+    this._drawAnalysis();
+    this._drawNewRecords();
   }
   
   /**
@@ -330,7 +523,7 @@ export class VictoryScene extends BaseScene {
   _drawTitle() {
     const ctx = this.ctx;
     const centerX = this.width / 2;
-    const titleY = this.height * 0.15;
+    const titleY = this.height * 0.12;
     
     ctx.save();
     ctx.globalAlpha = this.titleOpacity * this.opacity;
@@ -344,7 +537,7 @@ export class VictoryScene extends BaseScene {
     ctx.font = `bold ${56 * this.titleScale}px Arial, sans-serif`;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
-    ctx.fillText('🎉 恭喜通关 🎉', centerX, titleY);
+    ctx.fillText(t('victory.title'), centerX, titleY);
     
     ctx.restore();
   }
@@ -357,7 +550,7 @@ export class VictoryScene extends BaseScene {
     
     const ctx = this.ctx;
     const centerX = this.width / 2;
-    const crownsY = this.height * 0.38 + this.contentY;
+    const crownsY = this.height * 0.25 + this.contentY;
     const crownSize = 50;
     const crownSpacing = 70;
     
@@ -479,14 +672,14 @@ export class VictoryScene extends BaseScene {
     
     const ctx = this.ctx;
     const centerX = this.width / 2;
-    const infoY = this.height * 0.55 + this.contentY;
+    const infoY = this.height * 0.33 + this.contentY;
     
     ctx.save();
     ctx.globalAlpha = this.contentOpacity * this.opacity;
     
     // 信息卡片背景
-    const cardWidth = 280;
-    const cardHeight = 120;
+    const cardWidth = CARD_WIDTH;
+    const cardHeight = INFO_CARD_HEIGHT;
     const cardX = centerX - cardWidth / 2;
     const cardY = infoY;
     
@@ -510,7 +703,41 @@ export class VictoryScene extends BaseScene {
     ctx.font = '20px Arial, sans-serif';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
-    ctx.fillText(`${this.gameData.boardSize}×${this.gameData.boardSize} 模式`, centerX, cardY + 15);
+    const sizeText = formatSize(this.gameData.boardSize);
+    let modeText = t('victory.sizeMode', { size: sizeText });
+    if (this.gameData.mode === 'daily') {
+      modeText = this.gameData.ranked
+        ? t('victory.dailyStreak', { size: sizeText, streak: this.gameData.streak })
+        : t('victory.dailyPractice', { size: sizeText });
+    } else if (this.gameData.difficulty) {
+      // 难度局：局面经证明落在区间内时显示最优步数区间，求出真实最优步数时一并显示
+      modeText = `${sizeText} ${t(DIFFICULTY_LABELS[this.gameData.difficulty])}`;
+      if (this.gameData.difficultyBand) {
+        modeText += ` ${t('victory.band', { band: formatBand(this.gameData.difficultyBand) })}`;
+      }
+      if (this.gameData.optimalLength) {
+        modeText += ` · ${t('victory.optimal', { moves: this.gameData.optimalLength })}`;
+      }
+    }
+    if (this.gameData.challenge === ChallengeMode.MARATHON) {
+      modeText += ` · ${t('victory.marathon', { count: this.gameData.marathonLength })}`;
+    } else if (this.gameData.challenge === ChallengeMode.MOVE_LIMIT) {
+      modeText += ` · ${t('victory.moveLimit', { budget: this.gameData.moveBudget })}`;
+    } else if (this.gameData.challenge) {
+      modeText += ` · ${t(CHALLENGE_LABELS[this.gameData.challenge])}`;
+    }
+    if (this.gameData.pictureLabel) {
+      modeText += ` · 🖼 ${this.gameData.pictureLabel}`;
+    }
+    if (this.gameData.blind) {
+      modeText += this.gameData.peeksUsed > 0
+        ? ` · ${t('victory.blindPeeks', { count: this.gameData.peeksUsed, seconds: this.gameData.peekPenaltyMs / 1000 })}`
+        : ` · ${t('mode.blindTag')}`;
+    }
+    if (this.gameData.hintsUsed > 0) {
+      modeText += ` · ${t('victory.hints', { count: this.gameData.hintsUsed })}`;
+    }
+    ctx.fillText(modeText, centerX, cardY + 15);
     
     // 时间和步数
     ctx.fillStyle = '#FFF';
@@ -519,15 +746,16 @@ export class VictoryScene extends BaseScene {
     ctx.fillText(`⏱ ${this.gameData.time}`, cardX + 30, cardY + 55);
     
     ctx.textAlign = 'right';
-    ctx.fillText(`步数: ${this.gameData.moves}`, cardX + cardWidth - 30, cardY + 55);
+    const moves = this.gameData.moveMetric === MoveMetric.LINE ? this.gameData.lineMoves : this.gameData.moves;
+    ctx.fillText(t('common.moves', { moves }), cardX + cardWidth - 30, cardY + 55);
     
     // 评价文字
     let ratingText = '';
     switch (this.gameData.stars) {
-      case 3: ratingText = '太棒了！完美！'; break;
-      case 2: ratingText = '很好！继续加油！'; break;
-      case 1: ratingText = '不错！还可以更快！'; break;
-      default: ratingText = '继续加油！'; break;
+      case 3: ratingText = t('victory.rating3'); break;
+      case 2: ratingText = t('victory.rating2'); break;
+      case 1: ratingText = t('victory.rating1'); break;
+      default: ratingText = t('victory.rating0'); break;
     }
     
     ctx.fillStyle = '#FFD700';
@@ -538,6 +766,168 @@ export class VictoryScene extends BaseScene {
     ctx.restore();
   }
   
+  /**
+   * 分析卡片顶部（信息卡片下方）
+   */
+  _getAnalysisY() {
+    return this.height * 0.33 + this.contentY + INFO_CARD_HEIGHT + 12;
+  }
+  
+  /**
+   * 绘制解法分析：最优步数与效率、分阶段用时、剩余距离曲线
+   */
+  _drawAnalysis() {
+    if (this.analysisState === AnalysisState.NONE) return;
+    
+    const ctx = this.ctx;
+    const centerX = this.width / 2;
+    const cardX = centerX - CARD_WIDTH / 2;
+    const cardY = this._getAnalysisY();
+    
+    ctx.save();
+    ctx.globalAlpha = this.contentOpacity * this.opacity;
+    
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = 1;
+    this._drawRoundRect(ctx, cardX, cardY, CARD_WIDTH, ANALYSIS_CARD_HEIGHT, 12);
+    ctx.fill();
+    ctx.stroke();
+    
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    
+    if (this.analysisState !== AnalysisState.DONE) {
+      ctx.fillStyle = '#AAA';
+      ctx.font = '16px Arial, sans-serif';
+      const text = t(this.analysisState === AnalysisState.LOADING ? 'analysis.loading' : 'analysis.failed');
+      ctx.fillText(text, centerX, cardY + ANALYSIS_CARD_HEIGHT / 2);
+      ctx.restore();
+      return;
+    }
+    
+    const analysis = this.analysis;
+    
+    // 最优步数、效率与多走的步数（最优未求出时按下界给出效率上限）
+    const efficiency = Math.round(analysis.efficiency * 100);
+    const summary = analysis.optimal !== null
+      ? t('analysis.summary', { optimal: analysis.optimal, efficiency, wasted: analysis.wasted })
+      : t('analysis.summaryLower', { lower: analysis.lower, efficiency });
+    ctx.fillStyle = '#FFF';
+    ctx.font = 'bold 16px Arial, sans-serif';
+    ctx.fillText(summary, centerX, cardY + 16);
+    
+    // 分阶段用时（放不下时换行）
+    const lines = this._layoutPhases(analysis.phases, CARD_WIDTH - 24);
+    ctx.fillStyle = '#AAA';
+    ctx.font = '13px Arial, sans-serif';
+    lines.forEach((line, i) => {
+      ctx.fillText(line, centerX, cardY + 38 + i * 17);
+    });
+    
+    const chartTop = cardY + 38 + lines.length * 17;
+    this._drawDistanceChart(analysis.distances, cardX + 14, chartTop, CARD_WIDTH - 28, cardY + ANALYSIS_CARD_HEIGHT - 10 - chartTop);
+    
+    ctx.restore();
+  }
+  
+  /**
+   * 分阶段用时排成最多两行文字
+   */
+  _layoutPhases(phases, maxWidth) {
+    const ctx = this.ctx;
+    ctx.font = '13px Arial, sans-serif';
+    
+    const lines = [];
+    let line = '';
+    for (let phase of phases) {
+      const item = `${phase.label} ${(phase.timeMs / 1000).toFixed(1)}s`;
+      const next = line ? `${line} · ${item}` : item;
+      if (line && ctx.measureText(next).width > maxWidth) {
+        lines.push(line);
+        line = item;
+      } else {
+        line = next;
+      }
+    }
+    if (line) {
+      lines.push(line);
+    }
+    
+    return lines.slice(0, 2);
+  }
+  
+  /**
+   * 绘制剩余距离曲线（每个操作后的估计步数，越低越接近完成）
+   */
+  _drawDistanceChart(distances, x, y, width, height) {
+    if (distances.length < 2 || height < 16) return;
+    
+    const ctx = this.ctx;
+    const maxDistance = Math.max(1, ...distances);
+    const step = width / (distances.length - 1);
+    const toY = (value) => y + height - (value / maxDistance) * height;
+    
+    // 底线
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, y + height);
+    ctx.lineTo(x + width, y + height);
+    ctx.stroke();
+    
+    // 曲线与填充
+    ctx.beginPath();
+    ctx.moveTo(x, toY(distances[0]));
+    distances.forEach((value, i) => {
+      ctx.lineTo(x + i * step, toY(value));
+    });
+    ctx.strokeStyle = '#5AB9A8';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+    
+    ctx.lineTo(x + width, y + height);
+    ctx.lineTo(x, y + height);
+    ctx.closePath();
+    ctx.fillStyle = 'rgba(90, 185, 168, 0.2)';
+    ctx.fill();
+    
+    // 起点距离标注
+    ctx.fillStyle = '#888';
+    ctx.font = '10px Arial, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(t('analysis.remaining', { distance: distances[0] }), x + 2, y);
+  }
+  
+  /**
+   * 绘制新纪录提示
+   */
+  _drawNewRecords() {
+    if (!this.gameData || !this.gameData.newRecords || this.gameData.newRecords.length === 0) return;
+    
+    const ctx = this.ctx;
+    const centerX = this.width / 2;
+    const y = this._getAnalysisY() + (this.analysisState === AnalysisState.NONE ? 0 : ANALYSIS_CARD_HEIGHT + 12) + 18;
+    const labels = this.gameData.newRecords.map(type => t(RECORD_LABELS[type])).join(' · ');
+    
+    // 轻微脉冲
+    const pulseScale = 1 + Math.sin(Date.now() / 1000 * 4) * 0.04;
+    
+    ctx.save();
+    ctx.globalAlpha = this.contentOpacity * this.opacity;
+    ctx.translate(centerX, y);
+    ctx.scale(pulseScale, pulseScale);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.shadowColor = 'rgba(255, 215, 0, 0.6)';
+    ctx.shadowBlur = 10;
+    ctx.fillStyle = '#FFD700';
+    ctx.font = 'bold 22px Arial, sans-serif';
+    ctx.fillText(t('victory.newRecord', { labels }), 0, 0);
+    ctx.restore();
+  }
+  
   /**
    * 销毁
    */
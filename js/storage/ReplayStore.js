@@ -0,0 +1,68 @@
+/**
+ * 回放存储
+ * 保存最近完成对局的回放，超出上限时丢弃最早的回放
+ */
+
+import { storageManager, StorageSection } from './StorageManager.js';
+import { getSizeKey } from '../core/BoardSize.js';
+
+// 最多保留的回放数
+const MAX_REPLAYS = 30;
+
+export class ReplayStore {
+  /**
+   * 保存回放
+   * @param {Object} replay - ReplayRecorder.toReplay 生成的数据
+   * @returns {Object} 带 id 的回放
+   */
+  add(replay) {
+    const data = this._getData();
+    const saved = { ...replay, id: Date.now() };
+
+    data.replays.push(saved);
+    if (data.replays.length > MAX_REPLAYS) {
+      data.replays.splice(0, data.replays.length - MAX_REPLAYS);
+    }
+
+    // 超出单键容量时丢弃较早的一半再试
+    if (!storageManager.set(StorageSection.REPLAYS, data)) {
+      data.replays.splice(0, Math.floor(data.replays.length / 2));
+      storageManager.set(StorageSection.REPLAYS, data);
+    }
+
+    return saved;
+  }
+
+  /**
+   * 获取回放
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this._getData().replays.find(replay => replay.id === id) || null;
+  }
+
+  /**
+   * 获取回放列表（最新的在前）
+   * @param {number|Object|string} size - 棋盘尺寸（省略时返回全部）
+   */
+  getAll(size) {
+    let replays = this._getData().replays;
+    if (size) {
+      const key = getSizeKey(size);
+      replays = replays.filter(replay => replay.size === key);
+    }
+    return replays.slice().reverse();
+  }
+
+  /**
+   * 读取回放分区
+   */
+  _getData() {
+    const data = storageManager.get(StorageSection.REPLAYS, null);
+    return data && Array.isArray(data.replays) ? data : { replays: [] };
+  }
+}
+
+// 单例实例
+export const replayStore = new ReplayStore();
+export default replayStore;
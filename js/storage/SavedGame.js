@@ -0,0 +1,46 @@
+/**
+ * 对局存档
+ * 进行中的对局在每步移动与切到后台时写入本地存储，
+ * 小游戏被系统回收后可在开始页面继续（只保留最近一局）
+ */
+
+import { storageManager, StorageSection } from './StorageManager.js';
+
+// 存档结构版本（结构变化时旧存档直接丢弃）
+const SAVE_VERSION = 1;
+
+export class SavedGame {
+  /**
+   * 写入存档
+   * @param {Object} snapshot - GameScene 生成的对局快照
+   * @returns {boolean} 是否写入成功
+   */
+  save(snapshot) {
+    return storageManager.set(StorageSection.SAVED_GAME, {
+      ...snapshot,
+      version: SAVE_VERSION,
+      savedAt: Date.now()
+    });
+  }
+
+  /**
+   * 读取存档
+   * @returns {Object|null} 没有存档或版本不符时为 null
+   */
+  load() {
+    const data = storageManager.get(StorageSection.SAVED_GAME);
+    if (!data || data.version !== SAVE_VERSION) return null;
+    return data;
+  }
+
+  /**
+   * 删除存档（对局完成或重新开始时）
+   */
+  clear() {
+    storageManager.remove(StorageSection.SAVED_GAME);
+  }
+}
+
+// 单例实例
+export const savedGame = new SavedGame();
+export default savedGame;
@@ -0,0 +1,65 @@
+/**
+ * 偏好设置
+ * 以键值形式保存玩家的偏好，未保存过的键返回默认值
+ */
+
+import { storageManager, StorageSection } from './StorageManager.js';
+import { DEFAULT_THEME } from '../theme/Themes.js';
+import { Language } from '../i18n/I18n.js';
+import { HapticIntensity } from '../haptics/HapticsManager.js';
+
+// 动画速度
+export const AnimationSpeed = {
+  SLOW: 'slow',
+  NORMAL: 'normal',
+  FAST: 'fast'
+};
+
+// 各动画速度对应的方块移动动画时长倍率
+export const ANIMATION_SCALES = {
+  [AnimationSpeed.SLOW]: 1.6,
+  [AnimationSpeed.NORMAL]: 1,
+  [AnimationSpeed.FAST]: 0.5
+};
+
+// 设置项默认值
+export const SETTING_DEFAULTS = {
+  // 音效开关、总音量与各音效音量（{ soundType: volume }，未保存的音效沿用 AudioManager 默认音量）
+  soundEnabled: true,
+  masterVolume: 1,
+  soundVolumes: {},
+  vibration: true,
+  vibrationIntensity: HapticIntensity.MEDIUM,
+  animationSpeed: AnimationSpeed.NORMAL,
+  // 默认显示的步数计法（MoveMetric，此处不引用 Board 以免循环依赖）
+  moveMetric: 'tile',
+  showTimer: true,
+  theme: DEFAULT_THEME,
+  language: Language.ZH
+};
+
+export class Settings {
+  /**
+   * 读取设置项
+   * @param {string} key - 设置项名
+   */
+  get(key) {
+    const data = storageManager.get(StorageSection.SETTINGS, {});
+    return key in data ? data[key] : SETTING_DEFAULTS[key];
+  }
+
+  /**
+   * 写入设置项
+   * @param {string} key - 设置项名
+   * @param {*} value - 可序列化的值
+   * @returns {boolean} 是否写入成功
+   */
+  set(key, value) {
+    const data = { ...storageManager.get(StorageSection.SETTINGS, {}), [key]: value };
+    return storageManager.set(StorageSection.SETTINGS, data);
+  }
+}
+
+// 单例实例
+export const settings = new Settings();
+export default settings;
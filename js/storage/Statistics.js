@@ -0,0 +1,208 @@
+/**
+ * 游戏统计
+ * 记录每一局完成的游戏，并按尺寸维护个人最佳：
+ * 最少步数、最快用时、最佳 5 局平均（ao5）、最佳 12 局平均（ao12）
+ *
+ * 平均成绩采用去掉最快、最慢各 5%（向上取整，至少一局）后取平均的算法；
+ * 使用过提示的对局会记入历史，但不参与个人最佳与平均
+ */
+
+import { storageManager, StorageSection } from './StorageManager.js';
+import { normalizeSize, getSizeKey } from '../core/BoardSize.js';
+
+// 最多保留的历史对局数
+const MAX_HISTORY = 1000;
+
+// 个人最佳类型
+export const RecordType = {
+  MOVES: 'moves',
+  TIME: 'time',
+  AO5: 'ao5',
+  AO12: 'ao12'
+};
+
+// 去头尾平均时每端去掉的比例
+const TRIM_RATIO = 0.05;
+
+// 平均成绩统计的局数
+const AVERAGE_COUNTS = {
+  [RecordType.AO5]: 5,
+  [RecordType.AO12]: 12
+};
+
+/**
+ * 计算去头尾平均：两端各去掉 5%（ao5/ao12 各去一局，ao100 各去五局）
+ * @param {number[]} times - 用时列表（毫秒）
+ * @returns {number} 平均用时（毫秒，取整）
+ */
+export function trimmedMean(times) {
+  const sorted = times.slice().sort((a, b) => a - b);
+  const trim = sorted.length > 2 ? Math.ceil(sorted.length * TRIM_RATIO) : 0;
+  const trimmed = sorted.slice(trim, sorted.length - trim);
+  const sum = trimmed.reduce((total, time) => total + time, 0);
+  return Math.round(sum / trimmed.length);
+}
+
+/**
+ * 计算滚动平均
+ * @param {number[]} times - 按时间先后排列的用时
+ * @param {number} count - 每次平均的局数
+ * @returns {Array<number|null>} 与 times 等长，前 count - 1 项为 null
+ */
+export function rollingAverages(times, count) {
+  return times.map((time, i) => (
+    i + 1 < count ? null : trimmedMean(times.slice(i + 1 - count, i + 1))
+  ));
+}
+
+export class Statistics {
+  /**
+   * 记录一局完成的游戏
+   * @param {Object} result - { size, timeMs, moves, lineMoves, stars, hints, seed, mode }，size 为边长或 { rows, cols }
+   *   moves 为单块计步数，lineMoves 为整行计步数
+   * @returns {Object} { game, newRecords } newRecords 为刷新的 RecordType 列表
+   */
+  recordGame(result) {
+    const game = {
+      size: getSizeKey(result.size),
+      timeMs: result.timeMs,
+      moves: result.moves,
+      lineMoves: result.lineMoves === undefined ? result.moves : result.lineMoves,
+      stars: result.stars,
+      hints: result.hints || 0,
+      seed: result.seed === undefined ? null : result.seed,
+      mode: result.mode || 'classic',
+      date: Date.now()
+    };
+
+    const history = this._getHistory();
+    history.games.push(game);
+    if (history.games.length > MAX_HISTORY) {
+      history.games.splice(0, history.games.length - MAX_HISTORY);
+    }
+    storageManager.set(StorageSection.HISTORY, history);
+
+    const newRecords = this.isEligible(game) ? this._updateBests(game) : [];
+    return { game, newRecords };
+  }
+
+  /**
+   * 是否参与个人最佳
+   */
+  isEligible(game) {
+    return game.hints === 0;
+  }
+
+  /**
+   * 获取历史对局
+   * @param {number|Object|string} size - 棋盘尺寸（省略时返回全部）
+   * @returns {Object[]} 按时间先后排列
+   */
+  getGames(size) {
+    const games = this._getHistory().games;
+    if (!size) return games.slice();
+
+    const key = getSizeKey(size);
+    return games.filter(game => game.size === key);
+  }
+
+  /**
+   * 获取某尺寸的个人最佳
+   * @returns {Object} { moves, time, ao5, ao12 }，未产生的项为 null
+   */
+  getBests(size) {
+    const bests = storageManager.get(StorageSection.BESTS, {});
+    const record = bests[getSizeKey(size)] || {};
+
+    return {
+      [RecordType.MOVES]: record[RecordType.MOVES] || null,
+      [RecordType.TIME]: record[RecordType.TIME] || null,
+      [RecordType.AO5]: record[RecordType.AO5] || null,
+      [RecordType.AO12]: record[RecordType.AO12] || null
+    };
+  }
+
+  /**
+   * 某尺寸当前（最近 count 局）的平均用时
+   * @returns {number|null} 局数不足时返回 null
+   */
+  getCurrentAverage(size, count) {
+    const games = this.getGames(size).filter(game => this.isEligible(game));
+    if (games.length < count) return null;
+
+    return trimmedMean(games.slice(-count).map(game => game.timeMs));
+  }
+
+  /**
+   * 有历史记录的尺寸标识（按格子数升序）
+   * @returns {string[]} 如 ['3x5', '4x4']
+   */
+  getSizes() {
+    const keys = new Set(this._getHistory().games.map(game => game.size));
+    const cellCount = (key) => {
+      const { rows, cols } = normalizeSize(key);
+      return rows * cols;
+    };
+    return Array.from(keys).sort((a, b) => cellCount(a) - cellCount(b) || a.localeCompare(b));
+  }
+
+  /**
+   * 累计游戏时长（毫秒）
+   * @param {number|Object|string} size - 棋盘尺寸（省略时统计全部）
+   */
+  getTotalPlayTime(size) {
+    return this.getGames(size).reduce((total, game) => total + game.timeMs, 0);
+  }
+
+  /**
+   * 用新对局刷新个人最佳
+   * 首次产生的成绩只作为基准，不算"新纪录"
+   * @returns {string[]} 刷新的 RecordType 列表
+   */
+  _updateBests(game) {
+    const bests = storageManager.get(StorageSection.BESTS, {});
+    const key = game.size;
+    const record = bests[key] || {};
+    const newRecords = [];
+
+    const candidates = {
+      [RecordType.MOVES]: { value: game.moves, timeMs: game.timeMs },
+      [RecordType.TIME]: { value: game.timeMs, moves: game.moves }
+    };
+
+    for (let type of [RecordType.AO5, RecordType.AO12]) {
+      const average = this.getCurrentAverage(game.size, AVERAGE_COUNTS[type]);
+      if (average !== null) {
+        candidates[type] = { value: average };
+      }
+    }
+
+    for (let type of Object.keys(candidates)) {
+      const previous = record[type];
+      const candidate = candidates[type];
+
+      if (!previous || candidate.value < previous.value) {
+        record[type] = { ...candidate, date: game.date };
+        if (previous) {
+          newRecords.push(type);
+        }
+      }
+    }
+
+    bests[key] = record;
+    storageManager.set(StorageSection.BESTS, bests);
+
+    return newRecords;
+  }
+
+  /**
+   * 读取历史分区
+   */
+  _getHistory() {
+    return storageManager.get(StorageSection.HISTORY, { games: [] });
+  }
+}
+
+// 单例实例
+export const statistics = new Statistics();
+export default statistics;
@@ -0,0 +1,172 @@
+/**
+ * 本地存储管理器
+ * 封装 wx.setStorageSync / wx.getStorageSync，按"分区"读写数据，
+ * 并记录存储结构版本号，启动时依次执行迁移把旧数据升级到当前结构
+ *
+ * 每个分区单独占一个存储键（避免单键 1MB 上限）：
+ *   puzzle:version  结构版本号
+ *   puzzle:<分区名>  分区数据
+ */
+
+// 存储键前缀
+const KEY_PREFIX = 'puzzle:';
+const VERSION_KEY = `${KEY_PREFIX}version`;
+
+// 存储分区
+export const StorageSection = {
+  DAILY: 'daily',
+  HISTORY: 'history',
+  BESTS: 'bests',
+  SAVED_GAME: 'saved_game',
+  REPLAYS: 'replays',
+  SETTINGS: 'settings'
+};
+
+/**
+ * 迁移列表：MIGRATIONS[i] 把版本 i 升级到版本 i + 1
+ * 新增结构变更时在末尾追加，不要修改已有迁移
+ */
+const MIGRATIONS = [
+  // v0 -> v1：建立分区，导入旧版每日挑战记录（原键 'daily_challenge'）
+  (storage) => {
+    const legacy = storage.readRaw('daily_challenge');
+    storage.set(StorageSection.DAILY, {
+      records: (legacy && legacy.records) || {}
+    });
+    storage.set(StorageSection.HISTORY, { games: [] });
+    storage.set(StorageSection.BESTS, {});
+    storage.removeRaw('daily_challenge');
+  },
+
+  // v1 -> v2：支持长方形棋盘，历史对局的尺寸由边长改为尺寸标识（4 -> '4x4'）
+  (storage) => {
+    const history = storage.get(StorageSection.HISTORY, { games: [] });
+    history.games.forEach(game => {
+      if (typeof game.size === 'number') {
+        game.size = `${game.size}x${game.size}`;
+      }
+    });
+    storage.set(StorageSection.HISTORY, history);
+  }
+];
+
+// 当前结构版本
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+export class StorageManager {
+  constructor() {
+    // 分区数据缓存
+    this.cache = new Map();
+
+    // 当前存储中的结构版本
+    this.version = 0;
+    this.initialized = false;
+  }
+
+  /**
+   * 初始化：读取版本号并执行迁移
+   */
+  init() {
+    if (this.initialized) return;
+    this.initialized = true;
+
+    const stored = this.readRaw(VERSION_KEY);
+    this.version = typeof stored === 'number' ? stored : 0;
+
+    if (this.version > SCHEMA_VERSION) {
+      console.warn(`[StorageManager] 存储版本 ${this.version} 高于当前版本 ${SCHEMA_VERSION}，按现有数据读取`);
+      return;
+    }
+
+    while (this.version < SCHEMA_VERSION) {
+      console.log(`[StorageManager] 迁移存储结构 v${this.version} -> v${this.version + 1}`);
+      try {
+        MIGRATIONS[this.version](this);
+      } catch (e) {
+        // 迁移失败时停在当前版本，下次启动重试
+        console.error('[StorageManager] 迁移失败:', e);
+        return;
+      }
+      this.version++;
+      this.writeRaw(VERSION_KEY, this.version);
+    }
+  }
+
+  /**
+   * 读取分区数据
+   * @param {string} section - 分区名
+   * @param {*} defaultValue - 不存在时的默认值
+   * @returns {*}
+   */
+  get(section, defaultValue = null) {
+    this.init();
+
+    if (!this.cache.has(section)) {
+      const value = this.readRaw(KEY_PREFIX + section);
+      this.cache.set(section, value === '' || value === undefined ? null : value);
+    }
+
+    const value = this.cache.get(section);
+    return value === null ? defaultValue : value;
+  }
+
+  /**
+   * 写入分区数据
+   * @param {string} section - 分区名
+   * @param {*} value - 可序列化的数据
+   * @returns {boolean} 是否写入成功
+   */
+  set(section, value) {
+    this.cache.set(section, value);
+    return this.writeRaw(KEY_PREFIX + section, value);
+  }
+
+  /**
+   * 删除分区数据
+   * @param {string} section - 分区名
+   */
+  remove(section) {
+    this.cache.set(section, null);
+    this.removeRaw(KEY_PREFIX + section);
+  }
+
+  /**
+   * 读取原始存储键（不经过分区与缓存）
+   */
+  readRaw(key) {
+    try {
+      return wx.getStorageSync(key);
+    } catch (e) {
+      console.error(`[StorageManager] 读取 ${key} 失败:`, e);
+      return null;
+    }
+  }
+
+  /**
+   * 写入原始存储键
+   */
+  writeRaw(key, value) {
+    try {
+      wx.setStorageSync(key, value);
+      return true;
+    } catch (e) {
+      console.error(`[StorageManager] 写入 ${key} 失败:`, e);
+      return false;
+    }
+  }
+
+  /**
+   * 删除原始存储键
+   */
+  removeRaw(key) {
+    try {
+      wx.removeStorageSync(key);
+    } catch (e) {
+      console.error(`[StorageManager] 删除 ${key} 失败:`, e);
+    }
+  }
+}
+
+// 单例实例
+export const storageManager = new StorageManager();
+export default storageManager;
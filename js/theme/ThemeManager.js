@@ -0,0 +1,55 @@
+/**
+ * 主题管理器
+ * 持有当前主题，切换时保存到偏好设置并广播 'theme:change'，
+ * 场景与 UI 组件每帧绘制时从 current 取色，因此切换立即生效
+ */
+
+import { THEMES, THEME_ORDER, getTheme } from './Themes.js';
+import { settings } from '../storage/Settings.js';
+import { globalEvent } from '../utils/EventEmitter.js';
+
+export class ThemeManager {
+  constructor() {
+    this.current = getTheme(null);
+  }
+
+  /**
+   * 初始化：载入保存的主题
+   */
+  init() {
+    this.current = getTheme(settings.get('theme'));
+    console.log(`[ThemeManager] 当前主题: ${this.current.name}`);
+  }
+
+  /**
+   * 切换主题并保存
+   * @param {string} id - ThemeId
+   */
+  setTheme(id) {
+    if (!THEMES[id] || id === this.current.id) return;
+
+    this.current = THEMES[id];
+    settings.set('theme', id);
+    globalEvent.emit('theme:change', this.current);
+  }
+
+  /**
+   * 所有主题（按显示顺序）
+   */
+  getThemes() {
+    return THEME_ORDER.map(id => THEMES[id]);
+  }
+
+  /**
+   * 按钮配色
+   * @param {string} role - ButtonRole
+   * @returns {Object} { bg, hover, active, text }
+   */
+  getButtonColors(role) {
+    return this.current.buttons[role] || this.current.buttons.primary;
+  }
+}
+
+// 单例实例
+export const themeManager = new ThemeManager();
+export default themeManager;
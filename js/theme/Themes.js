@@ -0,0 +1,358 @@
+/**
+ * 主题注册表
+ * 每个主题给出背景、文字、按钮、弹窗、返回按钮与方块的配色，
+ * 场景与 UI 组件绘制时从当前主题取色（见 ThemeManager）
+ *
+ * 颜色约定：
+ *   background.glows 为 'r, g, b'，由各场景按自己的透明度拼成 rgba
+ *   background.rings 为 { r, g, b }（游戏页同心圆背景）
+ *   block.palette 每行一个色系，方块按目标行取色系、按目标列取色
+ */
+
+// 主题标识
+export const ThemeId = {
+  LIGHT: 'light',
+  DARK: 'dark',
+  HIGH_CONTRAST: 'high_contrast',
+  PASTEL: 'pastel',
+  WOOD: 'wood',
+  NEON: 'neon'
+};
+
+// 按钮配色角色
+export const ButtonRole = {
+  PRIMARY: 'primary',
+  SECONDARY: 'secondary',
+  WARNING: 'warning',
+  ACCENT: 'accent',
+  NEUTRAL: 'neutral',
+  GHOST: 'ghost',
+  DISABLED: 'disabled',
+  CHIP: 'chip',
+  CHIP_SELECTED: 'chipSelected',
+  GOLD: 'gold',
+  GLASS: 'glass'
+};
+
+/**
+ * 按钮配色
+ */
+function tone(bg, hover, active, text = '#FFFFFF') {
+  return { bg, hover, active, text };
+}
+
+export const THEMES = {
+  [ThemeId.LIGHT]: {
+    id: ThemeId.LIGHT,
+    name: '明亮',
+    background: {
+      gradient: ['#E8F4FD', '#F0F7FF', '#F8F5FF', '#F0F0FF'],
+      lines: ['#4A90D9', '#8B7FD9'],
+      glows: ['74, 144, 217', '139, 127, 217'],
+      base: '#F5F9FC',
+      rings: [
+        { r: 200, g: 230, b: 255 },
+        { r: 185, g: 235, b: 225 },
+        { r: 220, g: 215, b: 250 },
+        { r: 195, g: 225, b: 240 }
+      ],
+      victory: ['#2A3A4A', '#1A2A3A', '#0F1A25']
+    },
+    text: { primary: '#2C3E50', secondary: '#7F8C8D', muted: '#999999', accent: '#4A90D9' },
+    surface: 'rgba(255, 255, 255, 0.7)',
+    buttons: {
+      primary: tone('#4A90D9', '#5AA0E9', '#3A80C9'),
+      secondary: tone('#5AB9A8', '#6AC9B8', '#4AA998'),
+      warning: tone('#F5B041', '#F8C471', '#E59A2B'),
+      accent: tone('#8B7FD9', '#9B8FE9', '#7B6FC9'),
+      neutral: tone('#7F8C9A', '#8F9CAA', '#6F7C8A'),
+      ghost: tone('rgba(150, 150, 150, 0.25)', 'rgba(150, 150, 150, 0.35)', 'rgba(120, 120, 120, 0.35)', '#555555'),
+      disabled: tone('#C8CED4', '#C8CED4', '#C8CED4'),
+      chip: tone('rgba(74, 144, 217, 0.15)', 'rgba(74, 144, 217, 0.25)', 'rgba(74, 144, 217, 0.3)', '#4A90D9'),
+      chipSelected: tone('#4A90D9', '#5AA0E9', '#3A80C9'),
+      gold: tone('#D4A84B', '#E5B95C', '#C3983A'),
+      glass: tone('rgba(255, 255, 255, 0.15)', 'rgba(255, 255, 255, 0.25)', 'rgba(255, 255, 255, 0.1)')
+    },
+    dialog: { bg: '#FFFFFF', title: '#333333', text: '#666666', overlay: 'rgba(0, 0, 0, 0.6)' },
+    backButton: { bg: 'rgba(150, 150, 150, 0.3)', hover: 'rgba(150, 150, 150, 0.5)', active: 'rgba(120, 120, 120, 0.4)', icon: '#888888' },
+    block: {
+      palette: [
+        ['#2E5A8C', '#3A6FA3', '#4684BA', '#245078', '#1A4060'],
+        ['#3A7D70', '#469286', '#52A79C', '#2E6D62', '#245A50'],
+        ['#4B3F8C', '#5D4FA3', '#6F5FBA', '#3D2F78', '#2F2060'],
+        ['#C74A4A', '#D95C5C', '#EB6E6E', '#B53A3A', '#A32828'],
+        ['#D97A52', '#E98E66', '#F9A27A', '#C96A42', '#B95832']
+      ],
+      text: '#FFFFFF',
+      conceal: '#8E9AAF',
+      hint: '#FFD54F',
+      shadow: 'rgba(0, 0, 0, 0.15)',
+      gradient: true
+    }
+  },
+
+  [ThemeId.DARK]: {
+    id: ThemeId.DARK,
+    name: '深色',
+    background: {
+      gradient: ['#18202B', '#1C2532', '#211F30', '#1A1B28'],
+      lines: ['#5A9EE8', '#9B8FE9'],
+      glows: ['74, 144, 217', '139, 127, 217'],
+      base: '#151B24',
+      rings: [
+        { r: 34, g: 48, b: 66 },
+        { r: 28, g: 56, b: 56 },
+        { r: 44, g: 40, b: 68 },
+        { r: 30, g: 46, b: 60 }
+      ],
+      victory: ['#2A3A4A', '#1A2A3A', '#0F1A25']
+    },
+    text: { primary: '#E6ECF2', secondary: '#9AA7B4', muted: '#6F7C8A', accent: '#6AACF7' },
+    surface: 'rgba(255, 255, 255, 0.06)',
+    buttons: {
+      primary: tone('#3A7BC8', '#4A8BD8', '#2A6BB8'),
+      secondary: tone('#3E9A8B', '#4EAA9B', '#2E8A7B'),
+      warning: tone('#D9982F', '#E9A83F', '#C9881F'),
+      accent: tone('#7467C4', '#8477D4', '#6457B4'),
+      neutral: tone('#4F5B69', '#5F6B79', '#3F4B59'),
+      ghost: tone('rgba(255, 255, 255, 0.1)', 'rgba(255, 255, 255, 0.18)', 'rgba(255, 255, 255, 0.06)', '#CFD8E3'),
+      disabled: tone('#343D49', '#343D49', '#343D49', '#7F8C9A'),
+      chip: tone('rgba(106, 172, 247, 0.15)', 'rgba(106, 172, 247, 0.25)', 'rgba(106, 172, 247, 0.3)', '#6AACF7'),
+      chipSelected: tone('#3A7BC8', '#4A8BD8', '#2A6BB8'),
+      gold: tone('#C49A3F', '#D4AA4F', '#B48A2F'),
+      glass: tone('rgba(255, 255, 255, 0.12)', 'rgba(255, 255, 255, 0.2)', 'rgba(255, 255, 255, 0.08)')
+    },
+    dialog: { bg: '#242E3C', title: '#E6ECF2', text: '#AEB9C5', overlay: 'rgba(0, 0, 0, 0.7)' },
+    backButton: { bg: 'rgba(255, 255, 255, 0.12)', hover: 'rgba(255, 255, 255, 0.2)', active: 'rgba(255, 255, 255, 0.08)', icon: '#CFD8E3' },
+    block: {
+      palette: [
+        ['#2F6DB0', '#3B7DC2', '#4A8DD4', '#255F9E', '#1C508A'],
+        ['#2F8A7A', '#3B9C8B', '#48AE9D', '#277A6B', '#1F6A5C'],
+        ['#5B4DB0', '#6B5DC2', '#7B6DD4', '#4C3F9E', '#3E328A'],
+        ['#B8444A', '#C9545A', '#DA646A', '#A7363C', '#962A30'],
+        ['#C86E3E', '#D97E4E', '#EA8E5E', '#B75F31', '#A65025']
+      ],
+      text: '#F5F8FB',
+      conceal: '#4B5668',
+      hint: '#FFD54F',
+      shadow: 'rgba(0, 0, 0, 0.4)',
+      gradient: true
+    }
+  },
+
+  [ThemeId.HIGH_CONTRAST]: {
+    id: ThemeId.HIGH_CONTRAST,
+    name: '高对比',
+    background: {
+      gradient: ['#FFFFFF', '#FFFFFF', '#FFFFFF', '#FFFFFF'],
+      lines: ['#000000', '#000000'],
+      glows: ['0, 0, 0', '0, 0, 0'],
+      base: '#FFFFFF',
+      rings: [
+        { r: 255, g: 255, b: 255 },
+        { r: 240, g: 240, b: 240 },
+        { r: 255, g: 255, b: 255 },
+        { r: 240, g: 240, b: 240 }
+      ],
+      victory: ['#000000', '#000000', '#000000']
+    },
+    text: { primary: '#000000', secondary: '#1A1A1A', muted: '#333333', accent: '#0033CC' },
+    surface: 'rgba(0, 0, 0, 0.06)',
+    buttons: {
+      primary: tone('#0033CC', '#1A47D6', '#0029A3'),
+      secondary: tone('#006B3C', '#0A7F4A', '#005530'),
+      warning: tone('#B34700', '#C75300', '#993D00'),
+      accent: tone('#5B1A99', '#6C2AAD', '#4A0F80'),
+      neutral: tone('#000000', '#222222', '#000000'),
+      ghost: tone('rgba(0, 0, 0, 0.1)', 'rgba(0, 0, 0, 0.18)', 'rgba(0, 0, 0, 0.25)', '#000000'),
+      disabled: tone('#8A8A8A', '#8A8A8A', '#8A8A8A'),
+      chip: tone('#FFFFFF', '#EEEEEE', '#DDDDDD', '#000000'),
+      chipSelected: tone('#000000', '#222222', '#000000'),
+      gold: tone('#8C6A00', '#9E7A00', '#7A5C00'),
+      glass: tone('rgba(255, 255, 255, 0.2)', 'rgba(255, 255, 255, 0.3)', 'rgba(255, 255, 255, 0.15)')
+    },
+    dialog: { bg: '#FFFFFF', title: '#000000', text: '#000000', overlay: 'rgba(0, 0, 0, 0.8)' },
+    backButton: { bg: '#000000', hover: '#222222', active: '#333333', icon: '#FFFFFF' },
+    block: {
+      palette: [
+        ['#0033CC'],
+        ['#006B3C'],
+        ['#5B1A99'],
+        ['#B00020'],
+        ['#000000']
+      ],
+      text: '#FFFFFF',
+      conceal: '#555555',
+      hint: '#FFD400',
+      shadow: 'rgba(0, 0, 0, 0)',
+      gradient: false
+    }
+  },
+
+  [ThemeId.PASTEL]: {
+    id: ThemeId.PASTEL,
+    name: '马卡龙',
+    background: {
+      gradient: ['#FFF0F5', '#FFF7F0', '#F0FFF8', '#F0F4FF'],
+      lines: ['#F4A7C0', '#A7D8F4'],
+      glows: ['244, 167, 192', '167, 216, 244'],
+      base: '#FFF8FB',
+      rings: [
+        { r: 255, g: 228, b: 238 },
+        { r: 220, g: 245, b: 232 },
+        { r: 232, g: 226, b: 255 },
+        { r: 255, g: 240, b: 220 }
+      ],
+      victory: ['#5C4A6B', '#4A3A58', '#362A42']
+    },
+    text: { primary: '#5C4A6B', secondary: '#9A8AA8', muted: '#B3A6BF', accent: '#E57FA3' },
+    surface: 'rgba(255, 255, 255, 0.75)',
+    buttons: {
+      primary: tone('#E57FA3', '#F08FB3', '#D56F93'),
+      secondary: tone('#7CC9B0', '#8CD9C0', '#6CB9A0'),
+      warning: tone('#F2B872', '#F8C882', '#E2A862'),
+      accent: tone('#A892D9', '#B8A2E9', '#9882C9'),
+      neutral: tone('#A8A0B3', '#B8B0C3', '#9890A3'),
+      ghost: tone('rgba(168, 146, 217, 0.18)', 'rgba(168, 146, 217, 0.28)', 'rgba(168, 146, 217, 0.35)', '#6B5A7A'),
+      disabled: tone('#DCD6E2', '#DCD6E2', '#DCD6E2'),
+      chip: tone('rgba(229, 127, 163, 0.15)', 'rgba(229, 127, 163, 0.25)', 'rgba(229, 127, 163, 0.3)', '#D56F93'),
+      chipSelected: tone('#E57FA3', '#F08FB3', '#D56F93'),
+      gold: tone('#E0B860', '#EEC870', '#D0A850'),
+      glass: tone('rgba(255, 255, 255, 0.2)', 'rgba(255, 255, 255, 0.3)', 'rgba(255, 255, 255, 0.15)')
+    },
+    dialog: { bg: '#FFFBFD', title: '#5C4A6B', text: '#8A7A98', overlay: 'rgba(92, 74, 107, 0.5)' },
+    backButton: { bg: 'rgba(168, 146, 217, 0.2)', hover: 'rgba(168, 146, 217, 0.3)', active: 'rgba(168, 146, 217, 0.4)', icon: '#8A7A98' },
+    block: {
+      palette: [
+        ['#F4A7C0', '#F7B7CC', '#F09BB6', '#F9C4D6', '#EC8FAC'],
+        ['#9FD8C4', '#AEE0CE', '#90D0BA', '#BCE7D8', '#82C8B0'],
+        ['#B9A7E8', '#C6B7EE', '#AC98E2', '#D2C5F2', '#A08ADC'],
+        ['#F7C590', '#F9D0A3', '#F5BA7D', '#FBDAB5', '#F3AF6B'],
+        ['#A7CDF4', '#B7D7F7', '#98C3F1', '#C6E0F9', '#89BAEE']
+      ],
+      text: '#FFFFFF',
+      conceal: '#C9BFD4',
+      hint: '#FFE066',
+      shadow: 'rgba(92, 74, 107, 0.15)',
+      gradient: true
+    }
+  },
+
+  [ThemeId.WOOD]: {
+    id: ThemeId.WOOD,
+    name: '木纹',
+    background: {
+      gradient: ['#F3E6D0', '#EFDFC4', '#E9D6B8', '#E2CBA8'],
+      lines: ['#A0764A', '#7A5530'],
+      glows: ['160, 118, 74', '122, 85, 48'],
+      base: '#EFE2CC',
+      rings: [
+        { r: 245, g: 232, b: 210 },
+        { r: 232, g: 214, b: 186 },
+        { r: 224, g: 204, b: 172 },
+        { r: 236, g: 220, b: 196 }
+      ],
+      victory: ['#4A3422', '#3A2818', '#2A1C10']
+    },
+    text: { primary: '#4A3422', secondary: '#8A6E52', muted: '#A88E72', accent: '#A0582A' },
+    surface: 'rgba(255, 248, 236, 0.7)',
+    buttons: {
+      primary: tone('#A0582A', '#B0683A', '#90481A'),
+      secondary: tone('#6E8B4A', '#7E9B5A', '#5E7B3A'),
+      warning: tone('#C98A2E', '#D99A3E', '#B97A1E'),
+      accent: tone('#8A5A6E', '#9A6A7E', '#7A4A5E'),
+      neutral: tone('#8A7560', '#9A8570', '#7A6550'),
+      ghost: tone('rgba(122, 85, 48, 0.15)', 'rgba(122, 85, 48, 0.25)', 'rgba(122, 85, 48, 0.3)', '#5A4030'),
+      disabled: tone('#CDBBA3', '#CDBBA3', '#CDBBA3'),
+      chip: tone('rgba(160, 88, 42, 0.15)', 'rgba(160, 88, 42, 0.25)', 'rgba(160, 88, 42, 0.3)', '#90481A'),
+      chipSelected: tone('#A0582A', '#B0683A', '#90481A'),
+      gold: tone('#C49A3F', '#D4AA4F', '#B48A2F'),
+      glass: tone('rgba(255, 248, 236, 0.15)', 'rgba(255, 248, 236, 0.25)', 'rgba(255, 248, 236, 0.1)')
+    },
+    dialog: { bg: '#FBF3E6', title: '#4A3422', text: '#7A6048', overlay: 'rgba(42, 28, 16, 0.55)' },
+    backButton: { bg: 'rgba(122, 85, 48, 0.2)', hover: 'rgba(122, 85, 48, 0.3)', active: 'rgba(122, 85, 48, 0.4)', icon: '#7A5530' },
+    block: {
+      palette: [
+        ['#B07A48', '#BC8654', '#A46E3C', '#C89260', '#986230'],
+        ['#8C5A34', '#986640', '#804E28', '#A4724C', '#74421C'],
+        ['#C9A06C', '#D3AC7A', '#BF945E', '#DDB888', '#B58850'],
+        ['#6E4A2C', '#7A5638', '#623E20', '#866244', '#563214'],
+        ['#A8845C', '#B49068', '#9C7850', '#C09C74', '#906C44']
+      ],
+      text: '#FFF6E8',
+      conceal: '#9C8266',
+      hint: '#FFD54F',
+      shadow: 'rgba(74, 52, 34, 0.3)',
+      gradient: true
+    }
+  },
+
+  [ThemeId.NEON]: {
+    id: ThemeId.NEON,
+    name: '霓虹',
+    background: {
+      gradient: ['#0B0B1A', '#120B24', '#0B1424', '#080812'],
+      lines: ['#00E5FF', '#FF2BD6'],
+      glows: ['0, 229, 255', '255, 43, 214'],
+      base: '#07070F',
+      rings: [
+        { r: 20, g: 10, b: 45 },
+        { r: 10, g: 30, b: 50 },
+        { r: 40, g: 10, b: 45 },
+        { r: 12, g: 20, b: 40 }
+      ],
+      victory: ['#1A0A2E', '#10061F', '#07030F']
+    },
+    text: { primary: '#F2F2FF', secondary: '#A0A0C8', muted: '#6A6A96', accent: '#00E5FF' },
+    surface: 'rgba(0, 229, 255, 0.06)',
+    buttons: {
+      primary: tone('#00A8C8', '#00B8D8', '#0098B8', '#0B0B1A'),
+      secondary: tone('#2BD67B', '#3BE68B', '#1BC66B', '#0B0B1A'),
+      warning: tone('#FFB000', '#FFC020', '#E8A000', '#0B0B1A'),
+      accent: tone('#D41FB4', '#E42FC4', '#C40FA4'),
+      neutral: tone('#3A3A60', '#4A4A70', '#2A2A50'),
+      ghost: tone('rgba(0, 229, 255, 0.1)', 'rgba(0, 229, 255, 0.18)', 'rgba(0, 229, 255, 0.25)', '#00E5FF'),
+      disabled: tone('#26263A', '#26263A', '#26263A', '#6A6A96'),
+      chip: tone('rgba(255, 43, 214, 0.12)', 'rgba(255, 43, 214, 0.2)', 'rgba(255, 43, 214, 0.28)', '#FF6BE3'),
+      chipSelected: tone('#D41FB4', '#E42FC4', '#C40FA4'),
+      gold: tone('#E0B000', '#F0C000', '#D0A000', '#0B0B1A'),
+      glass: tone('rgba(255, 255, 255, 0.1)', 'rgba(255, 255, 255, 0.18)', 'rgba(255, 255, 255, 0.06)')
+    },
+    dialog: { bg: '#14142A', title: '#00E5FF', text: '#C8C8F0', overlay: 'rgba(0, 0, 0, 0.75)' },
+    backButton: { bg: 'rgba(0, 229, 255, 0.12)', hover: 'rgba(0, 229, 255, 0.2)', active: 'rgba(0, 229, 255, 0.28)', icon: '#00E5FF' },
+    block: {
+      palette: [
+        ['#00C8E8', '#00B4D8', '#00DCF8', '#00A0C8', '#008CB8'],
+        ['#E81FC4', '#D40FB0', '#F83FD8', '#C0009C', '#AC0088'],
+        ['#3BE68B', '#2BD67B', '#4BF69B', '#1BC66B', '#0BB65B'],
+        ['#FFB000', '#F0A000', '#FFC020', '#E09000', '#D08000'],
+        ['#8A5CFF', '#7A4CF0', '#9A6CFF', '#6A3CE0', '#5A2CD0']
+      ],
+      text: '#0B0B1A',
+      conceal: '#2A2A48',
+      hint: '#FFFFFF',
+      shadow: 'rgba(0, 229, 255, 0.35)',
+      gradient: false
+    }
+  }
+};
+
+// 主题顺序（选择界面按此排列）
+export const THEME_ORDER = [
+  ThemeId.LIGHT,
+  ThemeId.DARK,
+  ThemeId.HIGH_CONTRAST,
+  ThemeId.PASTEL,
+  ThemeId.WOOD,
+  ThemeId.NEON
+];
+
+// 默认主题
+export const DEFAULT_THEME = ThemeId.LIGHT;
+
+/**
+ * 获取主题（未知标识返回默认主题）
+ */
+export function getTheme(id) {
+  return THEMES[id] || THEMES[DEFAULT_THEME];
+}
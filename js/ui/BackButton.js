@@ -6,27 +6,40 @@
 
 import { Button } from './Button.js';
 import { assetManager } from '../assets/AssetManager.js';
+import { themeManager } from '../theme/ThemeManager.js';
 
 export class BackButton extends Button {
   constructor(options = {}) {
     super({
       width: options.width || 50,
       height: options.height || 50,
-      bgColor: options.bgColor || 'rgba(150, 150, 150, 0.3)',
-      bgColorHover: options.bgColorHover || 'rgba(150, 150, 150, 0.5)',
-      bgColorActive: options.bgColorActive || 'rgba(120, 120, 120, 0.4)',
+      bgColor: options.bgColor,
+      bgColorHover: options.bgColorHover,
+      bgColorActive: options.bgColorActive,
       borderRadius: options.borderRadius || 8,
       onClick: options.onClick
     });
     
-    // 箭头颜色
-    this.arrowColor = options.arrowColor || '#888888';
+    // 箭头颜色（省略时与背景一起从主题取色）
+    this.arrowColor = options.arrowColor || null;
     this.arrowSize = options.arrowSize || 20;
     
     // 图片资源key（未来使用）
     this.imageKey = options.imageKey || 'back_icon';
   }
 
+  /**
+   * 当前配色：未传入固定颜色时使用主题的返回按钮配色
+   * @returns {Object} { bg, hover, active, text }
+   */
+  getColors() {
+    const theme = themeManager.current.backButton;
+    const colors = this.bgColor
+      ? { bg: this.bgColor, hover: this.bgColorHover, active: this.bgColorActive }
+      : { bg: theme.bg, hover: theme.hover, active: theme.active };
+    return { ...colors, text: this.arrowColor || theme.icon };
+  }
+
   /**
    * 绘制按钮
    */
@@ -63,11 +76,12 @@ export class BackButton extends Button {
     const radius = this.borderRadius * this.scale;
     this._drawRoundRect(ctx, x, y, width, height, radius);
     
-    let bgColor = this.bgColor;
+    const colors = this.getColors();
+    let bgColor = colors.bg;
     if (this.isPressed) {
-      bgColor = this.bgColorActive;
+      bgColor = colors.active;
     } else if (this.isHovered) {
-      bgColor = this.bgColorHover;
+      bgColor = colors.hover;
     }
     
     ctx.fillStyle = bgColor;
@@ -88,11 +102,12 @@ export class BackButton extends Button {
     const radius = this.borderRadius * this.scale;
     
     // 确定背景颜色
-    let bgColor = this.bgColor;
+    const colors = this.getColors();
+    let bgColor = colors.bg;
     if (this.isPressed) {
-      bgColor = this.bgColorActive;
+      bgColor = colors.active;
     } else if (this.isHovered) {
-      bgColor = this.bgColorHover;
+      bgColor = colors.hover;
     }
     
     // 绘制背景
@@ -106,7 +121,7 @@ export class BackButton extends Button {
     const arrowSize = this.arrowSize * this.scale;
     const lineWidth = 3 * this.scale;
     
-    ctx.strokeStyle = this.arrowColor;
+    ctx.strokeStyle = colors.text;
     ctx.lineWidth = lineWidth;
     ctx.lineCap = 'round';
     ctx.lineJoin = 'round';
@@ -1,11 +1,12 @@
 /**
  * 滑块组件
  * 数字华容道的方块，支持平滑位移动画
- * 预留 drawImage 分支用于未来替换图片纹理
+ * 设置 imageKey 时绘制图片（图片模式下由 imageRect 截取整图中的一块）
  */
 
 import { Tween, Easing } from '../utils/Tween.js';
 import { assetManager } from '../assets/AssetManager.js';
+import { themeManager } from '../theme/ThemeManager.js';
 
 export class Block {
   constructor(options = {}) {
@@ -23,24 +24,33 @@ export class Block {
     this.targetX = this.x;
     this.targetY = this.y;
     
-    // 颜色配置
+    // 拖动偏移（跟随手指、尚未提交的部分位移，叠加在 x/y 上绘制）
+    this.offsetX = 0;
+    this.offsetY = 0;
+    
+    // 颜色配置（未指定的取创建时的当前主题）
+    const theme = themeManager.current.block;
     this.bgColor = options.bgColor || this._getDefaultColor(this.value);
-    this.textColor = options.textColor || '#FFFFFF';
+    this.textColor = options.textColor || theme.text;
     this.borderRadius = options.borderRadius || 8;
     
     // 渐变配置
-    this.useGradient = options.useGradient !== false;
+    this.useGradient = options.useGradient !== undefined ? options.useGradient : theme.gradient;
     this.gradientStart = options.gradientStart || null;
     this.gradientEnd = options.gradientEnd || null;
     
     // 阴影
-    this.shadowColor = options.shadowColor || 'rgba(0, 0, 0, 0.15)';
+    this.shadowColor = options.shadowColor || theme.shadow;
     this.shadowBlur = options.shadowBlur || 6;
     this.shadowOffsetX = options.shadowOffsetX || 0;
     this.shadowOffsetY = options.shadowOffsetY || 3;
     
-    // 图片资源key（未来使用）
+    // 图片资源key，imageRect 为截取的源区域 { sx, sy, sw, sh }（省略时绘制整张图片）
     this.imageKey = options.imageKey || null;
+    this.imageRect = options.imageRect || null;
+    
+    // 图片方块上是否叠加数字
+    this.showNumber = options.showNumber !== false;
     
     // 状态
     this.visible = true;
@@ -48,8 +58,17 @@ export class Block {
     this.opacity = 1;
     this.isMoving = false;
     
+    // 提示高亮
+    this.isHinted = false;
+    this.hintColor = options.hintColor || theme.hint;
+    
+    // 遮挡（盲拧模式）：不显示数字，统一绘制为同一颜色
+    this.isConcealed = options.concealed || false;
+    this.concealColor = options.concealColor || theme.conceal;
+    
     // 动画
     this.moveTween = null;
+    this.offsetTween = null;
   }
 
   /**
@@ -58,13 +77,9 @@ export class Block {
   _getDefaultColor(value) {
     if (value === 0) return '#E8E8E8';  // 空格颜色
     
-    // 数字方块使用蓝色系渐变
-    const colors = [
-      '#4A90D9', '#5A9EE8', '#6AACF7',
-      '#3A80C9', '#2A70B9', '#1A60A9',
-      '#5B8FD4', '#6B9FE4', '#7BAFF4'
-    ];
-    return colors[(value - 1) % colors.length] || '#4A90D9';
+    // 数字方块使用主题的第一个色系
+    const colors = themeManager.current.block.palette[0];
+    return colors[(value - 1) % colors.length];
   }
 
   /**
@@ -80,8 +95,9 @@ export class Block {
 
   /**
    * 设置像素位置
+   * @param {Function} easing - 缓动函数，默认 easeInOutQuad
    */
-  setPixelPosition(x, y, animate = true, duration = 130) {
+  setPixelPosition(x, y, animate = true, duration = 130, easing = Easing.easeInOutQuad) {
     this.targetX = x;
     this.targetY = y;
     
@@ -101,7 +117,7 @@ export class Block {
     return new Promise(resolve => {
       this.moveTween = new Tween(this)
         .to({ x: x, y: y }, duration)
-        .easing(Easing.easeInOutQuad)
+        .easing(easing)
         .onComplete(() => {
           this.isMoving = false;
           this.row = this.targetRow;
@@ -112,6 +128,50 @@ export class Block {
     });
   }
 
+  /**
+   * 设置拖动偏移
+   */
+  setOffset(offsetX, offsetY) {
+    if (this.offsetTween) {
+      this.offsetTween.stop();
+      this.offsetTween = null;
+    }
+    this.offsetX = offsetX;
+    this.offsetY = offsetY;
+  }
+
+  /**
+   * 把拖动偏移并入位置（提交移动前调用，之后从当前位置继续动画）
+   */
+  applyOffset() {
+    const { offsetX, offsetY } = this;
+    this.setOffset(0, 0);
+    this.x += offsetX;
+    this.y += offsetY;
+  }
+
+  /**
+   * 拖动偏移弹回原位
+   * @returns {Promise}
+   */
+  resetOffset(animate = true, duration = 260) {
+    if (!animate || (this.offsetX === 0 && this.offsetY === 0)) {
+      this.setOffset(0, 0);
+      return Promise.resolve();
+    }
+    
+    return new Promise(resolve => {
+      this.offsetTween = new Tween(this)
+        .to({ offsetX: 0, offsetY: 0 }, duration)
+        .easing(Easing.easeOutSpring)
+        .onComplete(() => {
+          this.offsetTween = null;
+          resolve();
+        })
+        .start();
+    });
+  }
+
   /**
    * 点击动画
    */
@@ -146,16 +206,41 @@ export class Block {
     }, delay);
   }
 
+  /**
+   * 显示提示高亮（脉冲光晕）
+   */
+  showHint() {
+    if (this.value === 0) return;
+    this.isHinted = true;
+  }
+
+  /**
+   * 隐藏提示高亮
+   */
+  hideHint() {
+    this.isHinted = false;
+  }
+
+  /**
+   * 遮挡 / 显示数字
+   */
+  setConcealed(concealed) {
+    this.isConcealed = concealed;
+  }
+
   /**
    * 检查点是否在方块内
    */
   contains(x, y) {
     if (!this.visible || this.value === 0) return false;
     
-    return x >= this.x && 
-           x <= this.x + this.width * this.scale && 
-           y >= this.y && 
-           y <= this.y + this.height * this.scale;
+    const left = this.x + this.offsetX;
+    const top = this.y + this.offsetY;
+    
+    return x >= left && 
+           x <= left + this.width * this.scale && 
+           y >= top && 
+           y <= top + this.height * this.scale;
   }
 
   /**
@@ -172,41 +257,75 @@ export class Block {
     
     const drawWidth = this.width * this.scale;
     const drawHeight = this.height * this.scale;
-    const centerX = this.x + this.width / 2;
-    const centerY = this.y + this.height / 2;
+    const centerX = this.x + this.offsetX + this.width / 2;
+    const centerY = this.y + this.offsetY + this.height / 2;
     const drawX = centerX - drawWidth / 2;
     const drawY = centerY - drawHeight / 2;
     const radius = this.borderRadius * this.scale;
     
-    // 如果有图片资源且已加载，使用图片绘制
-    const image = this.imageKey ? assetManager.getImage(this.imageKey) : null;
+    // 如果有图片资源且已加载，使用图片绘制（遮挡时不使用图片）
+    const image = this.imageKey && !this.isConcealed ? assetManager.getImage(this.imageKey) : null;
     
     if (image) {
-      this._drawImage(ctx, image, drawX, drawY, drawWidth, drawHeight);
+      this._drawImage(ctx, image, drawX, drawY, drawWidth, drawHeight, radius);
     } else {
       this._drawRectangle(ctx, drawX, drawY, drawWidth, drawHeight, radius);
     }
     
+    // 提示高亮
+    if (this.isHinted) {
+      this._drawHintGlow(ctx, drawX, drawY, drawWidth, drawHeight, radius);
+    }
+    
+    ctx.restore();
+  }
+
+  /**
+   * 绘制提示光晕（随时间脉冲）
+   */
+  _drawHintGlow(ctx, x, y, width, height, radius) {
+    const pulse = (Math.sin(Date.now() / 1000 * 6) + 1) / 2;
+    
+    ctx.save();
+    ctx.shadowColor = this.hintColor;
+    ctx.shadowBlur = 10 + pulse * 14;
+    ctx.strokeStyle = this.hintColor;
+    ctx.globalAlpha = this.opacity * (0.6 + pulse * 0.4);
+    ctx.lineWidth = 3 + pulse * 2;
+    this._drawRoundRectPath(ctx, x, y, width, height, radius);
+    ctx.stroke();
     ctx.restore();
   }
 
   /**
-   * 绘制图片方块（未来使用）
+   * 绘制图片方块（圆角裁剪）
    */
-  _drawImage(ctx, image, x, y, width, height) {
+  _drawImage(ctx, image, x, y, width, height, radius) {
     // 绘制阴影
     ctx.save();
     ctx.shadowColor = this.shadowColor;
     ctx.shadowBlur = this.shadowBlur;
     ctx.shadowOffsetX = this.shadowOffsetX;
     ctx.shadowOffsetY = this.shadowOffsetY;
+    this._drawRoundRectPath(ctx, x, y, width, height, radius);
+    ctx.fillStyle = this.bgColor;
+    ctx.fill();
+    ctx.restore();
     
     // 绘制图片
-    ctx.drawImage(image, x, y, width, height);
+    ctx.save();
+    this._drawRoundRectPath(ctx, x, y, width, height, radius);
+    ctx.clip();
+    if (this.imageRect) {
+      const { sx, sy, sw, sh } = this.imageRect;
+      ctx.drawImage(image, sx, sy, sw, sh, x, y, width, height);
+    } else {
+      ctx.drawImage(image, x, y, width, height);
+    }
     ctx.restore();
     
     // 绘制数字（如果需要）
-    if (this.value > 0) {
+    if (this.value > 0 && this.showNumber) {
       this._drawNumber(ctx, x, y, width, height);
     }
   }
@@ -225,7 +344,10 @@ export class Block {
     // 绘制圆角矩形
     this._drawRoundRectPath(ctx, x, y, width, height, radius);
     
-    if (this.useGradient && this.value > 0) {
+    if (this.isConcealed) {
+      // 遮挡时所有方块同色，不透露目标位置
+      ctx.fillStyle = this.concealColor;
+    } else if (this.useGradient && this.value > 0) {
       // 使用渐变
       const gradient = ctx.createLinearGradient(x, y, x, y + height);
       const startColor = this.gradientStart || this._lightenColor(this.bgColor, 20);
@@ -251,7 +373,7 @@ export class Block {
     }
     
     // 绘制数字
-    if (this.value > 0) {
+    if (this.value > 0 && !this.isConcealed) {
       this._drawNumber(ctx, x, y, width, height);
     }
   }
@@ -328,6 +450,9 @@ export class Block {
     if (this.moveTween) {
       this.moveTween.stop();
     }
+    if (this.offsetTween) {
+      this.offsetTween.stop();
+    }
   }
 }
 
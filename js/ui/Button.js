@@ -7,6 +7,8 @@
 import { Tween, Easing } from '../utils/Tween.js';
 import { assetManager } from '../assets/AssetManager.js';
 import { audioManager, SoundType } from '../audio/AudioManager.js';
+import { themeManager } from '../theme/ThemeManager.js';
+import { ButtonRole } from '../theme/Themes.js';
 
 export class Button {
   constructor(options = {}) {
@@ -17,11 +19,13 @@ export class Button {
     this.text = options.text || '';
     this.fontSize = options.fontSize || 28;
     
-    // 颜色配置
-    this.bgColor = options.bgColor || '#4A90D9';
-    this.bgColorHover = options.bgColorHover || '#5AA0E9';
-    this.bgColorActive = options.bgColorActive || '#3A80C9';
-    this.textColor = options.textColor || '#FFFFFF';
+    // 颜色配置：colorRole 为主题中的按钮配色角色（ButtonRole），绘制时从当前主题取色；
+    // 传入 bgColor 时使用固定颜色，textColor 可单独覆盖文字颜色
+    this.colorRole = options.colorRole || (options.bgColor ? null : ButtonRole.PRIMARY);
+    this.bgColor = options.bgColor || null;
+    this.bgColorHover = options.bgColorHover || this.bgColor;
+    this.bgColorActive = options.bgColorActive || this.bgColor;
+    this.textColor = options.textColor || null;
     this.borderRadius = options.borderRadius || 12;
     
     // 阴影配置
@@ -169,6 +173,20 @@ export class Button {
     });
   }
 
+  /**
+   * 当前配色（主题角色或固定颜色）
+   * @returns {Object} { bg, hover, active, text }
+   */
+  getColors() {
+    const colors = this.colorRole ? themeManager.getButtonColors(this.colorRole) : {
+      bg: this.bgColor,
+      hover: this.bgColorHover,
+      active: this.bgColorActive,
+      text: '#FFFFFF'
+    };
+    return this.textColor ? { ...colors, text: this.textColor } : colors;
+  }
+
   /**
    * 绘制按钮
    */
@@ -222,11 +240,12 @@ export class Button {
     const radius = this.borderRadius * this.scale;
     
     // 确定颜色
-    let bgColor = this.bgColor;
+    const colors = this.getColors();
+    let bgColor = colors.bg;
     if (this.isPressed) {
-      bgColor = this.bgColorActive;
+      bgColor = colors.active;
     } else if (this.isHovered) {
-      bgColor = this.bgColorHover;
+      bgColor = colors.hover;
     }
     
     // 绘制阴影
@@ -277,7 +296,7 @@ export class Button {
    * 绘制文字
    */
   _drawText(ctx, x, y, width, height) {
-    ctx.fillStyle = this.textColor;
+    ctx.fillStyle = this.getColors().text;
     ctx.font = `bold ${this.fontSize * this.scale}px Arial, sans-serif`;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
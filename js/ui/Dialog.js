@@ -1,10 +1,13 @@
 /**
  * 弹窗组件
  * 支持淡入淡出 + 缩放动画
+ * 按钮可横向排列在底部，或纵向排列在标题下方（菜单）
  */
 
 import { Tween, Easing } from '../utils/Tween.js';
 import { Button } from './Button.js';
+import { themeManager } from '../theme/ThemeManager.js';
+import { t } from '../i18n/I18n.js';
 
 export class Dialog {
   constructor(options = {}) {
@@ -13,21 +16,24 @@ export class Dialog {
     this.width = options.width || 400;
     this.height = options.height || 300;
     
-    // 样式
-    this.bgColor = options.bgColor || '#FFFFFF';
+    // 样式（颜色省略时绘制时从当前主题取色）
+    this.bgColor = options.bgColor || null;
     this.borderRadius = options.borderRadius || 16;
-    this.overlayColor = options.overlayColor || 'rgba(0, 0, 0, 0.5)';
+    this.overlayColor = options.overlayColor || null;
     
     // 标题
     this.title = options.title || '';
-    this.titleColor = options.titleColor || '#333333';
+    this.titleColor = options.titleColor || null;
     this.titleFontSize = options.titleFontSize || 36;
     
     // 内容
     this.content = options.content || '';
-    this.contentColor = options.contentColor || '#666666';
+    this.contentColor = options.contentColor || null;
     this.contentFontSize = options.contentFontSize || 28;
     
+    // 按钮排列：'horizontal' 底部横排 | 'vertical' 标题下方竖排
+    this.layout = options.layout || 'horizontal';
+    
     // 阴影
     this.shadowColor = options.shadowColor || 'rgba(0, 0, 0, 0.3)';
     this.shadowBlur = options.shadowBlur || 20;
@@ -49,13 +55,12 @@ export class Dialog {
   /**
    * 创建确认按钮
    */
-  addConfirmButton(text = '确认', onClick) {
+  addConfirmButton(text = t('common.confirm'), onClick) {
     this.confirmButton = new Button({
       text: text,
       width: 160,
       height: 56,
       fontSize: 26,
-      bgColor: '#4A90D9',
       onClick: () => {
         this.hide().then(() => {
           if (onClick) onClick();
@@ -80,6 +85,15 @@ export class Dialog {
    * 布局按钮
    */
   _layoutButtons() {
+    if (this.layout === 'vertical') {
+      let buttonY = this.y - this.height / 2 + 110;
+      for (let button of this.buttons) {
+        button.setPosition(this.x, buttonY + button.height / 2);
+        buttonY += button.height + 16;
+      }
+      return;
+    }
+    
     const buttonY = this.y + this.height / 2 - 50;
     const totalWidth = this.buttons.length * 180 - 20;
     let startX = this.x - totalWidth / 2 + 90;
@@ -209,7 +223,8 @@ export class Dialog {
     ctx.save();
     
     // 绘制遮罩层
-    ctx.fillStyle = this.overlayColor;
+    const theme = themeManager.current.dialog;
+    ctx.fillStyle = this.overlayColor || theme.overlay;
     ctx.globalAlpha = this.opacity * 0.5;
     ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
     
@@ -233,13 +248,13 @@ export class Dialog {
     
     // 绘制背景
     this._drawRoundRect(ctx, drawX, drawY, drawWidth, drawHeight, radius);
-    ctx.fillStyle = this.bgColor;
+    ctx.fillStyle = this.bgColor || theme.bg;
     ctx.fill();
     ctx.restore();
     
     // 绘制标题
     if (this.title) {
-      ctx.fillStyle = this.titleColor;
+      ctx.fillStyle = this.titleColor || theme.title;
       ctx.font = `bold ${this.titleFontSize * this.scale}px Arial, sans-serif`;
       ctx.textAlign = 'center';
       ctx.textBaseline = 'top';
@@ -248,7 +263,7 @@ export class Dialog {
     
     // 绘制内容
     if (this.content) {
-      ctx.fillStyle = this.contentColor;
+      ctx.fillStyle = this.contentColor || theme.text;
       ctx.font = `${this.contentFontSize * this.scale}px Arial, sans-serif`;
       ctx.textAlign = 'center';
       ctx.textBaseline = 'top';
@@ -0,0 +1,182 @@
+/**
+ * 滑动条组件
+ * 取值 0~1，按住后随手指拖动；拖动中触发 onInput，松手时触发 onChange
+ */
+
+import { Tween, Easing } from '../utils/Tween.js';
+import { themeManager } from '../theme/ThemeManager.js';
+
+export class Slider {
+  constructor(options = {}) {
+    this.x = options.x || 0;
+    this.y = options.y || 0;
+    this.width = options.width || 160;
+    this.height = options.height || 30;
+
+    // 当前值（0~1）与取值步长
+    this.value = Math.max(0, Math.min(1, options.value || 0));
+    this.step = options.step || 0.05;
+
+    // 状态
+    this.visible = true;
+    this.enabled = true;
+    this.isDragging = false;
+    this.opacity = 1;
+
+    // 回调 (value)
+    this.onInput = options.onInput || null;
+    this.onChange = options.onChange || null;
+  }
+
+  /**
+   * 设置位置（中心点）
+   */
+  setPosition(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  /**
+   * 设置当前值（不触发回调）
+   */
+  setValue(value) {
+    this.value = Math.max(0, Math.min(1, value));
+  }
+
+  /**
+   * 检查点是否在滑动条内（左右各放宽半个滑块便于按住两端）
+   */
+  contains(x, y) {
+    if (!this.visible || !this.enabled) return false;
+
+    const padding = this.height / 2;
+    return x >= this.x - this.width / 2 - padding &&
+           x <= this.x + this.width / 2 + padding &&
+           y >= this.y - this.height / 2 &&
+           y <= this.y + this.height / 2;
+  }
+
+  /**
+   * 按手指横坐标更新值（按步长取整）
+   */
+  _updateFromX(x) {
+    const ratio = (x - (this.x - this.width / 2)) / this.width;
+    const steps = Math.round(1 / this.step);
+    const value = Math.round(Math.max(0, Math.min(1, ratio)) * steps) / steps;
+    if (value === this.value) return;
+
+    this.value = value;
+    if (this.onInput) {
+      this.onInput(this.value);
+    }
+  }
+
+  /**
+   * 处理触摸开始
+   */
+  onTouchStart(x, y) {
+    if (!this.contains(x, y)) return false;
+
+    this.isDragging = true;
+    this._updateFromX(x);
+    return true;
+  }
+
+  /**
+   * 处理触摸移动
+   */
+  onTouchMove(x, y) {
+    if (!this.isDragging) return false;
+
+    this._updateFromX(x);
+    return true;
+  }
+
+  /**
+   * 处理触摸结束
+   */
+  onTouchEnd(x, y) {
+    if (!this.isDragging) return false;
+
+    this.isDragging = false;
+    if (this.onChange) {
+      this.onChange(this.value);
+    }
+    return true;
+  }
+
+  /**
+   * 入场动画
+   */
+  playEnterAnimation(delay = 0) {
+    this.opacity = 0;
+
+    setTimeout(() => {
+      new Tween(this)
+        .to({ opacity: 1 }, 300)
+        .easing(Easing.easeOutQuad)
+        .start();
+    }, delay);
+  }
+
+  /**
+   * 出场动画
+   */
+  playExitAnimation() {
+    return new Promise(resolve => {
+      new Tween(this)
+        .to({ opacity: 0 }, 200)
+        .easing(Easing.easeInQuad)
+        .onComplete(() => {
+          resolve();
+        })
+        .start();
+    });
+  }
+
+  /**
+   * 绘制滑动条
+   */
+  draw(ctx) {
+    if (!this.visible) return;
+
+    const buttons = themeManager.current.buttons;
+    const left = this.x - this.width / 2;
+    const filled = this.width * this.value;
+    const trackHeight = 6;
+
+    ctx.save();
+    ctx.globalAlpha *= this.enabled ? this.opacity : this.opacity * 0.5;
+    ctx.lineCap = 'round';
+    ctx.lineWidth = trackHeight;
+
+    // 轨道与已填充部分
+    ctx.strokeStyle = buttons.disabled.bg;
+    ctx.beginPath();
+    ctx.moveTo(left, this.y);
+    ctx.lineTo(left + this.width, this.y);
+    ctx.stroke();
+
+    if (filled > 0) {
+      ctx.strokeStyle = buttons.primary.bg;
+      ctx.beginPath();
+      ctx.moveTo(left, this.y);
+      ctx.lineTo(left + filled, this.y);
+      ctx.stroke();
+    }
+
+    // 滑块（拖动时放大）
+    const knobRadius = this.isDragging ? 12 : 10;
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.2)';
+    ctx.shadowBlur = 4;
+    ctx.shadowOffsetY = 1;
+    ctx.fillStyle = '#FFFFFF';
+    ctx.beginPath();
+    ctx.arc(left + filled, this.y, knobRadius, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.restore();
+  }
+}
+
+export default Slider;
@@ -0,0 +1,190 @@
+/**
+ * 开关组件
+ * 点击切换开 / 关，滑块位置带过渡动画，配色取自当前主题
+ */
+
+import { Tween, Easing } from '../utils/Tween.js';
+import { audioManager, SoundType } from '../audio/AudioManager.js';
+import { themeManager } from '../theme/ThemeManager.js';
+
+export class Toggle {
+  constructor(options = {}) {
+    this.x = options.x || 0;
+    this.y = options.y || 0;
+    this.width = options.width || 52;
+    this.height = options.height || 30;
+
+    // 开关状态与滑块位置（0 为关，1 为开）
+    this.value = !!options.value;
+    this.knob = this.value ? 1 : 0;
+
+    // 状态
+    this.visible = true;
+    this.enabled = true;
+    this.isPressed = false;
+    this.opacity = 1;
+
+    // 动画
+    this.tween = null;
+
+    // 回调 (value)
+    this.onChange = options.onChange || null;
+  }
+
+  /**
+   * 设置位置（中心点）
+   */
+  setPosition(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  /**
+   * 设置开关状态（不触发回调）
+   */
+  setValue(value, animate = false) {
+    this.value = !!value;
+    if (this.tween) {
+      this.tween.stop();
+    }
+
+    const target = this.value ? 1 : 0;
+    if (!animate) {
+      this.knob = target;
+      return;
+    }
+    this.tween = new Tween(this)
+      .to({ knob: target }, 150)
+      .easing(Easing.easeOutQuad)
+      .start();
+  }
+
+  /**
+   * 检查点是否在开关内（上下各放宽 8 像素便于点击）
+   */
+  contains(x, y) {
+    if (!this.visible || !this.enabled) return false;
+
+    return x >= this.x - this.width / 2 &&
+           x <= this.x + this.width / 2 &&
+           y >= this.y - this.height / 2 - 8 &&
+           y <= this.y + this.height / 2 + 8;
+  }
+
+  /**
+   * 处理触摸开始
+   */
+  onTouchStart(x, y) {
+    if (!this.contains(x, y)) return false;
+
+    this.isPressed = true;
+    return true;
+  }
+
+  /**
+   * 处理触摸结束
+   */
+  onTouchEnd(x, y) {
+    const wasPressed = this.isPressed;
+    this.isPressed = false;
+
+    if (wasPressed && this.contains(x, y)) {
+      audioManager.play(SoundType.BUTTON_CLICK);
+      this.setValue(!this.value, true);
+      if (this.onChange) {
+        this.onChange(this.value);
+      }
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 入场动画
+   */
+  playEnterAnimation(delay = 0) {
+    this.opacity = 0;
+
+    setTimeout(() => {
+      new Tween(this)
+        .to({ opacity: 1 }, 300)
+        .easing(Easing.easeOutQuad)
+        .start();
+    }, delay);
+  }
+
+  /**
+   * 出场动画
+   */
+  playExitAnimation() {
+    return new Promise(resolve => {
+      new Tween(this)
+        .to({ opacity: 0 }, 200)
+        .easing(Easing.easeInQuad)
+        .onComplete(() => {
+          resolve();
+        })
+        .start();
+    });
+  }
+
+  /**
+   * 绘制开关
+   */
+  draw(ctx) {
+    if (!this.visible) return;
+
+    const buttons = themeManager.current.buttons;
+    const radius = this.height / 2;
+    const left = this.x - this.width / 2;
+    const top = this.y - radius;
+
+    ctx.save();
+    ctx.globalAlpha *= this.opacity;
+
+    // 轨道：关闭时为禁用色，打开时为主色（按滑块位置过渡）
+    ctx.fillStyle = buttons.disabled.bg;
+    this._drawTrack(ctx, left, top, radius);
+    if (this.knob > 0) {
+      ctx.save();
+      ctx.globalAlpha *= this.knob;
+      ctx.fillStyle = buttons.primary.bg;
+      this._drawTrack(ctx, left, top, radius);
+      ctx.restore();
+    }
+
+    // 滑块
+    const knobX = left + radius + (this.width - radius * 2) * this.knob;
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.2)';
+    ctx.shadowBlur = 4;
+    ctx.shadowOffsetY = 1;
+    ctx.fillStyle = '#FFFFFF';
+    ctx.beginPath();
+    ctx.arc(knobX, this.y, radius - 3, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.restore();
+  }
+
+  /**
+   * 绘制轨道（两端半圆）
+   */
+  _drawTrack(ctx, left, top, radius) {
+    ctx.beginPath();
+    ctx.arc(left + radius, top + radius, radius, Math.PI / 2, Math.PI * 1.5);
+    ctx.arc(left + this.width - radius, top + radius, radius, Math.PI * 1.5, Math.PI / 2);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  /**
+   * 销毁开关
+   */
+  destroy() {
+    if (this.tween) {
+      this.tween.stop();
+    }
+  }
+}
+
+export default Toggle;
@@ -42,6 +42,9 @@ export const Easing = {
     return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
   },
 
+  // 弹簧：阻尼振荡，略微越过终点后回弹，t = 1 时恰好停在终点
+  easeOutSpring: t => 1 - Math.exp(-7 * t) * Math.cos(t * Math.PI * 2.5),
+
   // 弹跳
   easeOutBounce: t => {
     const n1 = 7.5625;
@@ -0,0 +1,101 @@
+/**
+ * 手势识别
+ * 根据一次触摸的起止位置与耗时区分点击和滑动，
+ * 滑动给出主方向、距离与速度
+ */
+
+// 手势类型
+export const GestureType = {
+  TAP: 'tap',
+  SWIPE: 'swipe'
+};
+
+// 滑动方向
+export const SwipeDirection = {
+  UP: 'up',
+  DOWN: 'down',
+  LEFT: 'left',
+  RIGHT: 'right'
+};
+
+// 超过该距离（px）一定视为滑动
+const SWIPE_DISTANCE = 30;
+
+// 快速轻扫：距离达到 FLICK_DISTANCE 且速度达到 FLICK_VELOCITY（px/ms）也视为滑动
+const FLICK_DISTANCE = 12;
+const FLICK_VELOCITY = 0.5;
+
+export class GestureRecognizer {
+  constructor() {
+    this.isTracking = false;
+    this.startX = 0;
+    this.startY = 0;
+    this.startTime = 0;
+    this.lastX = 0;
+    this.lastY = 0;
+  }
+
+  /**
+   * 开始跟踪一次触摸
+   */
+  start(x, y) {
+    this.isTracking = true;
+    this.startX = this.lastX = x;
+    this.startY = this.lastY = y;
+    this.startTime = Date.now();
+  }
+
+  /**
+   * 记录触摸移动
+   */
+  move(x, y) {
+    if (!this.isTracking) return;
+    this.lastX = x;
+    this.lastY = y;
+  }
+
+  /**
+   * 结束触摸并识别手势
+   * @returns {Object|null} { type, direction, distance, velocity, startX, startY }，未在跟踪时为 null
+   *   点击时 direction 为 null
+   */
+  end(x, y) {
+    if (!this.isTracking) return null;
+    this.isTracking = false;
+
+    const dx = x - this.startX;
+    const dy = y - this.startY;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const velocity = distance / Math.max(1, Date.now() - this.startTime);
+
+    const isSwipe = distance >= SWIPE_DISTANCE ||
+                    (distance >= FLICK_DISTANCE && velocity >= FLICK_VELOCITY);
+
+    let direction = null;
+    if (isSwipe) {
+      if (Math.abs(dx) > Math.abs(dy)) {
+        direction = dx > 0 ? SwipeDirection.RIGHT : SwipeDirection.LEFT;
+      } else {
+        direction = dy > 0 ? SwipeDirection.DOWN : SwipeDirection.UP;
+      }
+    }
+
+    return {
+      type: isSwipe ? GestureType.SWIPE : GestureType.TAP,
+      direction: direction,
+      distance: distance,
+      velocity: velocity,
+      startX: this.startX,
+      startY: this.startY
+    };
+  }
+
+  /**
+   * 取消跟踪
+   */
+  cancel() {
+    this.isTracking = false;
+  }
+}
+
+export default GestureRecognizer;
@@ -0,0 +1,45 @@
+/**
+ * 可复现的伪随机数
+ * 基于 mulberry32，同一种子总是产生相同序列（用于种子打乱、题目码、每日挑战）
+ */
+
+// 种子上限（31 位正整数，便于 base-36 编码）
+export const MAX_SEED = 0x7FFFFFFF;
+
+/**
+ * 创建随机数生成器
+ * @param {number} seed - 整数种子
+ * @returns {Function} 每次调用返回 [0, 1) 的随机数，用法同 Math.random
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 生成一个新的随机种子
+ * @returns {number}
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+/**
+ * 字符串哈希为种子（FNV-1a），同一字符串总是得到同一种子
+ * @param {string} text
+ * @returns {number}
+ */
+export function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % MAX_SEED;
+}
@@ -0,0 +1,73 @@
+/**
+ * 求解 Worker 入口
+ * 在独立线程中运行求解器，避免阻塞主线程渲染
+ *
+ * 消息格式：
+ *   请求 { id, type: 'solve' | 'estimate' | 'generate' | 'analyze', grid, options }
+ *        generate 时 grid 为完成状态，用于确定尺寸；analyze 时 grid 为初始局面
+ *   响应 { id, result } 或 { id, error }
+ */
+
+import { Solver } from './solver/Solver.js';
+import { generate } from './solver/Generator.js';
+import { analyze } from './solver/Analyzer.js';
+
+// 无模式数据库时可精确求解最优步数的最大格子数
+const EXACT_MAX_CELLS = 12;
+
+// 求解器缓存（按尺寸）
+const solvers = new Map();
+
+/**
+ * 获取指定网格尺寸的求解器（首次使用时构建模式数据库）
+ */
+function getSolver(grid) {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const key = `${rows}x${cols}`;
+
+  if (!solvers.has(key)) {
+    const solver = new Solver(rows, cols);
+    solver.prepare();
+    solvers.set(key, solver);
+  }
+  return solvers.get(key);
+}
+
+/**
+ * 处理单个请求
+ */
+function handleRequest(type, grid, options) {
+  const solver = getSolver(grid);
+
+  switch (type) {
+    case 'solve':
+      return solver.solve(grid, options);
+    case 'estimate':
+      return solver.estimate(grid);
+    case 'generate':
+      return generate(solver, grid, {
+        ...options,
+        exact: solver.patternDatabase !== null || grid.length * grid[0].length <= EXACT_MAX_CELLS
+      });
+    case 'analyze':
+      return analyze(solver, grid, {
+        ...options,
+        exact: solver.patternDatabase !== null || grid.length * grid[0].length <= EXACT_MAX_CELLS
+      });
+    default:
+      throw new Error(`未知请求类型: ${type}`);
+  }
+}
+
+worker.onMessage((message) => {
+  const { id, type, grid, options } = message;
+
+  try {
+    const result = handleRequest(type, grid, options || {});
+    worker.postMessage({ id, result });
+  } catch (e) {
+    console.error('[SolverWorker] 处理请求失败:', e);
+    worker.postMessage({ id, error: e.message || String(e) });
+  }
+});
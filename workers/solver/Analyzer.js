@@ -0,0 +1,40 @@
+/**
+ * 解法分析
+ * 批量估算一局中每个局面到完成状态的距离（可采纳下界），
+ * 并在可行时求出初始局面的真实最优步数
+ * 纯逻辑模块，可在 Worker 或主线程中运行
+ */
+
+import { SolveStatus } from './Solver.js';
+
+// 精确求解（计算真实最优步数）的节点上限
+const EXACT_MAX_NODES = 1500000;
+
+/**
+ * 分析一局
+ * @param {Solver} solver - 对应尺寸的求解器
+ * @param {number[][]} grid - 初始局面
+ * @param {Object} options - { grids, optimal, exact, maxNodes }
+ *   grids 为需要估算距离的局面列表；optimal 为已知的最优步数（跳过求解）；
+ *   exact 为 false 时不求解最优步数
+ * @returns {Object} { optimal, lower, distances }
+ *   optimal 未求出时为 null；lower 为初始局面的距离下界；distances 与 grids 一一对应
+ */
+export function analyze(solver, grid, options = {}) {
+  const grids = options.grids || [];
+  const distances = grids.map(item => solver.estimate(item));
+  const lower = solver.estimate(grid);
+
+  let optimal = options.optimal || null;
+  if (optimal === null && options.exact !== false) {
+    const result = solver.solve(grid, {
+      weights: [1],
+      maxNodes: options.maxNodes || EXACT_MAX_NODES
+    });
+    if (result.status === SolveStatus.SOLVED) {
+      optimal = result.length;
+    }
+  }
+
+  return { optimal, lower, distances };
+}
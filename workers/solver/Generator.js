@@ -0,0 +1,138 @@
+/**
+ * 定难度出题
+ * 生成最优解步数落在指定区间内的局面，并用求解器证明：
+ *   下界：可采纳启发值 h（最优解 ≥ h）
+ *   上界：从完成状态出发的打乱步数 steps（最优解 ≤ steps）
+ * 当 h ≥ min 且 steps ≤ max 时，最优解必然落在 [min, max] 内
+ *
+ * 打乱时优先选择使启发值增大的移动，让 steps 与 h 尽量接近
+ * 纯逻辑模块，可在 Worker 或主线程中运行
+ */
+
+import { SolveStatus } from './Solver.js';
+
+// 最多尝试次数与总耗时上限（毫秒）
+const MAX_ATTEMPTS = 60;
+const MAX_TIME = 3000;
+
+// 有可增大启发值的移动时，选择它的概率
+const GREEDY_RATE = 0.9;
+
+// 精确求解（计算真实最优步数）的节点上限
+const EXACT_MAX_NODES = 1500000;
+
+/**
+ * 生成指定最优步数区间的局面
+ * @param {Solver} solver - 对应尺寸的求解器
+ * @param {number[][]} goal - 完成状态网格
+ * @param {Object} options - { min, max, exact }
+ *   max 为 null 表示无上限；exact 为 true 时额外求出真实最优步数
+ * @returns {Object} { grid, lower, upper, optimal, verified }
+ *   lower / upper 为最优步数的下界与上界（upper 即打乱步数，始终有效）；optimal 未求出时为 null；
+ *   verified 为 false 表示多次尝试仍未证明落在区间内（返回最接近的局面）
+ */
+export function generate(solver, goal, options) {
+  const min = options.min;
+  const max = options.max === undefined ? null : options.max;
+  const rows = goal.length;
+  const cols = goal[0].length;
+
+  const startTime = Date.now();
+  let best = null;
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS && Date.now() - startTime < MAX_TIME; attempt++) {
+    const target = max === null ? min : min + Math.floor(Math.random() * (max - min + 1));
+    const candidate = walk(solver, goal, rows, cols, target, max);
+
+    if (candidate.lower >= min && (max === null || candidate.upper <= max)) {
+      return finish(solver, candidate, options.exact);
+    }
+
+    if (!best || distanceToBand(candidate, min, max) < distanceToBand(best, min, max)) {
+      best = candidate;
+    }
+  }
+
+  console.warn('[Generator] 未能证明局面落在区间内，返回最接近的局面');
+  return { grid: best.grid, lower: best.lower, upper: best.upper, optimal: null, verified: false };
+}
+
+/**
+ * 启发式随机游走：直到启发值达到 target（或步数超过上限）
+ */
+function walk(solver, goal, rows, cols, target, max) {
+  const grid = goal.map(row => row.slice());
+  let blankRow = rows - 1;
+  let blankCol = cols - 1;
+  let prevRow = -1;
+  let prevCol = -1;
+  let h = 0;
+  let steps = 0;
+
+  // 无上限时给一个足够大的步数保护
+  const stepLimit = max === null ? target * 4 + rows * cols : max;
+
+  while (h < target && steps < stepLimit) {
+    const moves = [];
+
+    for (let [dr, dc] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+      const row = blankRow + dr;
+      const col = blankCol + dc;
+      if (row < 0 || row >= rows || col < 0 || col >= cols) continue;
+      if (row === prevRow && col === prevCol) continue;
+
+      // 试走一步，记录新的启发值
+      grid[blankRow][blankCol] = grid[row][col];
+      grid[row][col] = 0;
+      moves.push({ row, col, h: solver.estimate(grid) });
+      grid[row][col] = grid[blankRow][blankCol];
+      grid[blankRow][blankCol] = 0;
+    }
+
+    const improving = moves.filter(move => move.h > h);
+    const pool = improving.length > 0 && Math.random() < GREEDY_RATE ? improving : moves;
+    const move = pool[Math.floor(Math.random() * pool.length)];
+
+    grid[blankRow][blankCol] = grid[move.row][move.col];
+    grid[move.row][move.col] = 0;
+    prevRow = blankRow;
+    prevCol = blankCol;
+    blankRow = move.row;
+    blankCol = move.col;
+    h = move.h;
+    steps++;
+  }
+
+  return { grid, lower: h, upper: steps };
+}
+
+/**
+ * 整理结果，按需精确求解最优步数
+ */
+function finish(solver, candidate, exact) {
+  let optimal = null;
+
+  if (exact) {
+    const result = solver.solve(candidate.grid, { maxNodes: EXACT_MAX_NODES, weights: [1] });
+    if (result.status === SolveStatus.SOLVED) {
+      optimal = result.length;
+    }
+  }
+
+  return {
+    grid: candidate.grid,
+    lower: candidate.lower,
+    upper: candidate.upper,
+    optimal: optimal,
+    verified: true
+  };
+}
+
+/**
+ * 候选局面与目标区间的差距（用于挑选最接近的局面）
+ */
+function distanceToBand(candidate, min, max) {
+  const below = Math.max(0, min - candidate.lower);
+  const above = max === null ? 0 : Math.max(0, candidate.upper - max);
+  return below + above;
+}
@@ -0,0 +1,235 @@
+/**
+ * 可加模式数据库（Additive Pattern Database）
+ * 将数字分成互不相交的若干组，每组预先用 0-1 BFS 求出
+ * “只计该组数字移动步数”时的最短距离，各组之和即为可采纳的启发值
+ */
+
+// 预置分组方案（按棋盘尺寸），数字为完成状态下的方块值
+const PATTERN_PRESETS = {
+  // 4×4：经典 5-5-5 划分
+  '4x4': [
+    [1, 2, 3, 5, 6],
+    [4, 7, 8, 11, 12],
+    [9, 10, 13, 14, 15]
+  ]
+};
+
+// 已构建的数据库缓存（构建开销大，同尺寸只构建一次）
+const databaseCache = new Map();
+
+export class PatternDatabase {
+  /**
+   * @param {number} rows - 行数
+   * @param {number} cols - 列数
+   * @param {number[][]} patterns - 分组方案
+   */
+  constructor(rows, cols, patterns) {
+    this.rows = rows;
+    this.cols = cols;
+    this.cellCount = rows * cols;
+    this.patterns = patterns;
+
+    // 每个位置占用的二进制位数
+    this.bits = Math.ceil(Math.log2(this.cellCount));
+
+    // 数值 -> 所在分组 / 组内序号
+    this.patternOf = new Int8Array(this.cellCount).fill(-1);
+    this.slotOf = new Int8Array(this.cellCount).fill(-1);
+    patterns.forEach((tiles, p) => {
+      tiles.forEach((value, i) => {
+        this.patternOf[value] = p;
+        this.slotOf[value] = i;
+      });
+    });
+
+    // 每组的距离表
+    this.tables = [];
+    this.isBuilt = false;
+  }
+
+  /**
+   * 获取指定尺寸的数据库（无预置方案时返回 null）
+   */
+  static forSize(rows, cols) {
+    const key = `${rows}x${cols}`;
+    if (!PATTERN_PRESETS[key]) return null;
+
+    if (!databaseCache.has(key)) {
+      databaseCache.set(key, new PatternDatabase(rows, cols, PATTERN_PRESETS[key]));
+    }
+    return databaseCache.get(key);
+  }
+
+  /**
+   * 构建所有分组的距离表（同步，耗时较长，应在 Worker 中调用）
+   */
+  build() {
+    if (this.isBuilt) return;
+
+    const startTime = Date.now();
+    this.tables = this.patterns.map(tiles => this._buildTable(tiles));
+    this.isBuilt = true;
+
+    console.log(`[PatternDatabase] ${this.rows}x${this.cols} 构建完成，耗时 ${Date.now() - startTime}ms`);
+  }
+
+  /**
+   * 计算某一分组在当前局面下的索引
+   * @param {number} p - 分组序号
+   * @param {Int8Array|number[]} pos - 数值 -> 位置
+   */
+  indexOf(p, pos) {
+    const tiles = this.patterns[p];
+    let index = 0;
+    for (let i = 0; i < tiles.length; i++) {
+      index = (index << this.bits) | pos[tiles[i]];
+    }
+    return index;
+  }
+
+  /**
+   * 查询某一分组的距离
+   */
+  lookupPattern(p, pos) {
+    return this.tables[p][this.indexOf(p, pos)];
+  }
+
+  /**
+   * 查询整体启发值（各组之和）
+   */
+  lookup(pos) {
+    let sum = 0;
+    for (let p = 0; p < this.patterns.length; p++) {
+      sum += this.lookupPattern(p, pos);
+    }
+    return sum;
+  }
+
+  /**
+   * 用 0-1 BFS 构建单个分组的距离表
+   * 状态 = 组内各数字位置 + 空格位置；空格与组外数字交换代价为 0
+   */
+  _buildTable(tiles) {
+    const k = tiles.length;
+    const bits = this.bits;
+    const mask = (1 << bits) - 1;
+    const rows = this.rows;
+    const cols = this.cols;
+    const blankGoal = this.cellCount - 1;
+
+    // 距离表：只按组内数字位置索引
+    const table = new Uint8Array(1 << (bits * k)).fill(255);
+    // 访问表：组内数字位置 + 空格位置
+    const dist = new Uint8Array(1 << (bits * (k + 1))).fill(255);
+
+    // 起点：完成状态
+    let start = 0;
+    for (let i = 0; i < k; i++) {
+      start = (start << bits) | (tiles[i] - 1);
+    }
+    start = (start << bits) | blankGoal;
+    dist[start] = 0;
+
+    // 按层推进：current 为当前代价层（0 代价边追加到同层），next 为下一层
+    let current = new Int32Array(1024);
+    let currentLength = 0;
+    let next = new Int32Array(1024);
+    let nextLength = 0;
+    current[currentLength++] = start;
+
+    const positions = new Int32Array(k);
+    let level = 0;
+
+    while (currentLength > 0) {
+      for (let q = 0; q < currentLength; q++) {
+        const state = current[q];
+        // 已有更短路径（过期条目）
+        if (dist[state] !== level) continue;
+
+        // 解码
+        const blank = state & mask;
+        let rest = state >>> bits;
+        for (let i = k - 1; i >= 0; i--) {
+          positions[i] = rest & mask;
+          rest >>>= bits;
+        }
+        const tileIndex = state >>> bits;
+        if (table[tileIndex] > level) {
+          table[tileIndex] = level;
+        }
+
+        const blankRow = (blank / cols) | 0;
+        const blankCol = blank - blankRow * cols;
+
+        for (let dir = 0; dir < 4; dir++) {
+          let target;
+          if (dir === 0) {
+            if (blankRow === 0) continue;
+            target = blank - cols;
+          } else if (dir === 1) {
+            if (blankRow === rows - 1) continue;
+            target = blank + cols;
+          } else if (dir === 2) {
+            if (blankCol === 0) continue;
+            target = blank - 1;
+          } else {
+            if (blankCol === cols - 1) continue;
+            target = blank + 1;
+          }
+
+          // 目标格是否为组内数字
+          let slot = -1;
+          for (let i = 0; i < k; i++) {
+            if (positions[i] === target) {
+              slot = i;
+              break;
+            }
+          }
+
+          let newState;
+          let cost;
+          if (slot === -1) {
+            newState = (tileIndex << bits) | target;
+            cost = level;
+          } else {
+            const shift = bits * (k - slot);
+            newState = (((tileIndex << bits) | target) & ~(mask << shift)) | (blank << shift);
+            cost = level + 1;
+          }
+
+          if (dist[newState] <= cost) continue;
+          dist[newState] = cost;
+
+          if (cost === level) {
+            if (currentLength === current.length) current = this._grow(current);
+            current[currentLength++] = newState;
+          } else {
+            if (nextLength === next.length) next = this._grow(next);
+            next[nextLength++] = newState;
+          }
+        }
+      }
+
+      // 进入下一层
+      const swap = current;
+      current = next;
+      currentLength = nextLength;
+      next = swap;
+      nextLength = 0;
+      level++;
+    }
+
+    return table;
+  }
+
+  /**
+   * 扩容队列
+   */
+  _grow(array) {
+    const grown = new Int32Array(array.length * 2);
+    grown.set(array);
+    return grown;
+  }
+}
+
+export default PatternDatabase;
@@ -0,0 +1,436 @@
+/**
+ * 数字华容道求解器
+ * 纯逻辑模块：IDA* 搜索，启发函数为曼哈顿距离 + 线性冲突，
+ * 有预置模式数据库的尺寸（4×4）再与可加模式数据库取最大值
+ * 不依赖 wx / Canvas，可在 Worker 或主线程中运行
+ */
+
+import { PatternDatabase } from './PatternDatabase.js';
+
+// 求解结果状态
+export const SolveStatus = {
+  SOLVED: 'solved',
+  UNSOLVABLE: 'unsolvable',
+  LIMIT: 'limit'
+};
+
+// 默认权重序列：先尝试最优解，超出节点上限后逐步放宽（次优但更快）
+const DEFAULT_WEIGHTS = [1, 1.5, 2, 3, 5];
+
+// 大棋盘（无模式数据库）权重序列：最优解基本不可达，直接从次优开始
+const LARGE_BOARD_WEIGHTS = [1.5, 2, 3, 5];
+
+// 单次搜索默认节点上限
+const DEFAULT_MAX_NODES = 3000000;
+
+// 搜索中止标记
+const ABORT = -1;
+const FOUND = -2;
+
+/**
+ * 判断局面是否可解
+ * 宽度为奇数：逆序数为偶数；宽度为偶数：逆序数 + 空格距底行的行数为偶数
+ * @param {number[][]} grid - 棋盘网格（0 为空格）
+ * @returns {boolean}
+ */
+export function isSolvable(grid) {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const flat = [];
+  let blankRow = 0;
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const value = grid[row][col];
+      if (value === 0) {
+        blankRow = row;
+      } else {
+        flat.push(value);
+      }
+    }
+  }
+
+  let inversions = 0;
+  for (let i = 0; i < flat.length; i++) {
+    for (let j = i + 1; j < flat.length; j++) {
+      if (flat[i] > flat[j]) inversions++;
+    }
+  }
+
+  if (cols % 2 === 1) {
+    return inversions % 2 === 0;
+  }
+  return (inversions + (rows - 1 - blankRow)) % 2 === 0;
+}
+
+export class Solver {
+  /**
+   * @param {number} rows - 行数
+   * @param {number} cols - 列数
+   * @param {Object} options - { usePatternDatabase }
+   */
+  constructor(rows, cols, options = {}) {
+    this.rows = rows;
+    this.cols = cols;
+    this.cellCount = rows * cols;
+
+    // 模式数据库（按需构建）
+    this.patternDatabase = options.usePatternDatabase === false
+      ? null
+      : PatternDatabase.forSize(rows, cols);
+
+    // 搜索状态
+    this.tiles = new Int8Array(this.cellCount);
+    this.pos = new Int8Array(this.cellCount);
+    this.blank = 0;
+    this.lcRow = new Int32Array(rows);
+    this.lcCol = new Int32Array(cols);
+    this.pdbParts = new Int32Array(this.patternDatabase ? this.patternDatabase.patterns.length : 0);
+    this.manhattan = 0;
+
+    // 搜索参数
+    this.weight = 1;
+    this.maxNodes = DEFAULT_MAX_NODES;
+    this.nodes = 0;
+    this.path = [];
+
+    // 线性冲突计算的临时数组
+    this._line = new Int32Array(Math.max(rows, cols));
+  }
+
+  /**
+   * 根据二维网格创建求解器
+   */
+  static fromGrid(grid, options = {}) {
+    return new Solver(grid.length, grid[0].length, options);
+  }
+
+  /**
+   * 构建模式数据库（耗时，Worker 中首次求解前调用）
+   */
+  prepare() {
+    if (this.patternDatabase) {
+      this.patternDatabase.build();
+    }
+  }
+
+  /**
+   * 判断局面是否可解
+   */
+  isSolvable(grid) {
+    return isSolvable(grid);
+  }
+
+  /**
+   * 估算到完成状态的步数（可采纳下界）
+   */
+  estimate(grid) {
+    this._load(grid);
+    return this._heuristic();
+  }
+
+  /**
+   * 求解
+   * @param {number[][]} grid - 棋盘网格（0 为空格）
+   * @param {Object} options - { maxNodes, weights }
+   * @returns {Object} { status, moves, length, optimal, nodes }
+   *   moves 为依次需要移动的方块数值
+   */
+  solve(grid, options = {}) {
+    if (!this.isSolvable(grid)) {
+      return { status: SolveStatus.UNSOLVABLE, moves: [], length: 0, optimal: false, nodes: 0 };
+    }
+
+    const weights = options.weights ||
+      (this.cellCount > 16 && !this.patternDatabase ? LARGE_BOARD_WEIGHTS : DEFAULT_WEIGHTS);
+    const maxNodes = options.maxNodes || DEFAULT_MAX_NODES;
+    let totalNodes = 0;
+
+    for (const weight of weights) {
+      const moves = this._search(grid, weight, maxNodes);
+      totalNodes += this.nodes;
+
+      if (moves) {
+        return {
+          status: SolveStatus.SOLVED,
+          moves: moves,
+          length: moves.length,
+          optimal: weight === 1,
+          nodes: totalNodes
+        };
+      }
+    }
+
+    return { status: SolveStatus.LIMIT, moves: [], length: 0, optimal: false, nodes: totalNodes };
+  }
+
+  /**
+   * 单次（加权）IDA* 搜索
+   * @returns {number[]|null} 移动序列，超出节点上限返回 null
+   */
+  _search(grid, weight, maxNodes) {
+    this._load(grid);
+    this.weight = weight;
+    this.maxNodes = maxNodes;
+    this.nodes = 0;
+    this.path = [];
+
+    let bound = Math.ceil(this._heuristic() * weight);
+
+    while (true) {
+      const result = this._dfs(0, bound, -1);
+      if (result === FOUND) return this.path.slice();
+      if (result === ABORT || result === Infinity) return null;
+      bound = result;
+    }
+  }
+
+  /**
+   * 深度优先搜索
+   * @param {number} g - 已走步数
+   * @param {number} bound - 当前阈值
+   * @param {number} prevBlank - 上一步空格位置（避免立即回退）
+   */
+  _dfs(g, bound, prevBlank) {
+    const h = this._heuristic();
+    const f = g + Math.ceil(h * this.weight);
+    if (f > bound) return f;
+    if (h === 0) return FOUND;
+
+    if (++this.nodes > this.maxNodes) return ABORT;
+
+    const cols = this.cols;
+    const blank = this.blank;
+    const blankRow = (blank / cols) | 0;
+    const blankCol = blank - blankRow * cols;
+    let min = Infinity;
+
+    for (let dir = 0; dir < 4; dir++) {
+      let cell;
+      if (dir === 0) {
+        if (blankRow === 0) continue;
+        cell = blank - cols;
+      } else if (dir === 1) {
+        if (blankRow === this.rows - 1) continue;
+        cell = blank + cols;
+      } else if (dir === 2) {
+        if (blankCol === 0) continue;
+        cell = blank - 1;
+      } else {
+        if (blankCol === cols - 1) continue;
+        cell = blank + 1;
+      }
+      if (cell === prevBlank) continue;
+
+      const value = this.tiles[cell];
+      const saved = this._applyMove(cell);
+      this.path.push(value);
+
+      const result = this._dfs(g + 1, bound, blank);
+      if (result === FOUND) return FOUND;
+
+      this.path.pop();
+      this._undoMove(cell, blank, saved);
+
+      if (result === ABORT) return ABORT;
+      if (result < min) min = result;
+    }
+
+    return min;
+  }
+
+  /**
+   * 载入网格并初始化启发值各分量
+   */
+  _load(grid) {
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        const cell = row * this.cols + col;
+        const value = grid[row][col];
+        this.tiles[cell] = value;
+        this.pos[value] = cell;
+        if (value === 0) this.blank = cell;
+      }
+    }
+
+    this.manhattan = 0;
+    for (let value = 1; value < this.cellCount; value++) {
+      this.manhattan += this._distance(value, this.pos[value]);
+    }
+
+    for (let row = 0; row < this.rows; row++) {
+      this.lcRow[row] = this._lineConflict(row, true);
+    }
+    for (let col = 0; col < this.cols; col++) {
+      this.lcCol[col] = this._lineConflict(col, false);
+    }
+
+    const db = this._readyDatabase();
+    if (db) {
+      for (let p = 0; p < this.pdbParts.length; p++) {
+        this.pdbParts[p] = db.lookupPattern(p, this.pos);
+      }
+    }
+  }
+
+  /**
+   * 当前启发值
+   */
+  _heuristic() {
+    let h = this.manhattan;
+    for (let i = 0; i < this.rows; i++) h += this.lcRow[i];
+    for (let i = 0; i < this.cols; i++) h += this.lcCol[i];
+
+    if (this._readyDatabase()) {
+      let pdb = 0;
+      for (let p = 0; p < this.pdbParts.length; p++) pdb += this.pdbParts[p];
+      if (pdb > h) h = pdb;
+    }
+    return h;
+  }
+
+  /**
+   * 把 cell 处的方块移入空格，增量更新启发值
+   * @returns {Object} 用于撤销的旧值
+   */
+  _applyMove(cell) {
+    const value = this.tiles[cell];
+    const target = this.blank;
+    const cols = this.cols;
+    const fromRow = (cell / cols) | 0;
+    const toRow = (target / cols) | 0;
+
+    const saved = {
+      manhattan: this.manhattan,
+      lineA: 0,
+      lineB: 0,
+      pdb: 0
+    };
+
+    this.manhattan += this._distance(value, target) - this._distance(value, cell);
+
+    this.tiles[target] = value;
+    this.tiles[cell] = 0;
+    this.pos[value] = target;
+    this.pos[0] = cell;
+    this.blank = cell;
+
+    if (fromRow !== toRow) {
+      // 竖直移动：只影响两行的行冲突
+      saved.lineA = this.lcRow[fromRow];
+      saved.lineB = this.lcRow[toRow];
+      this.lcRow[fromRow] = this._lineConflict(fromRow, true);
+      this.lcRow[toRow] = this._lineConflict(toRow, true);
+    } else {
+      // 水平移动：只影响两列的列冲突
+      const fromCol = cell - fromRow * cols;
+      const toCol = target - toRow * cols;
+      saved.lineA = this.lcCol[fromCol];
+      saved.lineB = this.lcCol[toCol];
+      this.lcCol[fromCol] = this._lineConflict(fromCol, false);
+      this.lcCol[toCol] = this._lineConflict(toCol, false);
+    }
+
+    const db = this._readyDatabase();
+    if (db) {
+      const p = db.patternOf[value];
+      saved.pdb = this.pdbParts[p];
+      this.pdbParts[p] = db.lookupPattern(p, this.pos);
+    }
+
+    return saved;
+  }
+
+  /**
+   * 撤销一次移动：方块从 blank 处移回 cell
+   */
+  _undoMove(cell, blank, saved) {
+    const value = this.tiles[blank];
+    const cols = this.cols;
+    const fromRow = (cell / cols) | 0;
+    const toRow = (blank / cols) | 0;
+
+    this.tiles[cell] = value;
+    this.tiles[blank] = 0;
+    this.pos[value] = cell;
+    this.pos[0] = blank;
+    this.blank = blank;
+    this.manhattan = saved.manhattan;
+
+    if (fromRow !== toRow) {
+      this.lcRow[fromRow] = saved.lineA;
+      this.lcRow[toRow] = saved.lineB;
+    } else {
+      this.lcCol[cell - fromRow * cols] = saved.lineA;
+      this.lcCol[blank - toRow * cols] = saved.lineB;
+    }
+
+    const db = this._readyDatabase();
+    if (db) {
+      this.pdbParts[db.patternOf[value]] = saved.pdb;
+    }
+  }
+
+  /**
+   * 数值 value 位于 cell 时到目标位置的曼哈顿距离
+   */
+  _distance(value, cell) {
+    const cols = this.cols;
+    const goal = value - 1;
+    const row = (cell / cols) | 0;
+    const goalRow = (goal / cols) | 0;
+    return Math.abs(row - goalRow) + Math.abs((cell - row * cols) - (goal - goalRow * cols));
+  }
+
+  /**
+   * 单行/单列的线性冲突值
+   * 该线上目标也在此线的方块，需至少移出 (数量 - 最长递增子序列) 个，每个额外 2 步
+   */
+  _lineConflict(index, isRow) {
+    const cols = this.cols;
+    const length = isRow ? cols : this.rows;
+    const line = this._line;
+    let count = 0;
+
+    for (let i = 0; i < length; i++) {
+      const cell = isRow ? index * cols + i : i * cols + index;
+      const value = this.tiles[cell];
+      if (value === 0) continue;
+
+      const goal = value - 1;
+      const goalRow = (goal / cols) | 0;
+      const goalCol = goal - goalRow * cols;
+      if (isRow && goalRow === index) {
+        line[count++] = goalCol;
+      } else if (!isRow && goalCol === index) {
+        line[count++] = goalRow;
+      }
+    }
+
+    if (count < 2) return 0;
+
+    // 最长递增子序列（线长度很小，O(n²) 足够）
+    const lis = [];
+    let longest = 0;
+    for (let i = 0; i < count; i++) {
+      lis[i] = 1;
+      for (let j = 0; j < i; j++) {
+        if (line[j] < line[i] && lis[j] + 1 > lis[i]) {
+          lis[i] = lis[j] + 1;
+        }
+      }
+      if (lis[i] > longest) longest = lis[i];
+    }
+
+    return (count - longest) * 2;
+  }
+
+  /**
+   * 已构建的模式数据库（未构建时返回 null）
+   */
+  _readyDatabase() {
+    return this.patternDatabase && this.patternDatabase.isBuilt ? this.patternDatabase : null;
+  }
+}
+
+export default Solver;